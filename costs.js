@@ -0,0 +1,182 @@
+/**
+ * Bird League — Judging costs
+ *
+ * Every provider call made while judging records its model, input and output
+ * tokens, image count, latency and an estimated cost from the price table
+ * (`prices` in judges.json, USD per million tokens). Failed attempts the
+ * provider billed anyway are recorded too, marked `failed`. The calls are
+ * stored on the judgment under `usage` and appended to the season's usage
+ * log, so money spent on a judgment that is later deleted and re-judged
+ * still counts.
+ *
+ * `settings.budget.seasonLimitUsd` caps a season's spend. Before each call
+ * the meter prices it at its worst case — the prompt plus the role's full
+ * `maxTokens` of output, on the priciest provider that may handle it — and
+ * refuses with a BudgetError if that would take the season over the cap. The
+ * worst case is reserved on the season until the meter flushes (topped up if
+ * the calls it records cost more), so meters running side by side (concurrent
+ * jobs, a preview during a judging run) see each other's calls in flight and
+ * can't overshoot the cap together. Reservations live in this process.
+ */
+
+const { loadConfig, resolveChain, estimateTokens, IMAGE_TOKENS } = require("./providers");
+
+// Output allowance for roles with no maxTokens when estimating the worst case
+const DEFAULT_MAX_OUTPUT = 4000;
+
+// Season id → worst-case cost of calls made but not yet flushed to its usage log
+const reserved = new Map();
+
+function reserve(seasonId, usd) {
+  reserved.set(seasonId, round((reserved.get(seasonId) || 0) + usd));
+  if (reserved.get(seasonId) <= 0) reserved.delete(seasonId);
+}
+
+class BudgetError extends Error {
+  constructor(message) {
+    super(message);
+    this.kind = "budget";
+  }
+}
+
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/** USD cost of one call, or null when the model has no price */
+function callCost(usage, prices = loadConfig().prices) {
+  const price = prices[usage.model];
+  if (!price) return null;
+  return round(
+    (usage.inputTokens * (price.input || 0) + usage.outputTokens * (price.output || 0)) / 1e6
+    + usage.images * (price.image || 0)
+  );
+}
+
+/**
+ * Worst-case cost of a role call across the providers that may handle it:
+ * the role's chain, or only `provider` when the call is pinned to one (as
+ * callRole does for opts.provider and JUDGE_PROVIDER)
+ */
+function estimateCall(roleName, prompt, images, provider) {
+  const config = loadConfig();
+  const inputTokens = estimateTokens(prompt) + (images || []).length * IMAGE_TOKENS;
+  return Math.max(0, ...resolveChain(roleName, config, provider).map((entry) => callCost({
+    model: entry.model,
+    inputTokens,
+    outputTokens: entry.maxTokens || DEFAULT_MAX_OUTPUT,
+    images: (images || []).length,
+  }, config.prices) || 0));
+}
+
+/** Totals for a list of metered calls */
+function summarize(calls) {
+  return {
+    calls: calls.length,
+    inputTokens: calls.reduce((n, c) => n + c.inputTokens, 0),
+    outputTokens: calls.reduce((n, c) => n + c.outputTokens, 0),
+    images: calls.reduce((n, c) => n + c.images, 0),
+    costUsd: round(calls.reduce((n, c) => n + (c.cost || 0), 0)),
+    unpriced: calls.filter((c) => c.cost == null).length,
+  };
+}
+
+/** Judgment `usage` field: totals plus the individual calls */
+function judgmentUsage(calls) {
+  return { ...summarize(calls), log: calls };
+}
+
+/**
+ * Create a meter for one judging step. Pass it to callRole/askVerdict as
+ * `opts.meter`, then call flush() once the step is over (even if it failed)
+ * to append its calls to the season's usage log.
+ *
+ * @param {object} sdb - db or db.season(id)
+ * @param {object} context - { week, m1Id, m2Id, step?, dryRun? } copied onto
+ *   each call; `step` defaults to the role name
+ */
+function createMeter(sdb, context) {
+  const calls = [];
+  const seasonId = sdb.getSeasonId();
+  let flushed = 0;
+  let held = 0; // this meter's share of the season's reservation
+  return {
+    calls,
+
+    // Check and reserve in one synchronous step, so no other meter can slip in between
+    before(roleName, prompt, images, provider) {
+      const limit = sdb.getSettings().budget.seasonLimitUsd;
+      if (limit == null) return;
+      const spent = summarize(sdb.getUsage()).costUsd + (reserved.get(seasonId) || 0);
+      const estimate = estimateCall(roleName, prompt, images, provider);
+      if (spent + estimate > limit) {
+        throw new BudgetError(
+          `Judging budget reached: $${spent.toFixed(4)} of $${limit} spent or in flight, next ${roleName} call could cost up to $${estimate.toFixed(4)}`
+        );
+      }
+      held += estimate;
+      reserve(seasonId, estimate);
+    },
+
+    after(usage) {
+      const cost = callCost(usage);
+      calls.push({
+        week: context.week,
+        m1Id: context.m1Id,
+        m2Id: context.m2Id,
+        step: context.step || usage.role,
+        ...(context.dryRun && { dryRun: true }),
+        ...usage,
+        cost,
+        at: new Date().toISOString(),
+      });
+      // Retries and billed failures can cost more than the one call reserved
+      const recorded = summarize(calls.slice(flushed)).costUsd;
+      if (recorded > held) {
+        reserve(seasonId, recorded - held);
+        held = recorded;
+      }
+    },
+
+    flush() {
+      const fresh = calls.slice(flushed);
+      flushed = calls.length;
+      if (fresh.length) sdb.recordUsage(fresh);
+      reserve(seasonId, -held);
+      held = 0;
+    },
+  };
+}
+
+/**
+ * Cost report for a season: totals, budget, and breakdowns by week and by
+ * provider.
+ */
+function costReport(sdb) {
+  const log = sdb.getUsage();
+  const limit = sdb.getSettings().budget.seasonLimitUsd;
+  const total = summarize(log);
+
+  const group = (keyOf) => {
+    const groups = {};
+    log.forEach((c) => (groups[keyOf(c)] = groups[keyOf(c)] || []).push(c));
+    return groups;
+  };
+
+  return {
+    seasonId: sdb.getSeasonId(),
+    total,
+    budget: {
+      seasonLimitUsd: limit,
+      remainingUsd: limit == null ? null : round(Math.max(0, limit - total.costUsd)),
+    },
+    byWeek: Object.entries(group((c) => c.week))
+      .map(([week, calls]) => ({ week: Number(week), ...summarize(calls) }))
+      .sort((a, b) => a.week - b.week),
+    byProvider: Object.fromEntries(
+      Object.entries(group((c) => c.provider)).map(([provider, calls]) => [provider, summarize(calls)])
+    ),
+  };
+}
+
+module.exports = { createMeter, costReport, judgmentUsage, summarize, callCost, estimateCall, BudgetError };
@@ -5,10 +5,20 @@
  * - Uses RAILWAY_VOLUME_MOUNT_PATH or /data for persistent storage
  * - Falls back to local ./data for dev
  * - Auto-backs up on every write (keeps last 30 backups)
+ *
+ * SEASONS:
+ * - Each season owns its roster, schedule, submissions, judgments and appeals
+ * - Submissions keep every finalized revision; drafts stay private until submitted
+ * - `currentSeason` is the one the unscoped API (and existing routes) act on
+ * - Archived seasons are read-only
  */
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { createBracket, advancePlayoffs } = require("./playoffs");
+const { computeStandings } = require("./standings");
+const taxonomy = require("./taxonomy");
 
 // ─── Persistent Storage Path ─────────────────────────────
 const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, "data");
@@ -38,7 +48,7 @@ const MEMBERS = [
   { id: 10, name: "Ben" },
 ];
 
-// ─── Real Schedule ────────────────────────────────────────
+// ─── Season 1 Schedule ────────────────────────────────────
 
 const SCHEDULE = [
   { week: 1, status: "completed", matchups: [
@@ -85,16 +95,107 @@ const SCHEDULE = [
   ]},
 ];
 
-function defaultDb() {
+// ─── Season settings ──────────────────────────────────────
+// Stored per season as overrides; reads are merged over these defaults.
+
+const DEFAULT_SETTINGS = {
+  forfeits: {
+    enabled: true,               // false = skip matchups with a missing submission
+    doubleNoShow: "double_loss", // "double_loss" | "skip"
+    comedicRuling: false,        // have Claude write a one-sided ruling for the lone submitter
+  },
+  budget: {
+    seasonLimitUsd: null,        // stop judging before the season's spend passes this; null = no cap
+  },
+  judging: {
+    mode: "synthesis",           // "synthesis" = Claude decides | "panel" = majority vote of `panel`
+    panel: ["rational", "capricious", "synthesis"], // judge roles that vote in panel mode (odd count)
+    opinionRole: "synthesis",    // writes the court's opinion for the panel majority
+  },
+  scoring: {
+    enabled: false,              // true = the winner comes from weighted criterion scores (see scoring.js)
+    max: 10,                     // each criterion is scored 0..max
+    criteria: [
+      { name: "rarity", weight: 1, description: "how rare or hard to find the species is" },
+      { name: "story", weight: 1, description: "the encounter as told" },
+      { name: "photo", weight: 1, description: "photo quality" },
+      { name: "coolness", weight: 1, description: "sheer coolness" },
+    ],
+  },
+  rules: [],                     // house rules checked on every submission (see rules.js)
+};
+
+function isPlainObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+function mergeSettings(base, overrides) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeSettings(base[key], value) : value;
+  }
+  return out;
+}
+
+function newSeason(id, { name, members, schedule } = {}) {
   return {
-    members: MEMBERS,
-    schedule: SCHEDULE,
+    id,
+    name: name || `Season ${id}`,
+    status: "active",
+    createdAt: new Date().toISOString(),
+    archivedAt: null,
+    members: members || [],
+    schedule: schedule || [],
+    settings: {},
     submissions: [],
     judgments: [],
     appeals: [],
+    usage: [],
+    revisions: [],
+    exemptions: [],
+    submissionRevisions: [],
+    drafts: [],
+  };
+}
+
+function defaultSeason() {
+  return newSeason(1, {
+    members: JSON.parse(JSON.stringify(MEMBERS)),
+    schedule: JSON.parse(JSON.stringify(SCHEDULE)),
+  });
+}
+
+// A schedule as it stood before play: regular-season weeks only (the bracket
+// goes with its playoff weeks), upcoming, with no timeline, lifecycle stamps
+// or appeals status for the scheduler to act on
+function unplayedSchedule(schedule) {
+  return schedule.filter((w) => !w.playoff).map((w) => ({
+    week: w.week,
+    status: "upcoming",
+    matchups: JSON.parse(JSON.stringify(w.matchups || [])),
+    byes: [...(w.byes || [])],
+  }));
+}
+
+function defaultDb() {
+  return {
+    currentSeason: 1,
+    seasons: [defaultSeason()],
+    credentials: [],
   };
 }
 
+// Pre-season databases kept everything at the top level; fold that into Season 1
+function migrateToSeasons(db) {
+  if (db.seasons) return db;
+  const season = newSeason(1, { members: db.members, schedule: db.schedule });
+  season.submissions = db.submissions || [];
+  season.judgments = db.judgments || [];
+  season.appeals = db.appeals || [];
+  season.createdAt = season.submissions.map((s) => s.submittedAt).sort()[0] || season.createdAt;
+  return { currentSeason: 1, seasons: [season], credentials: db.credentials || [] };
+}
+
 // ─── Backup System ───────────────────────────────────────
 
 function createBackup() {
@@ -150,7 +251,7 @@ function restoreBackup(backupName) {
 
 function read() {
   try {
-    return JSON.parse(fs.readFileSync(DB_PATH, "utf8"));
+    return migrateToSeasons(JSON.parse(fs.readFileSync(DB_PATH, "utf8")));
   } catch {
     console.log("[DB] No existing database found, creating default...");
     const db = defaultDb();
@@ -165,6 +266,83 @@ function write(db) {
   fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2), "utf8");
 }
 
+// ─── Member credentials ──────────────────────────────────
+// Personal bearer tokens. Only a SHA-256 hash is stored; the raw token is
+// returned once when issued. A member may hold several tokens so each person
+// on a two-person team ("Trevor & Katie") can have their own.
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function issueToken(memberId, label) {
+  const db = read();
+  if (!db.credentials) db.credentials = [];
+  const token = crypto.randomBytes(24).toString("hex");
+  const credential = {
+    id: `cred-${crypto.randomUUID()}`,
+    memberId,
+    label: label || null,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+  };
+  db.credentials.push(credential);
+  write(db);
+  return { ...credential, token };
+}
+
+function findCredential(token) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  return (read().credentials || []).find(c => c.tokenHash === hash) || null;
+}
+
+function listCredentials(memberId) {
+  return (read().credentials || [])
+    .filter(c => c.memberId === memberId)
+    .map(({ tokenHash, ...c }) => c);
+}
+
+function revokeCredentials(memberId, credentialId) {
+  const db = read();
+  if (!db.credentials) db.credentials = [];
+  const before = db.credentials.length;
+  db.credentials = db.credentials.filter(
+    c => !(c.memberId === memberId && (!credentialId || c.id === credentialId))
+  );
+  write(db);
+  return before - db.credentials.length;
+}
+
+// ─── Prompt templates ────────────────────────────────────
+// Version history of the judge prompts (see prompts.js), keyed by template
+// name: { current: hash | null, versions: [{ hash, text, source, note, savedAt }] }.
+// `current: null` means the template file on disk is used.
+
+function getPromptHistory(name) {
+  return (read().prompts || {})[name] || { current: null, versions: [] };
+}
+
+// Add a version (if it's new) and optionally make it current
+function savePromptVersion(name, version, makeCurrent) {
+  const db = read();
+  if (!db.prompts) db.prompts = {};
+  const history = db.prompts[name] || (db.prompts[name] = { current: null, versions: [] });
+  if (!history.versions.some(v => v.hash === version.hash)) history.versions.push(version);
+  if (makeCurrent) history.current = version.hash;
+  write(db);
+  return history;
+}
+
+// Make a saved version current, or go back to the file on disk with null
+function setCurrentPrompt(name, hash) {
+  const db = read();
+  if (!db.prompts || !db.prompts[name]) return null;
+  db.prompts[name].current = hash;
+  write(db);
+  return db.prompts[name];
+}
+
 // ─── Migration: copy from repo if volume is empty ────────
 
 function migrateIfNeeded() {
@@ -179,154 +357,602 @@ function migrateIfNeeded() {
 
 migrateIfNeeded();
 
-// ─── Public API ───────────────────────────────────────────
+// ─── Judgment revisions ──────────────────────────────────
+// Every change to a judgment appends an immutable snapshot to season.revisions:
+//   { judgmentId, week, m1Id, m2Id, rev, kind, by, note, at, judgment }
+// kind: ruling | rejudge | forfeit | appeal | commissioner | revert | deleted
+// by:   ai | system | commissioner
+// `judgment` is null for a deletion.
 
-module.exports = {
-  getMembers: () => read().members,
-  getMember: (id) => read().members.find((m) => m.id === id) || null,
-  getSchedule: () => read().schedule,
-  getWeek: (weekNum) => read().schedule.find((w) => w.week === weekNum) || null,
-
-  getSubmission(week, memberId) {
-    return read().submissions.find(
-      (s) => s.week === week && s.memberId === memberId
-    ) || null;
-  },
+const copy = (value) => JSON.parse(JSON.stringify(value));
 
-  getSubmissionsForWeek(week) {
-    return read().submissions.filter((s) => s.week === week);
-  },
+function findJudgment(season, { week, m1Id, m2Id }) {
+  return season.judgments.find((j) => j.week === week && j.m1Id === m1Id && j.m2Id === m2Id) || null;
+}
 
-  upsertSubmission({ week, memberId, species, description, mediaFiles }) {
-    const db = read();
-    const idx = db.submissions.findIndex(
-      (s) => s.week === week && s.memberId === memberId
-    );
-    const entry = {
-      id: `sub-w${week}-m${memberId}`,
-      week, memberId, species, description,
-      mediaFiles: mediaFiles || [],
-      submittedAt: new Date().toISOString(),
-    };
-    if (idx >= 0) {
-      entry.resubmittedAt = new Date().toISOString();
-      entry.previousSubmittedAt = db.submissions[idx].submittedAt;
-      db.submissions[idx] = entry;
-    } else {
-      db.submissions.push(entry);
-    }
-    write(db);
-    return entry;
-  },
+// Judgments saved before revisions existed start with a synthetic revision 1
+function revisionsFor(season, key) {
+  const stored = (season.revisions || []).filter(
+    (r) => r.week === key.week && r.m1Id === key.m1Id && r.m2Id === key.m2Id
+  );
+  const live = findJudgment(season, key);
+  if (stored.length || !live) return stored;
+  return [{
+    judgmentId: live.id, ...key, rev: 1, kind: "ruling", by: null,
+    note: "Recorded before revision history", at: live.judgedAt || null, judgment: copy(live),
+  }];
+}
 
-  deleteSubmission(week, memberId) {
-    const db = read();
-    db.submissions = db.submissions.filter(
-      (s) => !(s.week === week && s.memberId === memberId)
-    );
-    write(db);
-  },
+function addRevision(season, key, judgment, { kind, by = null, note = null, ...extra }) {
+  if (!season.revisions) season.revisions = [];
+  const history = revisionsFor(season, key);
+  if (history.length === 1 && !season.revisions.includes(history[0])) season.revisions.push(history[0]);
+  const revision = {
+    judgmentId: `judgment-w${key.week}-${key.m1Id}v${key.m2Id}`,
+    ...key,
+    rev: history.length + 1,
+    kind, by, note, ...extra,
+    at: new Date().toISOString(),
+    judgment: judgment ? copy(judgment) : null,
+  };
+  season.revisions.push(revision);
+  return revision;
+}
 
-  getJudgment(week, m1Id, m2Id) {
-    return read().judgments.find(
-      (j) => j.week === week && j.m1Id === m1Id && j.m2Id === m2Id
-    ) || null;
-  },
+// Make `judgment` the live one for its matchup
+function putJudgment(season, judgment) {
+  const idx = season.judgments.findIndex(
+    (j) => j.week === judgment.week && j.m1Id === judgment.m1Id && j.m2Id === judgment.m2Id
+  );
+  if (idx >= 0) {
+    season.judgments[idx] = judgment;
+  } else {
+    season.judgments.push(judgment);
+  }
+  if (season.schedule.some((w) => w.week === judgment.week && w.playoff)) {
+    advancePlayoffs(season);
+  }
+}
 
-  getJudgmentsForWeek(week) {
-    return read().judgments.filter((j) => j.week === week);
-  },
+// ─── Submission revisions ────────────────────────────────
+// Every finalized submission appends an immutable snapshot to season.submissionRevisions:
+//   { submissionId, week, memberId, rev, by, fromDraft, note, at, submission }
+// by: member | commissioner
+// `submission` is null for a deletion.
+
+function findSubmission(season, week, memberId) {
+  return season.submissions.find((s) => s.week === week && s.memberId === memberId) || null;
+}
+
+// Submissions saved before revisions existed start with a synthetic revision 1
+function submissionRevisionsFor(season, week, memberId) {
+  const stored = (season.submissionRevisions || []).filter((r) => r.week === week && r.memberId === memberId);
+  const live = findSubmission(season, week, memberId);
+  if (stored.length || !live) return stored;
+  return [{
+    submissionId: live.id, week, memberId, rev: 1, by: null, fromDraft: false,
+    note: "Recorded before revision history", at: live.submittedAt, submission: copy(live),
+  }];
+}
+
+function addSubmissionRevision(season, week, memberId, submission, { by = null, fromDraft = false, note = null }) {
+  if (!season.submissionRevisions) season.submissionRevisions = [];
+  const history = submissionRevisionsFor(season, week, memberId);
+  if (history.length === 1 && !season.submissionRevisions.includes(history[0])) season.submissionRevisions.push(history[0]);
+  const revision = {
+    submissionId: `sub-w${week}-m${memberId}`,
+    week, memberId,
+    rev: history.length + 1,
+    by, fromDraft, note,
+    at: new Date().toISOString(),
+    submission: submission ? copy(submission) : null,
+  };
+  season.submissionRevisions.push(revision);
+  return revision;
+}
+
+// ─── Seasons ──────────────────────────────────────────────
+
+function findSeason(db, seasonId) {
+  const id = seasonId == null ? db.currentSeason : seasonId;
+  return db.seasons.find((s) => s.id === id) || null;
+}
+
+function seasonInfo(db, season) {
+  return {
+    id: season.id,
+    name: season.name,
+    status: season.status,
+    current: season.id === db.currentSeason,
+    createdAt: season.createdAt,
+    archivedAt: season.archivedAt,
+    members: season.members.length,
+    weeks: season.schedule.length,
+  };
+}
+
+function listSeasons() {
+  const db = read();
+  return db.seasons.map((s) => seasonInfo(db, s));
+}
 
-  saveJudgment(judgment) {
+function getSeasonInfo(seasonId) {
+  const db = read();
+  const season = findSeason(db, seasonId);
+  return season ? seasonInfo(db, season) : null;
+}
+
+/**
+ * Start a new season and make it current. The roster and settings default to
+ * the current season's; the schedule starts empty unless provided.
+ */
+function createSeason({ name, members, schedule } = {}) {
+  const db = read();
+  const current = findSeason(db, null);
+  const id = Math.max(0, ...db.seasons.map((s) => s.id)) + 1;
+  const season = newSeason(id, {
+    name,
+    members: members || (current ? current.members : []),
+    schedule,
+  });
+  season.settings = current ? JSON.parse(JSON.stringify(current.settings || {})) : {};
+  db.seasons.push(season);
+  db.currentSeason = id;
+  write(db);
+  return seasonInfo(db, season);
+}
+
+function archiveSeason(seasonId) {
+  const db = read();
+  const season = findSeason(db, seasonId);
+  if (!season) return null;
+  if (season.id === db.currentSeason) {
+    throw new Error("Cannot archive the current season; create the next season first");
+  }
+  season.status = "archived";
+  season.archivedAt = new Date().toISOString();
+  write(db);
+  return seasonInfo(db, season);
+}
+
+/**
+ * Season-scoped data API. `seasonId` of null means "whatever season is
+ * current at call time", which is what the top-level exports use.
+ */
+function forSeason(seasonId) {
+  function season() {
+    return findSeason(read(), seasonId) || newSeason(seasonId);
+  }
+
+  // Load, mutate and persist the season; archived seasons refuse writes
+  function mutate(fn) {
     const db = read();
-    const idx = db.judgments.findIndex(
-      (j) => j.week === judgment.week && j.m1Id === judgment.m1Id && j.m2Id === judgment.m2Id
-    );
-    if (idx >= 0) {
-      db.judgments[idx] = judgment;
-    } else {
-      db.judgments.push(judgment);
-    }
+    const s = findSeason(db, seasonId);
+    if (!s) throw new Error(`Season ${seasonId} not found`);
+    if (s.status === "archived") throw new Error(`Season ${s.id} is archived and read-only`);
+    const result = fn(s, db);
     write(db);
-    return judgment;
-  },
+    return result;
+  }
 
-  getStandings() {
-    const db = read();
-    const map = {};
-    db.members.forEach((m) => {
-      map[m.id] = { id: m.id, name: m.name, w: 0, l: 0 };
-    });
-    db.judgments.forEach((j) => {
-      if (j.winner === "m1") {
-        if (map[j.m1Id]) map[j.m1Id].w++;
-        if (map[j.m2Id]) map[j.m2Id].l++;
-      } else if (j.winner === "m2") {
-        if (map[j.m2Id]) map[j.m2Id].w++;
-        if (map[j.m1Id]) map[j.m1Id].l++;
+  const api = {
+    getSeasonId: () => season().id,
+    getMembers: () => season().members,
+    getMember: (id) => season().members.find((m) => m.id === id) || null,
+    getSchedule: () => season().schedule,
+    getSettings: () => mergeSettings(DEFAULT_SETTINGS, season().settings),
+
+    // Deep-merge a patch into the season's settings
+    updateSettings(patch) {
+      return mutate((season) => {
+        season.settings = mergeSettings(season.settings || {}, patch);
+        return mergeSettings(DEFAULT_SETTINGS, season.settings);
+      });
+    },
+    getWeek: (weekNum) => season().schedule.find((w) => w.week === weekNum) || null,
+
+    getSubmission(week, memberId) {
+      return season().submissions.find(
+        (s) => s.week === week && s.memberId === memberId
+      ) || null;
+    },
+
+    getSubmissionsForWeek(week) {
+      return season().submissions.filter((s) => s.week === week);
+    },
+
+    // Save a submission and record it as a new revision (`rev`).
+    // `taxon` is the species checked against the bundled checklist (taxonomy.js);
+    // `forfeit` ({ rule, reason }) marks a submission that broke a forfeit rule (rules.js).
+    // `mediaInfo` maps media URLs to what images.js found. `meta` is { by, fromDraft }.
+    upsertSubmission({ week, memberId, species, description, mediaFiles, mediaInfo, forfeit }, meta = {}) {
+      return mutate((season) => {
+        const idx = season.submissions.findIndex(
+          (s) => s.week === week && s.memberId === memberId
+        );
+        const entry = {
+          id: `sub-w${week}-m${memberId}`,
+          week, memberId, species, description,
+          taxon: taxonomy.identify(species),
+          mediaFiles: mediaFiles || [],
+          mediaInfo: mediaInfo || {},
+          submittedAt: new Date().toISOString(),
+        };
+        if (forfeit) entry.forfeit = forfeit;
+        if (idx >= 0) {
+          entry.resubmittedAt = new Date().toISOString();
+          entry.previousSubmittedAt = season.submissions[idx].submittedAt;
+        }
+        entry.rev = submissionRevisionsFor(season, week, memberId).length + 1;
+        addSubmissionRevision(season, week, memberId, entry, { by: "member", ...meta });
+        season.submissions[idx >= 0 ? idx : season.submissions.length] = entry;
+        return entry;
+      });
+    },
+
+    deleteSubmission(week, memberId, by = "commissioner") {
+      mutate((season) => {
+        if (findSubmission(season, week, memberId)) {
+          addSubmissionRevision(season, week, memberId, null, { by, note: "Deleted" });
+        }
+        season.submissions = season.submissions.filter(
+          (s) => !(s.week === week && s.memberId === memberId)
+        );
+      });
+    },
+
+    // The live submission, the member's draft and every revision, oldest first
+    getSubmissionHistory(week, memberId) {
+      const s = season();
+      return {
+        current: findSubmission(s, week, memberId),
+        draft: api.getDraft(week, memberId),
+        revisions: submissionRevisionsFor(s, week, memberId),
+      };
+    },
+
+    // ── Drafts ──────────────────────────────────────────
+    // Saved privately by a member before submitting; one per member per week
+    getDraft(week, memberId) {
+      return (season().drafts || []).find((d) => d.week === week && d.memberId === memberId) || null;
+    },
+
+    // Replace the member's draft; returns { draft, replaced }
+    saveDraft({ week, memberId, species, description, mediaFiles, mediaInfo }) {
+      return mutate((season) => {
+        if (!season.drafts) season.drafts = [];
+        const idx = season.drafts.findIndex((d) => d.week === week && d.memberId === memberId);
+        const replaced = idx >= 0 ? season.drafts[idx] : null;
+        const draft = {
+          week, memberId, species, description,
+          taxon: species ? taxonomy.identify(species) : null,
+          mediaFiles: mediaFiles || [],
+          mediaInfo: mediaInfo || {},
+          savedAt: new Date().toISOString(),
+        };
+        season.drafts[idx >= 0 ? idx : season.drafts.length] = draft;
+        return { draft, replaced };
+      });
+    },
+
+    // Returns the removed draft, or null
+    deleteDraft(week, memberId) {
+      return mutate((season) => {
+        const draft = (season.drafts || []).find((d) => d.week === week && d.memberId === memberId) || null;
+        if (draft) season.drafts = season.drafts.filter((d) => d !== draft);
+        return draft;
+      });
+    },
+
+    // Media URLs any submission, revision or draft of the season refers to (see media.js)
+    getMediaReferences() {
+      const s = season();
+      return [
+        ...s.submissions,
+        ...(s.submissionRevisions || []).map((r) => r.submission).filter(Boolean),
+        ...(s.drafts || []),
+      ].flatMap((sub) => sub.mediaFiles || []);
+    },
+
+    getJudgment(week, m1Id, m2Id) {
+      return season().judgments.find(
+        (j) => j.week === week && j.m1Id === m1Id && j.m2Id === m2Id
+      ) || null;
+    },
+
+    getJudgmentsForWeek(week) {
+      return season().judgments.filter((j) => j.week === week);
+    },
+
+    // Save a judgment and record it as a new revision. `meta` is
+    // { kind, by, note }; kind defaults to "ruling", or "rejudge" when the
+    // matchup has been judged before. A judgment needs a winner unless it is
+    // a double forfeit, a commissioner ruling, or flagged for commissioner review.
+    saveJudgment(judgment, meta = {}) {
+      const decided = judgment.winner === "m1" || judgment.winner === "m2";
+      if (!decided && judgment.forfeit !== "both" && !judgment.commissionerRuling && !judgment.needsReview) {
+        throw new Error(`Judgment ${judgment.id} has no winner and isn't flagged for review`);
       }
-    });
-    return Object.values(map).sort((a, b) => {
-      if (b.w !== a.w) return b.w - a.w;
-      return a.l - b.l;
-    });
-  },
+      return mutate((season) => {
+        const key = { week: judgment.week, m1Id: judgment.m1Id, m2Id: judgment.m2Id };
+        const kind = meta.kind || (revisionsFor(season, key).length ? "rejudge" : "ruling");
+        addRevision(season, key, judgment, { by: "ai", ...meta, kind });
+        putJudgment(season, judgment);
+        return judgment;
+      });
+    },
+
+    // Remove judgments for a week, or for one matchup when m1Id/m2Id are given.
+    // Their revision history is kept, ending in a "deleted" revision.
+    deleteJudgments(week, m1Id, m2Id) {
+      return mutate((season) => {
+        const removed = season.judgments.filter((j) => (
+          j.week === week && (m1Id == null || (j.m1Id === m1Id && j.m2Id === m2Id))
+        ));
+        removed.forEach((j) => {
+          addRevision(season, { week: j.week, m1Id: j.m1Id, m2Id: j.m2Id }, null, { kind: "deleted", by: "commissioner" });
+        });
+        season.judgments = season.judgments.filter((j) => !removed.includes(j));
+        if (season.schedule.some((w) => w.week === week && w.playoff)) advancePlayoffs(season);
+        return removed.length;
+      });
+    },
+
+    // Every revision of a matchup's judgment, oldest first, and the live one
+    getJudgmentHistory(week, m1Id, m2Id) {
+      const s = season();
+      const key = { week, m1Id, m2Id };
+      return { current: findJudgment(s, key), revisions: revisionsFor(s, key) };
+    },
+
+    // Make an earlier revision live again, recorded as a "revert" revision
+    revertJudgment(week, m1Id, m2Id, rev, by = "commissioner") {
+      return mutate((season) => {
+        const key = { week, m1Id, m2Id };
+        const target = revisionsFor(season, key).find((r) => r.rev === rev);
+        if (!target) throw new Error(`Revision ${rev} not found`);
+        if (!target.judgment) throw new Error(`Revision ${rev} is a deletion`);
+        const judgment = copy(target.judgment);
+        addRevision(season, key, judgment, { kind: "revert", by, note: `Reverted to revision ${rev}`, revertedTo: rev });
+        putJudgment(season, judgment);
+        return judgment;
+      });
+    },
 
-  setWeekStatus(weekNum, status) {
-    const db = read();
-    const week = db.schedule.find((w) => w.week === weekNum);
-    if (week) {
-      week.status = status;
-      write(db);
-    }
-    return week;
-  },
+    // Regular season only; see standings.js for records and tiebreakers
+    getStandings: () => computeStandings(season()),
 
-  setWeekMatchups(weekNum, matchups) {
-    const db = read();
-    const week = db.schedule.find((w) => w.week === weekNum);
-    if (week) {
-      week.matchups = matchups;
-      write(db);
-    }
-    return week;
-  },
+    setWeekStatus(weekNum, status) {
+      return mutate((season) => {
+        const week = season.schedule.find((w) => w.week === weekNum);
+        if (week) week.status = status;
+        return week || null;
+      });
+    },
+
+    setWeekMatchups(weekNum, matchups, byes) {
+      return mutate((season) => {
+        const week = season.schedule.find((w) => w.week === weekNum);
+        if (week) {
+          week.matchups = matchups;
+          week.byes = byes || [];
+        }
+        return week || null;
+      });
+    },
+
+    // Replace a week's timeline, dropping the given lifecycle stamps
+    setWeekTimeline(weekNum, timeline, clearStamps) {
+      return mutate((season) => {
+        const week = season.schedule.find((w) => w.week === weekNum);
+        if (!week) return null;
+        week.timeline = timeline;
+        week.lifecycle = week.lifecycle || {};
+        (clearStamps || []).forEach((key) => delete week.lifecycle[key]);
+        return week;
+      });
+    },
+
+    // Record that a lifecycle transition ran (`key` gets the current time)
+    markWeekLifecycle(weekNum, key, extra) {
+      return mutate((season) => {
+        const week = season.schedule.find((w) => w.week === weekNum);
+        if (!week) return null;
+        week.lifecycle = { ...(week.lifecycle || {}), ...(extra || {}) };
+        if (key) week.lifecycle[key] = new Date().toISOString();
+        return week;
+      });
+    },
 
-  // ── Appeals ─────────────────────────────────────────
-  getAppeal(week, m1Id, m2Id) {
-    const db = read();
-    if (!db.appeals) db.appeals = [];
-    return db.appeals.find(a => a.week === week && a.m1Id === m1Id && a.m2Id === m2Id) || null;
-  },
+    setSchedule(schedule) {
+      return mutate((season) => {
+        season.schedule = schedule;
+        return schedule;
+      });
+    },
 
-  getAppealsForWeek(week) {
-    const db = read();
-    if (!db.appeals) db.appeals = [];
-    return db.appeals.filter(a => a.week === week);
-  },
+    setAppealsStatus(weekNum, appealsStatus) {
+      return mutate((season) => {
+        const week = season.schedule.find((w) => w.week === weekNum);
+        if (week) week.appealsStatus = appealsStatus;
+        return week || null;
+      });
+    },
+
+    // ── Playoffs ────────────────────────────────────────
+    getPlayoffs: () => season().playoffs || null,
+
+    // Seed from current standings and schedule the first playoff week
+    createPlayoffs(opts) {
+      const standings = api.getStandings();
+      return mutate((season) => {
+        season.playoffs = createBracket(standings, opts);
+        advancePlayoffs(season);
+        return season.playoffs;
+      });
+    },
+
+    // Remove the bracket and its (unjudged) playoff weeks
+    deletePlayoffs() {
+      return mutate((season) => {
+        const weeks = new Set(season.schedule.filter((w) => w.playoff).map((w) => w.week));
+        if (season.judgments.some((j) => weeks.has(j.week))) {
+          throw new Error("Playoff games have already been judged");
+        }
+        season.schedule = season.schedule.filter((w) => !w.playoff);
+        season.submissions = season.submissions.filter((s) => !weeks.has(s.week));
+        season.submissionRevisions = (season.submissionRevisions || []).filter((r) => !weeks.has(r.week));
+        season.drafts = (season.drafts || []).filter((d) => !weeks.has(d.week));
+        delete season.playoffs;
+        return weeks.size;
+      });
+    },
 
-  saveAppeal(appeal) {
-    const db = read();
-    if (!db.appeals) db.appeals = [];
-    const idx = db.appeals.findIndex(a => a.week === appeal.week && a.m1Id === appeal.m1Id && a.m2Id === appeal.m2Id);
-    if (idx >= 0) {
-      db.appeals[idx] = appeal;
-    } else {
-      db.appeals.push(appeal);
-    }
-    createBackup();
-    write(db);
-    return appeal;
-  },
+    // ── Usage ───────────────────────────────────────────
+    // Provider calls made while judging (see costs.js); kept when judgments are deleted
+    getUsage: () => season().usage || [],
+
+    recordUsage(entries) {
+      return mutate((season) => {
+        season.usage = (season.usage || []).concat(entries);
+        return entries.length;
+      });
+    },
+
+    // ── Exemptions ──────────────────────────────────────
+    // Commissioner waivers of a league rule for one member's submission in one week
+    getExemptions(week, memberId) {
+      return (season().exemptions || []).filter(e =>
+        (week === undefined || e.week === week) && (memberId === undefined || e.memberId === memberId));
+    },
+
+    grantExemption({ week, memberId, rule, reason }) {
+      return mutate((season) => {
+        season.exemptions = (season.exemptions || []).filter(e =>
+          !(e.week === week && e.memberId === memberId && e.rule === rule));
+        const exemption = { week, memberId, rule, reason: reason || null, grantedAt: new Date().toISOString() };
+        season.exemptions.push(exemption);
+        return exemption;
+      });
+    },
+
+    revokeExemption(week, memberId, rule) {
+      return mutate((season) => {
+        const before = (season.exemptions || []).length;
+        season.exemptions = (season.exemptions || []).filter(e =>
+          !(e.week === week && e.memberId === memberId && e.rule === rule));
+        return before - season.exemptions.length;
+      });
+    },
+
+    // ── Appeals ─────────────────────────────────────────
+    getAppeal(week, m1Id, m2Id) {
+      return season().appeals.find(a => a.week === week && a.m1Id === m1Id && a.m2Id === m2Id) || null;
+    },
+
+    getAppealsForWeek(week) {
+      return season().appeals.filter(a => a.week === week);
+    },
+
+    saveAppeal(appeal) {
+      return mutate((season) => {
+        const idx = season.appeals.findIndex(a => a.week === appeal.week && a.m1Id === appeal.m1Id && a.m2Id === appeal.m2Id);
+        if (idx >= 0) {
+          season.appeals[idx] = appeal;
+        } else {
+          season.appeals.push(appeal);
+        }
+        return appeal;
+      });
+    },
+
+    // Delete an appeal and any commissioner/appeal ruling it produced: the
+    // judgment goes back to its latest revision without one
+    deleteAppeal(week, m1Id, m2Id) {
+      return mutate((season) => {
+        const before = season.appeals.length;
+        season.appeals = season.appeals.filter(a => !(a.week === week && a.m1Id === m1Id && a.m2Id === m2Id));
+        const key = { week, m1Id, m2Id };
+        const live = findJudgment(season, key);
+        if (live && (live.commissionerRuling || live.appealRuling)) {
+          const clean = revisionsFor(season, key)
+            .filter(r => r.judgment && !r.judgment.commissionerRuling && !r.judgment.appealRuling)
+            .pop();
+          const judgment = copy(clean ? clean.judgment : live);
+          if (!clean) { delete judgment.commissionerRuling; delete judgment.appealRuling; }
+          addRevision(season, key, judgment, {
+            kind: "revert", by: "commissioner", note: "Appeal deleted", revertedTo: clean ? clean.rev : null,
+          });
+          putJudgment(season, judgment);
+        }
+        return before - season.appeals.length;
+      });
+    },
+  };
+  return api;
+}
+
+// ─── Public API ───────────────────────────────────────────
+
+module.exports = {
+  // Unscoped calls act on the current season
+  ...forSeason(null),
+  season: forSeason,
+
+  // ── Seasons ────────────────────────────────────────
+  listSeasons,
+  getSeasonInfo,
+  getCurrentSeasonId: () => read().currentSeason,
+  createSeason,
+  archiveSeason,
 
   // ── Backup API ─────────────────────────────────────
   listBackups,
   restoreBackup,
   getFullDb() { return read(); },
-  replaceDb(newDb) { createBackup(); write(newDb); return newDb; },
-
+  replaceDb(newDb) { createBackup(); write(migrateToSeasons(newDb)); return newDb; },
+
+  // ── Member credentials ─────────────────────────────
+  issueToken,
+  findCredential,
+  listCredentials,
+  revokeCredentials,
+
+  // ── Prompt templates ───────────────────────────────
+  getPromptHistory,
+  savePromptVersion,
+  setCurrentPrompt,
+
+  // Resets the current season's results: submissions, judgments, appeals and
+  // drafts are cleared, as are the playoff bracket and weeks and every week's
+  // timeline and lifecycle; Season 1 gets its original roster and schedule
+  // back, other seasons keep theirs. The audit trail survives: each cleared judgment and
+  // submission gets a deletion revision, and usage, exemptions and settings
+  // are kept. Other seasons, credentials and prompt templates are untouched.
+  // With no current season, a fresh one is created.
   reset() {
-    const db = defaultDb();
+    const db = read();
+    const current = findSeason(db, null);
+    const id = current ? current.id : db.currentSeason || Math.max(0, ...db.seasons.map((x) => x.id)) + 1;
+    const fresh = id === 1
+      ? defaultSeason()
+      : newSeason(id, { ...current, schedule: current && unplayedSchedule(current.schedule) });
+    if (current) {
+      for (const j of current.judgments) {
+        addRevision(current, { week: j.week, m1Id: j.m1Id, m2Id: j.m2Id }, null, { kind: "deleted", by: "commissioner", note: "Season reset" });
+      }
+      for (const sub of current.submissions) {
+        addSubmissionRevision(current, sub.week, sub.memberId, null, { by: "commissioner", note: "Season reset" });
+      }
+      fresh.createdAt = current.createdAt;
+      for (const key of ["settings", "usage", "exemptions", "revisions", "submissionRevisions"]) {
+        fresh[key] = current[key] || fresh[key];
+      }
+      db.seasons[db.seasons.indexOf(current)] = fresh;
+    } else {
+      db.seasons.push(fresh);
+      db.currentSeason = id;
+    }
     write(db);
     return db;
   },
@@ -0,0 +1,326 @@
+/**
+ * Bird League — Photo processing
+ *
+ * Runs on every uploaded image once it is on disk (server.js):
+ *  - reads EXIF from JPEG, WebP and PNG: capture time, camera, lens, and the
+ *    GPS position, which is only kept when the member opts in
+ *  - rewrites the file without location: GPS tags are blanked in place (so
+ *    orientation and everything else survive) and XMP packets are dropped.
+ *    That stripped file is the public copy served at the media URL.
+ *  - writes resized JPEG variants next to it (file names in media.js):
+ *      thumb  320px on the long edge
+ *      web    1600px
+ *      judge  1568px, the copy attached to judge requests
+ *
+ * Resizing uses `sharp`, the server's one dependency. Photos uploaded before
+ * this pipeline get their variants the first time one is asked for
+ * (ensureVariant).
+ *
+ * EXIF and image sizes are read in plain JS.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { VARIANTS, variantPath } = require("./media");
+const { UploadError } = require("./multipart");
+
+const VARIANT_EDGES = { thumb: 320, web: 1600, judge: 1568 }; // one per media.VARIANTS
+
+// ─── EXIF (TIFF structure) ────────────────────────────────
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const TAG = {
+  make: 0x010f, model: 0x0110, orientation: 0x0112, dateTime: 0x0132,
+  exifIfd: 0x8769, gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003, offsetTimeOriginal: 0x9011, lensModel: 0xa434,
+  gpsLatRef: 1, gpsLat: 2, gpsLonRef: 3, gpsLon: 4, gpsAltRef: 5, gpsAlt: 6,
+};
+
+function tiffReader(buf) {
+  if (buf.length < 8) return null;
+  const order = buf.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") return null;
+  const le = order === "II";
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const i32 = (o) => (le ? buf.readInt32LE(o) : buf.readInt32BE(o));
+  if (u16(2) !== 42) return null;
+
+  // An IFD's entries by tag: { type, n, size, valueAt }
+  function ifd(offset) {
+    const entries = new Map();
+    if (!offset || offset + 2 > buf.length) return { offset: null, count: 0, entries };
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const at = offset + 2 + i * 12;
+      if (at + 12 > buf.length) break;
+      const type = u16(at + 2);
+      const n = u32(at + 4);
+      const size = (TYPE_SIZES[type] || 1) * n;
+      const valueAt = size <= 4 ? at + 8 : u32(at + 8);
+      if (valueAt + size <= buf.length) entries.set(u16(at), { type, n, size, valueAt });
+    }
+    return { offset, count, entries };
+  }
+
+  function value(entry) {
+    if (!entry) return undefined;
+    const { type, n, valueAt } = entry;
+    if (type === 2) return buf.toString("latin1", valueAt, valueAt + n).replace(/\0[\s\S]*$/, "").trim();
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      if (type === 3) out.push(u16(valueAt + i * 2));
+      else if (type === 4) out.push(u32(valueAt + i * 4));
+      else if (type === 9) out.push(i32(valueAt + i * 4));
+      else if (type === 5 || type === 10) {
+        const read = type === 5 ? u32 : i32;
+        const den = read(valueAt + i * 8 + 4);
+        out.push(den ? read(valueAt + i * 8) / den : 0);
+      } else out.push(buf[valueAt + i]);
+    }
+    return n === 1 ? out[0] : out;
+  }
+
+  const ifd0 = ifd(u32(4));
+  return {
+    ifd0,
+    exif: ifd(value(ifd0.entries.get(TAG.exifIfd))),
+    gps: ifd(value(ifd0.entries.get(TAG.gpsIfd))),
+    value,
+  };
+}
+
+// "2024:05:18 07:42:10" (+ "-04:00") → "2024-05-18T07:42:10-04:00"
+function exifDate(text, offset) {
+  const m = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || "");
+  if (!m || m[1] === "0000") return null;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${/^[+-]\d{2}:\d{2}$/.test(offset || "") ? offset : ""}`;
+}
+
+function degrees(dms, ref, negative) {
+  if (!Array.isArray(dms) || dms.length !== 3) return null;
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return Math.round((ref === negative ? -value : value) * 1e6) / 1e6;
+}
+
+/** What the EXIF block says: { takenAt, camera, lens, orientation, gps } */
+function readExif(tiff) {
+  const t = tiffReader(tiff);
+  if (!t) return null;
+  const get = (dir, tag) => t.value(dir.entries.get(tag));
+  const make = get(t.ifd0, TAG.make);
+  const model = get(t.ifd0, TAG.model);
+  const lat = degrees(get(t.gps, TAG.gpsLat), get(t.gps, TAG.gpsLatRef), "S");
+  const lon = degrees(get(t.gps, TAG.gpsLon), get(t.gps, TAG.gpsLonRef), "W");
+  const alt = get(t.gps, TAG.gpsAlt);
+  return {
+    takenAt: exifDate(get(t.exif, TAG.dateTimeOriginal) || get(t.ifd0, TAG.dateTime), get(t.exif, TAG.offsetTimeOriginal)),
+    camera: (make && model && !model.startsWith(make) ? `${make} ${model}` : model || make) || null,
+    lens: get(t.exif, TAG.lensModel) || null,
+    orientation: get(t.ifd0, TAG.orientation) || null,
+    gps: lat !== null && lon !== null
+      ? { lat, lon, ...(typeof alt === "number" && { alt: get(t.gps, TAG.gpsAltRef) === 1 ? -alt : alt }) }
+      : null,
+  };
+}
+
+// Zero every GPS tag and its data in place, leaving an empty GPS IFD
+function blankGps(tiff) {
+  const t = tiffReader(tiff);
+  if (!t || !t.gps.entries.size) return false;
+  for (const entry of t.gps.entries.values()) tiff.fill(0, entry.valueAt, entry.valueAt + entry.size);
+  tiff.fill(0, t.gps.offset, Math.min(tiff.length, t.gps.offset + 2 + t.gps.count * 12 + 4));
+  return true;
+}
+
+// ─── Containers ───────────────────────────────────────────
+// Each returns { exif, width, height, data, removed }: `data` is the file
+// without location, `removed` says whether anything was taken out.
+
+const EXIF_HEADER = "Exif\0\0";
+const XMP_HEADERS = ["http://ns.adobe.com/xap/1.0/\0", "http://ns.adobe.com/xmp/extension/\0"];
+
+const startsWith = (buf, text) => buf.toString("latin1", 0, text.length) === text;
+const SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpeg(buf) {
+  const out = { exif: null, width: null, height: null, data: buf, removed: false };
+  const keep = [];
+  let from = 0;
+  let o = 2;
+  while (o + 4 <= buf.length && buf[o] === 0xff) {
+    const marker = buf[o + 1];
+    if (marker === 0xff) { o++; continue; } // fill byte
+    if (marker === 0xda || marker === 0xd9) break; // image data follows
+    const end = o + 2 + buf.readUInt16BE(o + 2);
+    const data = buf.subarray(o + 4, end);
+    if (marker === 0xe1 && startsWith(data, EXIF_HEADER)) {
+      const tiff = data.subarray(EXIF_HEADER.length);
+      out.exif = out.exif || readExif(tiff);
+      if (blankGps(tiff)) out.removed = true;
+    } else if (marker === 0xe1 && XMP_HEADERS.some((h) => startsWith(data, h))) {
+      keep.push(buf.subarray(from, o));
+      from = end;
+      out.removed = true;
+    } else if (SOF.has(marker) && data.length >= 5) {
+      out.height = data.readUInt16BE(1);
+      out.width = data.readUInt16BE(3);
+    }
+    o = end;
+  }
+  if (from) out.data = Buffer.concat([...keep, buf.subarray(from)]);
+  return out;
+}
+
+function webp(buf) {
+  const out = { exif: null, width: null, height: null, data: buf, removed: false };
+  const chunks = [];
+  let vp8x = null;
+  for (let o = 12; o + 8 <= buf.length;) {
+    const type = buf.toString("latin1", o, o + 4);
+    const size = buf.readUInt32LE(o + 4);
+    const end = Math.min(buf.length, o + 8 + size + (size % 2));
+    const data = buf.subarray(o + 8, o + 8 + size);
+    if (type === "EXIF") {
+      const tiff = startsWith(data, EXIF_HEADER) ? data.subarray(EXIF_HEADER.length) : data;
+      out.exif = readExif(tiff);
+      if (blankGps(tiff)) out.removed = true;
+    } else if (type === "VP8X" && data.length >= 10) {
+      vp8x = data;
+      out.width = 1 + data.readUIntLE(4, 3);
+      out.height = 1 + data.readUIntLE(7, 3);
+    } else if (type === "VP8 " && !out.width && data.length >= 10) {
+      out.width = data.readUInt16LE(6) & 0x3fff;
+      out.height = data.readUInt16LE(8) & 0x3fff;
+    } else if (type === "VP8L" && !out.width && data.length >= 5) {
+      out.width = 1 + (((data[2] & 0x3f) << 8) | data[1]);
+      out.height = 1 + (((data[4] & 0x0f) << 10) | (data[3] << 2) | ((data[2] & 0xc0) >> 6));
+    }
+    if (type === "XMP ") out.removed = true;
+    else chunks.push(buf.subarray(o, end));
+    o = end;
+  }
+  if (buf.subarray(12).length !== chunks.reduce((n, c) => n + c.length, 0)) {
+    if (vp8x) vp8x[0] &= ~0x04; // no XMP any more
+    const header = Buffer.from(buf.subarray(0, 12));
+    const body = Buffer.concat(chunks);
+    header.writeUInt32LE(body.length + 4, 4);
+    out.data = Buffer.concat([header, body]);
+  }
+  return out;
+}
+
+function png(buf) {
+  const out = { exif: null, width: null, height: null, data: buf, removed: false };
+  const chunks = [buf.subarray(0, 8)];
+  for (let o = 8; o + 12 <= buf.length;) {
+    const size = buf.readUInt32BE(o);
+    const type = buf.toString("latin1", o + 4, o + 8);
+    const end = o + 12 + size;
+    const data = buf.subarray(o + 8, o + 8 + size);
+    let drop = false;
+    if (type === "IHDR" && data.length >= 8) {
+      out.width = data.readUInt32BE(0);
+      out.height = data.readUInt32BE(4);
+    } else if (type === "eXIf") {
+      // Dropped whole: its CRC would no longer match after blanking
+      out.exif = readExif(data);
+      drop = !!(out.exif && out.exif.gps);
+    } else if ((type === "iTXt" || type === "tEXt") && startsWith(data, "XML:com.adobe.xmp\0")) {
+      drop = true;
+    }
+    if (drop) out.removed = true;
+    else chunks.push(buf.subarray(o, end));
+    o = end;
+  }
+  if (out.removed) out.data = Buffer.concat(chunks);
+  return out;
+}
+
+function gif(buf) {
+  return { exif: null, width: buf.readUInt16LE(6), height: buf.readUInt16LE(8), data: buf, removed: false };
+}
+
+const CONTAINERS = { "image/jpeg": jpeg, "image/webp": webp, "image/png": png, "image/gif": gif };
+
+// ─── Upload pipeline ──────────────────────────────────────
+
+/**
+ * Process an uploaded file in place and write its variants.
+ *
+ * @param {string} filePath - The saved upload (becomes the public copy)
+ * @param {string} mime - Sniffed type (multipart.js)
+ * @param {object} [opts] - { keepLocation }: store the GPS position in the result
+ * @returns {Promise<{ mime, bytes, width?, height?, takenAt?, camera?, lens?, gps?,
+ *   locationRemoved?, variants? }>} What the submission stores for the file
+ */
+async function processUpload(filePath, mime, { keepLocation = false } = {}) {
+  const container = CONTAINERS[mime];
+  if (!container) return { mime, bytes: fs.statSync(filePath).size };
+
+  let parsed;
+  try {
+    parsed = container(fs.readFileSync(filePath));
+  } catch (err) {
+    // Without a parse the location can't be stripped, so the photo isn't kept
+    throw new UploadError(`A photo couldn't be read (${err.message})`, 415);
+  }
+  if (parsed.removed) fs.writeFileSync(filePath, parsed.data);
+
+  const exif = parsed.exif || {};
+  const info = {
+    mime,
+    bytes: parsed.data.length,
+    width: parsed.width,
+    height: parsed.height,
+    takenAt: exif.takenAt || null,
+    camera: exif.camera || null,
+    lens: exif.lens || null,
+    gps: keepLocation && exif.gps ? exif.gps : null,
+    locationRemoved: parsed.removed,
+    variants: [],
+  };
+
+  for (const variant of VARIANTS) {
+    try {
+      await resize(parsed.data, variant, variantPath(filePath, variant));
+    } catch (err) {
+      throw new UploadError(`A photo couldn't be resized (${err.message})`, 415);
+    }
+    info.variants.push(variant);
+  }
+  return info;
+}
+
+function resize(input, variant, outPath) {
+  const edge = VARIANT_EDGES[variant];
+  return sharp(input, { animated: false })
+    .rotate() // apply EXIF orientation; the output carries no metadata
+    .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: variant === "thumb" ? 70 : 82 })
+    .toFile(outPath);
+}
+
+/**
+ * Path of a photo's `variant`, writing it first if it's missing (photos
+ * uploaded before the pipeline existed).
+ *
+ * @returns {Promise<string>}
+ * @throws {Error} When the photo can't be decoded
+ */
+async function ensureVariant(filePath, variant) {
+  const out = variantPath(filePath, variant);
+  if (fs.existsSync(out)) return out;
+  // Write aside and rename, so a concurrent request never reads half a file
+  const tmp = `${out}.${crypto.randomUUID()}.tmp`;
+  try {
+    await resize(filePath, variant, tmp);
+    fs.renameSync(tmp, out);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+  return out;
+}
+
+module.exports = { processUpload, ensureVariant, readExif, IMAGE_TYPES: Object.keys(CONTAINERS) };
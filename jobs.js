@@ -0,0 +1,262 @@
+/**
+ * Bird League — Background judging jobs
+ *
+ * Judging a week runs as a job instead of inside the HTTP request. Jobs are
+ * persisted to jobs.json next to db.json (kept out of db.json so per-stage
+ * progress writes don't churn the backups) and run one at a time, one
+ * matchup after another.
+ *
+ * Matchup statuses: pending → calling_chatgpt → calling_gemini → ruling →
+ * done (panel mode: pending → voting → ruling → done), or skipped / failed /
+ * cancelled.
+ * Job statuses: queued → running → done | failed | cancelled.
+ * A failed matchup carries `errorKind` from the provider error (auth, quota,
+ * content_policy, invalid_request, transient) and the job's `errorKinds`
+ * counts them, so an expired key reads differently from a flaky network.
+ *
+ * On boot, resumeJobs() puts interrupted jobs back in the queue; matchups
+ * that were mid-flight start over, finished ones are kept.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("./db");
+
+const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, "data");
+const JOBS_PATH = path.join(DATA_DIR, "jobs.json");
+const MAX_JOBS = 100;
+const ACTIVE = ["queued", "running"];
+const IN_FLIGHT = ["calling_chatgpt", "calling_gemini", "voting", "ruling"];
+
+let draining = false;
+const waiters = {};
+
+// ─── Storage ───────────────────────────────────────────────
+
+function readJobs() {
+  try {
+    return JSON.parse(fs.readFileSync(JOBS_PATH, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+// Only finished jobs are pruned, oldest first, so a queued or running job is never evicted
+function writeJobs(jobs) {
+  const finished = jobs.filter(j => !ACTIVE.includes(j.status));
+  const pruned = new Set(finished.slice(0, Math.max(0, jobs.length - MAX_JOBS)));
+  fs.writeFileSync(JOBS_PATH, JSON.stringify(jobs.filter(j => !pruned.has(j)), null, 2), "utf8");
+}
+
+function getJob(id) {
+  return readJobs().find(j => j.id === id) || null;
+}
+
+function listJobs() {
+  return readJobs().reverse();
+}
+
+// Apply `fn` to the stored job and persist it
+function updateJob(id, fn) {
+  const jobs = readJobs();
+  const job = jobs.find(j => j.id === id);
+  if (!job) return null;
+  fn(job);
+  writeJobs(jobs);
+  return job;
+}
+
+// ─── Public API ────────────────────────────────────────────
+
+/**
+ * Queue judging for a week. If the week already has an active job, that job
+ * is returned instead of starting a second one.
+ */
+function createJudgeJob(week) {
+  const weekData = db.getWeek(week);
+  if (!weekData) throw new Error(`Week ${week} not found`);
+  const seasonId = db.getSeasonId();
+
+  const jobs = readJobs();
+  const active = jobs.find(j => j.seasonId === seasonId && j.week === week && ACTIVE.includes(j.status));
+  if (active) return active;
+
+  const job = {
+    id: `job-${crypto.randomUUID()}`,
+    type: "judge_week",
+    seasonId,
+    week,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    errorKinds: null,
+    matchups: weekData.matchups.map(mu => ({
+      m1: mu.m1, m2: mu.m2, status: "pending", outcome: null, error: null, errorKind: null, judgmentId: null,
+    })),
+  };
+  jobs.push(job);
+  writeJobs(jobs);
+  setImmediate(kick);
+  return job;
+}
+
+/** Resolves with the finished job (done, failed or cancelled) */
+function waitForJob(id) {
+  const job = getJob(id);
+  if (!job) return Promise.reject(new Error(`Job ${id} not found`));
+  if (!ACTIVE.includes(job.status)) return Promise.resolve(job);
+  return new Promise(resolve => {
+    (waiters[id] = waiters[id] || []).push(resolve);
+  });
+}
+
+/**
+ * Cancel a job. Queued jobs stop immediately; a running job finishes the
+ * matchup it is on and leaves the rest cancelled.
+ */
+function cancelJob(id) {
+  return updateJob(id, (job) => {
+    if (job.status === "queued") {
+      finish(job, "cancelled");
+    } else if (job.status === "running") {
+      job.cancelRequested = true;
+    }
+  });
+}
+
+/** Re-queue a finished job's failed and cancelled matchups */
+function retryJob(id) {
+  const job = updateJob(id, (job) => {
+    if (ACTIVE.includes(job.status)) return;
+    const retry = job.matchups.filter(m => m.status === "failed" || m.status === "cancelled");
+    if (retry.length === 0) return;
+    retry.forEach(m => { m.status = "pending"; m.error = null; m.errorKind = null; });
+    job.status = "queued";
+    job.error = null;
+    job.errorKinds = null;
+    job.finishedAt = null;
+    delete job.cancelRequested;
+  });
+  if (job && job.status === "queued") setImmediate(kick);
+  return job;
+}
+
+/** Re-queue jobs interrupted by a restart */
+function resumeJobs() {
+  const jobs = readJobs();
+  const interrupted = jobs.filter(j => ACTIVE.includes(j.status));
+  interrupted.forEach((job) => {
+    job.status = "queued";
+    job.matchups.filter(m => IN_FLIGHT.includes(m.status)).forEach(m => { m.status = "pending"; });
+  });
+  if (interrupted.length) {
+    writeJobs(jobs);
+    console.log(`[Jobs] Resuming ${interrupted.length} interrupted job(s)`);
+    setImmediate(kick);
+  }
+}
+
+// ─── Runner ────────────────────────────────────────────────
+
+function finish(job, status, error) {
+  job.status = status;
+  job.error = error || null;
+  job.finishedAt = new Date().toISOString();
+  delete job.cancelRequested;
+}
+
+function notify(job) {
+  (waiters[job.id] || []).forEach(resolve => resolve(job));
+  delete waiters[job.id];
+}
+
+// The job was removed from jobs.json while it ran; let its waiters go
+function vanished(id) {
+  console.warn(`[Jobs] Job ${id} disappeared while running`);
+  notify({ id, status: "failed", error: "The job was removed while it ran" });
+}
+
+// Run queued jobs one at a time, oldest first
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    let next;
+    while ((next = readJobs().find(j => j.status === "queued"))) {
+      await runJob(next.id);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+// Start the runner; it must never leave a rejected promise behind
+function kick() {
+  drain().catch((err) => console.error("[Jobs] Runner failed:", err.message));
+}
+
+function countKinds(matchups) {
+  const counts = {};
+  matchups.forEach(m => { counts[m.errorKind] = (counts[m.errorKind] || 0) + 1; });
+  return counts;
+}
+
+function describeKinds(counts) {
+  return Object.entries(counts).map(([kind, n]) => `${kind}: ${n}`).join(", ");
+}
+
+async function runJob(id) {
+  const judge = require("./judge");
+  let job = updateJob(id, (j) => {
+    j.status = "running";
+    j.startedAt = j.startedAt || new Date().toISOString();
+  });
+  if (!job) return vanished(id);
+  console.log(`[Jobs] Judging week ${job.week} (${id})`);
+
+  if (job.seasonId !== db.getSeasonId()) {
+    job = updateJob(id, (j) => finish(j, "failed", "The season changed before this job ran"));
+    return job ? notify(job) : vanished(id);
+  }
+
+  for (let i = 0; i < job.matchups.length; i++) {
+    if (job.matchups[i].status !== "pending") continue;
+    const current = getJob(id);
+    if (!current) return vanished(id);
+    if (current.cancelRequested) break;
+
+    const setMatchup = (fields) => updateJob(id, (j) => Object.assign(j.matchups[i], fields));
+    const { m1, m2 } = job.matchups[i];
+    try {
+      const { outcome, judgment } = await judge.judgeWeekMatchup(job.week, { m1, m2 }, {
+        onProgress: (stage) => setMatchup({ status: stage }),
+      });
+      setMatchup({
+        status: outcome === "skipped" ? "skipped" : "done",
+        outcome,
+        judgmentId: judgment ? judgment.id : null,
+      });
+    } catch (err) {
+      console.error(`[Jobs] Week ${job.week} ${m1} vs ${m2} failed:`, err.message);
+      setMatchup({ status: "failed", error: err.message, errorKind: err.kind || "internal" });
+    }
+  }
+
+  job = updateJob(id, (j) => {
+    const cancelled = j.cancelRequested;
+    if (cancelled) j.matchups.filter(m => m.status === "pending").forEach(m => { m.status = "cancelled"; });
+    const failed = j.matchups.filter(m => m.status === "failed");
+    j.errorKinds = failed.length ? countKinds(failed) : null;
+    if (cancelled) finish(j, "cancelled");
+    else if (failed.length) finish(j, "failed", `${failed.length} matchup(s) failed (${describeKinds(j.errorKinds)})`);
+    else finish(j, "done");
+  });
+  if (!job) return vanished(id);
+  console.log(`[Jobs] Week ${job.week} job ${job.status}`);
+  notify(job);
+}
+
+module.exports = { createJudgeJob, waitForJob, getJob, listJobs, cancelJob, retryJob, resumeJobs };
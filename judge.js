@@ -1,372 +1,591 @@
 /**
  * Bird League — AI Judging Module
  *
- * Reads prompt templates from /prompts/*.txt
- * Calls: OpenAI (ChatGPT) → Google (Gemini) → Anthropic (Claude)
- * Parses each response for a winner pick
+ * Fills the current prompt templates (prompts.js; defaults in /prompts/*.txt),
+ * naming each bird by its canonical species where the checklist knows it (taxonomy.js)
+ * Calls the rational (ChatGPT) → capricious (Gemini) → synthesis (Claude)
+ * judge roles through the provider registry in providers.js
+ * Each judge answers with a JSON verdict, validated by verdict.js
+ *
+ * The season's `judging.mode` setting picks how a matchup is decided:
+ * "synthesis" (the default) has Claude decide after reading the other two
+ * arguments; "panel" has every judge role in `judging.panel` vote, the
+ * majority wins, and `judging.opinionRole` writes the opinion for it. Panel
+ * votes, the tally and dissenting opinions are stored on the judgment.
+ * With `scoring.enabled`, the deciding judges' weighted score totals pick the
+ * winner instead; the pick (or the panel majority) only breaks equal totals
+ * (scoring.js).
  * Stores the full judgment in the database
+ *
+ * Every provider call is metered (costs.js); the usage is stored on the
+ * judgment and the season's budget cap is enforced before each call.
+ *
+ * If the synthesis verdict still can't be read after re-asking, the judgment
+ * is saved with no winner and `needsReview` set; standings ignore it until
+ * the commissioner rules on it.
  */
 
 const fs = require("fs");
 const path = require("path");
-const https = require("https");
 const db = require("./db");
+const { callRole } = require("./providers");
+const { askVerdict } = require("./verdict");
+const { createMeter, judgmentUsage } = require("./costs");
+const prompts = require("./prompts");
+const { scoringInstructions, scoreMatchup } = require("./scoring");
+const taxonomy = require("./taxonomy");
+const { filePath: mediaPath } = require("./media");
+const { ensureVariant } = require("./images");
 
-const PROMPTS_DIR = path.join(__dirname, "prompts");
+// ─── Submission media ──────────────────────────────────────
 
-// ─── Load & fill prompt templates ──────────────────────────
+const IMAGE_MIME = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
 
-function loadPrompt(filename) {
-  return fs.readFileSync(path.join(PROMPTS_DIR, filename), "utf8");
-}
-
-function fillTemplate(template, vars) {
-  let result = template;
-  for (const [key, value] of Object.entries(vars)) {
-    result = result.replace(new RegExp(`\\{\\{${key}\\}\\}`, "g"), value || "(none provided)");
+/**
+ * A submission's media as the judges get it: images are attached as their
+ * size-capped `judge` variant (images.js), videos and audio are listed but
+ * skipped (too large for the APIs).
+ *
+ * @returns {Promise<{ images: Array<{ base64, mime, label }>,
+ *   media: Array<{ url, label, bytes, mime, variant, attached, reason }> }>}
+ */
+async function loadMedia(sub, label) {
+  const images = [];
+  const media = [];
+  for (const mediaUrl of (sub && sub.mediaFiles) || []) {
+    // mediaUrl looks like "/api/media/2/3/1/filename.jpeg" (season, week, member); files are kept under the member's name
+    const filePath = mediaPath(mediaUrl) || "";
+    const mime = IMAGE_MIME[path.extname(mediaUrl).toLowerCase()] || null;
+    const file = { url: mediaUrl, label, bytes: null, mime, variant: null, attached: false, reason: null };
+    media.push(file);
+    try {
+      file.bytes = fs.statSync(filePath).size;
+      if (!mime) {
+        file.reason = "not an image";
+        continue;
+      }
+      // Older uploads get their judge copy made now
+      const data = fs.readFileSync(await ensureVariant(filePath, "judge"));
+      Object.assign(file, { bytes: data.length, mime: "image/jpeg", variant: "judge", attached: true });
+      images.push({ base64: data.toString("base64"), mime: "image/jpeg", label });
+    } catch (err) {
+      file.reason = err.code === "ENOENT" ? "file missing" : err.message;
+    }
   }
-  return result;
+  return { images, media };
 }
 
-// ─── HTTP helper (no dependencies) ─────────────────────────
-
-function httpsPost(url, headers, body) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const options = {
-      hostname: parsed.hostname,
-      port: 443,
-      path: parsed.pathname + parsed.search,
-      method: "POST",
-      headers: { "Content-Type": "application/json", ...headers },
-    };
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          resolve({ status: res.statusCode, body: JSON.parse(data) });
-        } catch {
-          resolve({ status: res.statusCode, body: data });
-        }
-      });
-    });
-    req.on("error", reject);
-    req.write(JSON.stringify(body));
-    req.end();
-  });
+function matchupVars(m1Member, m1Sub, m2Member, m2Sub) {
+  return {
+    M1_NAME: m1Member.name,
+    M1_SPECIES: taxonomy.label(m1Sub.species, m1Sub.taxon),
+    M1_DESCRIPTION: m1Sub.description,
+    M2_NAME: m2Member.name,
+    M2_SPECIES: taxonomy.label(m2Sub.species, m2Sub.taxon),
+    M2_DESCRIPTION: m2Sub.description,
+    SCORING: scoringInstructions(db.getSettings().scoring),
+  };
 }
 
-// ─── Parse which bird the judge picked ─────────────────────
+// ─── Main Judging Function ─────────────────────────────────
 
-function parsePick(responseText, m1Species, m2Species) {
-  // Primary: check for "WINNER: SUBMISSION 1" or "WINNER: SUBMISSION 2"
-  const winnerMatch = responseText.match(/WINNER:\s*SUBMISSION\s*(\d)/i);
-  if (winnerMatch) {
-    if (winnerMatch[1] === "1") return "m1";
-    if (winnerMatch[1] === "2") return "m2";
+/**
+ * Judge a single matchup.
+ *
+ * @param {number} week - Week number
+ * @param {object} m1Sub - { memberId, species, description }
+ * @param {object} m2Sub - { memberId, species, description }
+ * @param {object} [opts]
+ * @param {function} [opts.onProgress] - Called with each stage: "calling_chatgpt",
+ *   "calling_gemini", "ruling" (panel mode: "voting", "ruling")
+ * @param {boolean} [opts.dryRun] - Run the pipeline without saving the judgment
+ * @param {string} [opts.provider] - Send every role to this provider
+ * @param {object} [opts.templates] - Template name → version hash or { text }
+ *   to use instead of the current version
+ * @param {object} [opts.trace] - Filled with the `prompts` and `media` used
+ * @returns {object} Full judgment result
+ */
+async function judgeMatchup(week, m1Sub, m2Sub, opts = {}) {
+  const meter = createMeter(db, { week, m1Id: m1Sub.memberId, m2Id: m2Sub.memberId, dryRun: !!opts.dryRun });
+  try {
+    return await runMatchup(week, m1Sub, m2Sub, meter, opts);
+  } finally {
+    meter.flush();
   }
-
-  // Fallback: species name matching
-  const lower = responseText.toLowerCase();
-  const m1Base = m1Species.toLowerCase().replace(/\s*\(.*?\)\s*/g, "").trim();
-  const m2Base = m2Species.toLowerCase().replace(/\s*\(.*?\)\s*/g, "").trim();
-
-  const first200 = lower.slice(0, 200);
-  if (first200.includes(m1Base + " is the cooler")) return "m1";
-  if (first200.includes(m2Base + " is the cooler")) return "m2";
-
-  console.log("  [WARNING] Could not parse pick from response");
-  return null;
 }
 
-function parseClaudePick(responseText, m1Species, m2Species) {
-  // Primary: check for "WINNER: SUBMISSION 1" or "WINNER: SUBMISSION 2"
-  const winnerMatch = responseText.match(/WINNER:\s*SUBMISSION\s*(\d)/i);
-  if (winnerMatch) {
-    if (winnerMatch[1] === "1") return "m1";
-    if (winnerMatch[1] === "2") return "m2";
-  }
+// The judging pipeline behind judgeMatchup; every provider call goes through `meter`
+async function runMatchup(week, m1Sub, m2Sub, meter, opts) {
+  const progress = opts.onProgress || (() => {});
+  const m1Member = db.getMember(m1Sub.memberId);
+  const m2Member = db.getMember(m2Sub.memberId);
 
-  // Fallback: species name matching
-  const lower = responseText.toLowerCase();
-  const m1Base = m1Species.toLowerCase().replace(/\s*\(.*?\)\s*/g, "").trim();
-  const m2Base = m2Species.toLowerCase().replace(/\s*\(.*?\)\s*/g, "").trim();
-
-  // Check "rules/finds in favor of"
-  const favorMatch = lower.match(/(?:rules?|finds?)\s+in\s+favor\s+of\s+(?:the\s+)?(.+?)[\.\\,\n]/);
-  if (favorMatch) {
-    const favored = favorMatch[1].toLowerCase();
-    if (favored.includes(m1Base) || m1Base.includes(favored)) return "m1";
-    if (favored.includes(m2Base) || m2Base.includes(favored)) return "m2";
+  const m1Media = await loadMedia(m1Sub, m1Member.name);
+  const m2Media = await loadMedia(m2Sub, m2Member.name);
+  const images = [...m1Media.images, ...m2Media.images];
+  for (const file of [...m1Media.media, ...m2Media.media]) {
+    if (file.attached) console.log(`  Loaded image for ${file.label}: ${file.url} (${(file.bytes / 1024).toFixed(0)}KB)`);
+    else if (file.reason !== "not an image") console.log(`  Warning: Could not load image ${file.url}: ${file.reason}`);
   }
+  console.log(`  Total images loaded: ${images.length}`);
 
-  console.log("  [WARNING] Could not parse Claude's pick from response");
-  return null;
-}
-
-// ─── API Callers ───────────────────────────────────────────
-
-async function callChatGPT(prompt, images) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error("OPENAI_API_KEY not set");
+  const vars = matchupVars(m1Member, m1Sub, m2Member, m2Sub);
+  const render = (name, templateVars) => prompts.render(name, templateVars, (opts.templates || {})[name]);
+  const trace = opts.trace || {};
+  trace.prompts = {};
+  trace.media = [...m1Media.media, ...m2Media.media];
+  const callOpts = { meter, provider: opts.provider };
+
+  const nameFor = (pick) => pick === "m1" ? m1Member.name : pick === "m2" ? m2Member.name : "no pick";
+
+  const settings = db.getSettings();
+  const ctx = {
+    vars, images, render, trace, callOpts, nameFor, progress,
+    matchupName: `${m1Member.name} vs ${m2Member.name}`,
+    scoring: settings.scoring.enabled ? settings.scoring : null,
+    promptVersions: {},
+  };
+  const decision = settings.judging.mode === "panel"
+    ? await panelRuling(ctx, settings.judging)
+    : await synthesisRuling(ctx);
+  const { promptVersions } = ctx;
+  const synthesis = decision.ruling;
+  const claudePick = synthesis.winner;
+  const claudeRuling = synthesis.argument;
 
-  // Build content array: labeled images + text
-  const content = [];
-  if (images && images.length > 0) {
-    for (const img of images) {
-      content.push({ type: "text", text: `[Photo from ${img.label}'s submission:]` });
-      content.push({ type: "image_url", image_url: { url: `data:${img.mime};base64,${img.base64}` } });
+  // Step 4: Generate summary
+  let summary = "";
+  let summaryModel = null;
+  let needsReview = null;
+  if (!synthesis.valid) {
+    needsReview = { reason: decision.reviewReason || `Unreadable ruling: ${synthesis.error}`, flaggedAt: new Date().toISOString() };
+    console.log(`  [WARNING] ${needsReview.reason} — flagged for commissioner review`);
+    summary = decision.split
+      ? "The panel is split. Awaiting the commissioner."
+      : "The court's ruling could not be read. Awaiting the commissioner.";
+  } else {
+    try {
+      const winnerSpecies = claudePick === "m1" ? m1Sub.species : m2Sub.species;
+      const winnerName = claudePick === "m1" ? m1Member.name : m2Member.name;
+      const summaryVars = {
+        WINNER_SPECIES: winnerSpecies,
+        WINNER_NAME: winnerName,
+        CLAUDE_RULING: claudeRuling,
+      };
+      const summaryPrompt = render("summary", summaryVars);
+      trace.prompts.summary = summaryPrompt;
+      promptVersions.summary = summaryPrompt.hash;
+      const summaryCall = await callRole("summary", summaryPrompt.text, [], callOpts);
+      summary = summaryCall.text;
+      summaryModel = { provider: summaryCall.provider, model: summaryCall.model };
+    } catch (err) {
+      console.warn("  [Summary] Failed to generate, using fallback:", err.message);
+      const winnerSpecies = claudePick === "m1" ? m1Sub.species : m2Sub.species;
+      summary = `The ${winnerSpecies} prevailed in this week's matchup.`;
     }
   }
-  content.push({ type: "text", text: prompt });
 
-  const res = await httpsPost("https://api.openai.com/v1/chat/completions", {
-    Authorization: `Bearer ${apiKey}`,
-  }, {
-    model: "o4-mini",
-    messages: [{ role: "user", content }],
-  });
-  if (res.status !== 200) throw new Error(`OpenAI error ${res.status}: ${JSON.stringify(res.body)}`);
-  return res.body.choices[0].message.content;
+  // Build result
+  const result = {
+    id: `judgment-w${week}-${m1Sub.memberId}v${m2Sub.memberId}`,
+    week,
+    m1Id: m1Sub.memberId,
+    m2Id: m2Sub.memberId,
+    m1sub: { species: m1Sub.species, desc: m1Sub.description },
+    m2sub: { species: m2Sub.species, desc: m2Sub.description },
+    winner: claudePick,
+    summary: summary.trim(),
+    ...(decision.panel && { mode: "panel", panel: decision.panel, dissents: decision.dissents }),
+    ...(decision.scoring && { scoring: decision.scoring }),
+    chatgpt: decision.chatgpt,
+    gemini: decision.gemini,
+    claude: { ruling: claudeRuling, scores: synthesis.scores },
+    models: { ...decision.models, summary: summaryModel },
+    ...(needsReview && { needsReview }),
+    usage: judgmentUsage(meter.calls),
+    promptVersions,
+    judgedAt: new Date().toISOString(),
+  };
+
+  // Store in database (dry runs only report)
+  if (!opts.dryRun) db.saveJudgment(result, { by: "ai" });
+
+  return result;
 }
 
-async function callGemini(prompt, images) {
-  const apiKey = process.env.GOOGLE_AI_API_KEY;
-  if (!apiKey) throw new Error("GOOGLE_AI_API_KEY not set");
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+// ─── Deciding a matchup ────────────────────────────────────
+// Both modes take the context built by runMatchup and return
+// { ruling, chatgpt, gemini, models } plus, for a panel, { panel, dissents },
+// and `scoring` when score-based judging is on. `ruling` is a verdict (see
+// verdict.js) with the final winner; an invalid one is flagged for review.
 
-  const parts = [];
-  if (images && images.length > 0) {
-    for (const img of images) {
-      parts.push({ text: `[Photo from ${img.label}'s submission:]` });
-      parts.push({ inline_data: { mime_type: img.mime, data: img.base64 } });
-    }
-  }
-  parts.push({ text: prompt });
+// Synthesis mode: ChatGPT and Gemini argue, Claude decides
+async function synthesisRuling(ctx) {
+  const { vars, images, render, trace, callOpts, nameFor, progress, promptVersions } = ctx;
 
-  const res = await httpsPost(url, {}, {
-    contents: [{ parts }],
-    generationConfig: { temperature: 0.9, maxOutputTokens: 1000 },
-  });
-  if (res.status !== 200) throw new Error(`Gemini error ${res.status}: ${JSON.stringify(res.body)}`);
-  return res.body.candidates[0].content.parts[0].text;
-}
+  // Step 1: ChatGPT (rational)
+  progress("calling_chatgpt");
+  console.log(`  [ChatGPT] Judging ${ctx.matchupName}...`);
+  const chatgptTemplate = render("chatgpt", vars);
+  const chatgptPrompt = chatgptTemplate.text;
+  promptVersions.chatgpt = chatgptTemplate.hash;
+  trace.prompts.chatgpt = chatgptTemplate;
+  console.log("  [ChatGPT PROMPT]:", chatgptPrompt.substring(0, 2000));
+  const rational = await askVerdict("rational", chatgptPrompt, images, callOpts);
+  console.log("  [ChatGPT RESPONSE]:", rational.argument.substring(0, 1000));
+  console.log(`  [ChatGPT] Picked: ${nameFor(rational.winner)}`);
+
+  // Step 2: Gemini (capricious) — fallback chain comes from the role config
+  progress("calling_gemini");
+  console.log(`  [Gemini] Judging ${ctx.matchupName}...`);
+  const geminiTemplate = render("gemini", vars);
+  const geminiPrompt = geminiTemplate.text;
+  promptVersions.gemini = geminiTemplate.hash;
+  trace.prompts.gemini = geminiTemplate;
+  console.log("  [Gemini PROMPT]:", geminiPrompt.substring(0, 2000));
+  const capricious = await askVerdict("capricious", geminiPrompt, images, callOpts);
+  console.log(`  [Gemini] Picked: ${nameFor(capricious.winner)}`);
 
-async function callClaude(prompt, images) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error("ANTHROPIC_API_KEY not set");
+  // Step 3: Claude (synthesis) — sees both prior arguments, not their picks
+  console.log(`  [Claude] Delivering final ruling...`);
+  progress("ruling");
+  const claudeVars = {
+    ...vars,
+    CHATGPT_ARGUMENT: rational.argument,
+    GEMINI_ARGUMENT: capricious.argument,
+  };
+  const claudeTemplate = render("claude", claudeVars);
+  const claudePrompt = claudeTemplate.text;
+  promptVersions.claude = claudeTemplate.hash;
+  trace.prompts.claude = claudeTemplate;
+  console.log("  [Claude PROMPT]:", claudePrompt.substring(0, 3000));
+  const synthesis = await askVerdict("synthesis", claudePrompt, images, { ...callOpts, scoring: ctx.scoring });
+  console.log(`  [Claude] Ruled: ${nameFor(synthesis.winner)}`);
 
-  // Build content array: labeled images, then text
-  const content = [];
-  if (images && images.length > 0) {
-    for (const img of images) {
-      content.push({ type: "text", text: `[Photo from ${img.label}'s submission:]` });
-      content.push({ type: "image", source: { type: "base64", media_type: img.mime, data: img.base64 } });
-    }
+  // Score-based judging: Claude's scorecard decides, its pick breaks a tie
+  const scored = ctx.scoring && synthesis.valid ? scoreMatchup([synthesis.scores], ctx.scoring) : null;
+  if (scored && scored.winner && scored.winner !== synthesis.winner) {
+    console.log(`  [Claude] Scores favour ${nameFor(scored.winner)} (${scored.totals.m1}–${scored.totals.m2}); the scores decide`);
   }
-  content.push({ type: "text", text: prompt });
-
-  const res = await httpsPost("https://api.anthropic.com/v1/messages", {
-    "x-api-key": apiKey,
-    "anthropic-version": "2023-06-01",
-  }, {
-    model: "claude-sonnet-4-20250514",
-    max_tokens: 2000,
-    messages: [{ role: "user", content }],
-  });
-  if (res.status !== 200) throw new Error(`Anthropic error ${res.status}: ${JSON.stringify(res.body)}`);
-  return res.body.content[0].text;
-}
 
-// ─── Main Judging Function ─────────────────────────────────
+  return {
+    ruling: scored && scored.winner ? { ...synthesis, winner: scored.winner } : synthesis,
+    ...(scored && { scoring: scored }),
+    chatgpt: { pick: rational.winner, argument: rational.argument, scores: rational.scores },
+    gemini: { pick: capricious.winner, argument: capricious.argument, scores: capricious.scores },
+    models: {
+      rational: { provider: rational.provider, model: rational.model },
+      capricious: { provider: capricious.provider, model: capricious.model },
+      synthesis: { provider: synthesis.provider, model: synthesis.model },
+    },
+  };
+}
 
 /**
- * Judge a single matchup.
+ * Count a panel's votes and pick the winner. With score-based judging the
+ * panel's average scorecard decides and the majority only breaks equal totals.
  *
- * @param {number} week - Week number
- * @param {object} m1Sub - { memberId, species, description }
- * @param {object} m2Sub - { memberId, species, description }
- * @returns {object} Full judgment result
+ * @param {Array<{ pick: "m1"|"m2"|null, scores: object|null }>} votes
+ * @param {object|null} scoring - Season `scoring` settings when enabled
+ * @returns {{ tally: { m1, m2, abstain }, scored: object|null,
+ *   winner: "m1"|"m2"|null, decidedBy: "scores"|"vote"|null }}
  */
-async function judgeMatchup(week, m1Sub, m2Sub) {
-  const m1Member = db.getMember(m1Sub.memberId);
-  const m2Member = db.getMember(m2Sub.memberId);
-
-  // Load submission images from disk
-  const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, "data");
-  const MEDIA_DIR = path.join(DATA_DIR, "submissions");
-  const images = [];
+function decidePanel(votes, scoring) {
+  const tally = {
+    m1: votes.filter((v) => v.pick === "m1").length,
+    m2: votes.filter((v) => v.pick === "m2").length,
+    abstain: votes.filter((v) => !v.pick).length,
+  };
+  const majority = tally.m1 > tally.m2 ? "m1" : tally.m2 > tally.m1 ? "m2" : null;
+  const scored = scoring ? scoreMatchup(votes.map((v) => v.scores), scoring) : null;
+  const winner = (scored && scored.winner) || majority;
+  const decidedBy = scored && scored.winner ? "scores" : majority ? "vote" : null;
+  return { tally, scored, winner, decidedBy };
+}
 
-  function loadImages(sub, label) {
-    if (!sub.mediaFiles || sub.mediaFiles.length === 0) return;
-    for (const mediaUrl of sub.mediaFiles) {
-      // mediaUrl looks like "/api/media/3/1/filename.jpeg"
-      const parts = mediaUrl.split("/");
-      const weekDir = `week-${parts[3]}`;
-      const memberDir = parts[4];
-      const filename = parts[5];
-      const filePath = path.join(MEDIA_DIR, weekDir, memberDir, filename);
-      const ext = path.extname(filename).toLowerCase();
+// Roles with a voice of their own keep their prompt when they sit on a panel
+const PANEL_TEMPLATES = { rational: "chatgpt", capricious: "gemini" };
+
+// Panel mode: every judge on the panel votes and the majority wins; the
+// opinion role then writes the court's opinion for the majority
+async function panelRuling(ctx, judging) {
+  const { vars, images, render, trace, callOpts, nameFor, progress, promptVersions } = ctx;
+  const side = (pick) => (pick === "m1" ? "SUBMISSION 1" : "SUBMISSION 2");
+
+  progress("voting");
+  const votes = [];
+  for (const role of judging.panel) {
+    const name = PANEL_TEMPLATES[role] || "panel";
+    const template = render(name, vars);
+    promptVersions[name] = template.hash;
+    trace.prompts[role] = template;
+    console.log(`  [Panel] ${role} voting on ${ctx.matchupName}...`);
+    const verdict = await askVerdict(role, template.text, images, { ...callOpts, scoring: ctx.scoring });
+    console.log(`  [Panel] ${role} voted: ${nameFor(verdict.winner)}`);
+    votes.push({
+      role, pick: verdict.winner, argument: verdict.argument, scores: verdict.scores,
+      provider: verdict.provider, model: verdict.model,
+      ...(!verdict.valid && { error: verdict.error }),
+    });
+  }
 
-      // Only include images, skip videos (too large for API)
-      if (![".jpg", ".jpeg", ".png", ".gif", ".webp"].includes(ext)) continue;
+  const { tally, scored, winner, decidedBy } = decidePanel(votes, ctx.scoring);
+  const dissenting = votes.filter((v) => v.pick && v.pick !== winner);
+  const advisory = (role) => {
+    const vote = votes.find((v) => v.role === role);
+    return vote ? { pick: vote.pick, argument: vote.argument, scores: vote.scores } : null;
+  };
+  const decision = {
+    panel: { votes, tally, decidedBy },
+    dissents: winner ? dissenting.map(({ role, provider, model, argument }) => ({ role, provider, model, argument })) : [],
+    chatgpt: advisory("rational"),
+    gemini: advisory("capricious"),
+    models: Object.fromEntries(votes.map((v) => [v.role, { provider: v.provider, model: v.model }])),
+    ...(scored && { scoring: scored }),
+  };
 
-      try {
-        if (fs.existsSync(filePath)) {
-          const data = fs.readFileSync(filePath);
-          const mimeTypes = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
-          images.push({
-            base64: data.toString("base64"),
-            mime: mimeTypes[ext] || "image/jpeg",
-            label,
-          });
-          console.log(`  Loaded image for ${label}: ${filename} (${(data.length / 1024).toFixed(0)}KB)`);
-        }
-      } catch (err) {
-        console.log(`  Warning: Could not load image ${filePath}: ${err.message}`);
-      }
-    }
+  if (!winner) {
+    return {
+      ...decision,
+      split: true,
+      reviewReason: `Panel split ${tally.m1}–${tally.m2}${tally.abstain ? ` (${tally.abstain} unreadable)` : ""}`,
+      ruling: { valid: false, winner: null, argument: "", scores: null },
+    };
   }
 
-  loadImages(m1Sub, m1Member.name);
-  loadImages(m2Sub, m2Member.name);
-  console.log(`  Total images loaded: ${images.length}`);
+  // The result is final; the opinion only explains it
+  progress("ruling");
+  const argumentsOf = (list) => list.map((v) => `${v.role.toUpperCase()} (voted ${side(v.pick)}):\n${v.argument}`).join("\n\n");
+  const opinionTemplate = render("opinion", {
+    ...vars,
+    WINNER_SIDE: side(winner),
+    VOTE_TALLY: `SUBMISSION 1: ${tally.m1}, SUBMISSION 2: ${tally.m2}${tally.abstain ? `, no vote: ${tally.abstain}` : ""}`
+      + (scored ? `; score totals SUBMISSION 1: ${scored.totals.m1}, SUBMISSION 2: ${scored.totals.m2}` : ""),
+    MAJORITY_ARGUMENTS: argumentsOf(votes.filter((v) => v.pick === winner))
+      || `No judge voted ${side(winner)}; it won on score totals.`,
+    DISSENT_ARGUMENTS: argumentsOf(dissenting),
+  });
+  promptVersions.opinion = opinionTemplate.hash;
+  trace.prompts.opinion = opinionTemplate;
+  console.log(`  [Panel] ${judging.opinionRole} writing the opinion for ${nameFor(winner)}...`);
+  const opinion = await askVerdict(judging.opinionRole, opinionTemplate.text, images, callOpts);
+  if (!opinion.valid) {
+    console.log(`  [WARNING] Opinion is unusable (${opinion.error}); the result stands`);
+  } else if (opinion.winner !== winner) {
+    console.log("  [WARNING] Opinion sided with the loser; the result stands");
+  }
 
-  const vars = {
-    M1_NAME: m1Member.name,
-    M1_SPECIES: m1Sub.species,
-    M1_DESCRIPTION: m1Sub.description,
-    M2_NAME: m2Member.name,
-    M2_SPECIES: m2Sub.species,
-    M2_DESCRIPTION: m2Sub.description,
+  return {
+    ...decision,
+    ruling: { ...opinion, valid: true, winner },
+    models: { ...decision.models, opinion: { provider: opinion.provider, model: opinion.model } },
   };
+}
 
-  // Step 1: ChatGPT (rational)
-  console.log(`  [ChatGPT] Judging ${m1Member.name} vs ${m2Member.name}...`);
-  const chatgptPrompt = fillTemplate(loadPrompt("chatgpt.txt"), vars);
-  console.log("  [ChatGPT PROMPT]:", chatgptPrompt.substring(0, 2000));
-  const chatgptResponse = await callChatGPT(chatgptPrompt, images);
-  console.log("  [ChatGPT RESPONSE]:", chatgptResponse.substring(0, 1000));
-  const chatgptPick = parsePick(chatgptResponse, m1Sub.species, m2Sub.species);
-  console.log(`  [ChatGPT] Picked: ${chatgptPick === "m1" ? m1Member.name : m2Member.name}`);
-
-  // Step 2: Gemini (capricious) — falls back to ChatGPT if no Gemini key
-  console.log(`  [Gemini] Judging ${m1Member.name} vs ${m2Member.name}...`);
-  const geminiPrompt = fillTemplate(loadPrompt("gemini.txt"), vars);
-  console.log("  [Gemini PROMPT]:", geminiPrompt.substring(0, 2000));
-  let geminiResponse;
-  if (process.env.GOOGLE_AI_API_KEY) {
-    try {
-      geminiResponse = await callGemini(geminiPrompt, images);
-    } catch (err) {
-      console.log(`  [Gemini] Failed (${err.message}), falling back to ChatGPT...`);
-      geminiResponse = await callChatGPT(geminiPrompt, images);
-    }
+/**
+ * Record a forfeit for a matchup with one or both submissions missing, or
+ * marked as forfeited under a league rule (rules.js). A lone submitter wins;
+ * a double no-show is a loss for both sides.
+ *
+ * @param {number} week - Week number
+ * @param {object} matchup - { m1, m2 } member IDs
+ * @param {object|null} m1Sub
+ * @param {object|null} m2Sub
+ * @param {object} policy - Season `forfeits` settings
+ * @returns {object} Judgment marked with `forfeit: "m1" | "m2" | "both"`
+ */
+async function judgeForfeit(week, matchup, m1Sub, m2Sub, policy) {
+  const m1Member = db.getMember(matchup.m1);
+  const m2Member = db.getMember(matchup.m2);
+  const m1Out = !m1Sub || !!m1Sub.forfeit;
+  const m2Out = !m2Sub || !!m2Sub.forfeit;
+  const forfeit = m1Out && m2Out ? "both" : m1Out ? "m1" : "m2";
+  const winner = forfeit === "both" ? null : forfeit === "m1" ? "m2" : "m1";
+  const winnerSub = winner === "m1" ? m1Sub : m2Sub;
+  const forfeitSub = forfeit === "m1" ? m1Sub : m2Sub;
+  const winnerName = winner === "m1" ? m1Member.name : m2Member.name;
+  const forfeitName = forfeit === "m1" ? m1Member.name : m2Member.name;
+
+  let summary;
+  if (forfeit === "both") {
+    summary = m1Sub || m2Sub ? "Neither side entered an eligible bird. Double loss." : "Neither side submitted a bird. Double loss.";
+  } else if (forfeitSub) {
+    summary = `${winnerName} wins by forfeit — ${forfeitName} broke a league rule: ${forfeitSub.forfeit.reason}`;
   } else {
-    console.log(`  [Gemini] No API key, using ChatGPT as fallback...`);
-    geminiResponse = await callChatGPT(geminiPrompt, images);
+    summary = `${winnerName} wins by forfeit — ${forfeitName} did not submit.`;
   }
-  const geminiPick = parsePick(geminiResponse, m1Sub.species, m2Sub.species);
-  console.log(`  [Gemini] Picked: ${geminiPick === "m1" ? m1Member.name : m2Member.name}`);
-
-  // Strip WINNER lines from display text
-  const chatgptArgument = chatgptResponse.replace(/\n*WINNER:\s*SUBMISSION\s*\d.*/gi, "").trim();
-  const geminiArgument = geminiResponse.replace(/\n*WINNER:\s*SUBMISSION\s*\d.*/gi, "").trim();
-
-  // Step 3: Claude (synthesis) — sees both prior arguments (without WINNER lines)
-  console.log(`  [Claude] Delivering final ruling...`);
-  const claudeVars = {
-    ...vars,
-    CHATGPT_ARGUMENT: chatgptArgument,
-    GEMINI_ARGUMENT: geminiArgument,
-  };
-  const claudePrompt = fillTemplate(loadPrompt("claude.txt"), claudeVars);
-  console.log("  [Claude PROMPT]:", claudePrompt.substring(0, 3000));
-  const claudeResponse = await callClaude(claudePrompt, images);
-  const claudePick = parseClaudePick(claudeResponse, m1Sub.species, m2Sub.species);
-  // Strip the WINNER: line from the display text
-  const claudeRuling = claudeResponse.replace(/\n*WINNER:\s*SUBMISSION\s*\d.*/gi, "").trim();
-  console.log(`  [Claude] Ruled: ${claudePick === "m1" ? m1Member.name : claudePick === "m2" ? m2Member.name : "UNKNOWN"} (${claudePick})`);
-  if (!claudePick) console.log(`  [WARNING] Could not parse Claude's pick! Response ends with: ${claudeResponse.slice(-100)}`);
 
-  // Step 4: Generate summary
-  let summary = "";
-  try {
-    const winnerSpecies = claudePick === "m1" ? m1Sub.species : m2Sub.species;
-    const winnerName = claudePick === "m1" ? m1Member.name : m2Member.name;
-    const summaryVars = {
-      WINNER_SPECIES: winnerSpecies,
-      WINNER_NAME: winnerName,
-      CLAUDE_RULING: claudeRuling,
-    };
-    const summaryPrompt = fillTemplate(loadPrompt("summary.txt"), summaryVars);
-    summary = await callClaude(summaryPrompt);
-  } catch (err) {
-    console.warn("  [Summary] Failed to generate, using fallback:", err.message);
-    const winnerSpecies = claudePick === "m1" ? m1Sub.species : m2Sub.species;
-    summary = `The ${winnerSpecies} prevailed in this week's matchup.`;
+  let claude = null;
+  let promptVersions = null;
+  const meter = createMeter(db, { week, m1Id: matchup.m1, m2Id: matchup.m2, step: "forfeit" });
+  if (winner && policy.comedicRuling) {
+    try {
+      console.log(`  [Claude] Writing forfeit ruling for ${winnerName}...`);
+      const prompt = prompts.render("forfeit", {
+        WINNER_NAME: winnerName,
+        WINNER_SPECIES: winnerSub.species,
+        WINNER_DESCRIPTION: winnerSub.description,
+        FORFEIT_NAME: forfeitName,
+      });
+      claude = { ruling: (await callRole("synthesis", prompt.text, [], { meter })).text.trim() };
+      promptVersions = { forfeit: prompt.hash };
+    } catch (err) {
+      console.warn("  [Forfeit] Failed to generate ruling, skipping:", err.message);
+    }
+    meter.flush();
   }
 
-  // Build result
   const result = {
-    id: `judgment-w${week}-${m1Sub.memberId}v${m2Sub.memberId}`,
+    id: `judgment-w${week}-${matchup.m1}v${matchup.m2}`,
     week,
-    m1Id: m1Sub.memberId,
-    m2Id: m2Sub.memberId,
-    m1sub: { species: m1Sub.species, desc: m1Sub.description },
-    m2sub: { species: m2Sub.species, desc: m2Sub.description },
-    winner: claudePick,
-    summary: summary.trim(),
-    chatgpt: { pick: chatgptPick, argument: chatgptArgument },
-    gemini: { pick: geminiPick, argument: geminiArgument },
-    claude: { ruling: claudeRuling },
+    m1Id: matchup.m1,
+    m2Id: matchup.m2,
+    m1sub: m1Sub ? { species: m1Sub.species, desc: m1Sub.description } : null,
+    m2sub: m2Sub ? { species: m2Sub.species, desc: m2Sub.description } : null,
+    winner,
+    forfeit,
+    summary,
+    chatgpt: null,
+    gemini: null,
+    claude,
+    ...(meter.calls.length && { usage: judgmentUsage(meter.calls) }),
+    ...(promptVersions && { promptVersions }),
     judgedAt: new Date().toISOString(),
   };
 
-  // Store in database
-  db.saveJudgment(result);
-
+  db.saveJudgment(result, { kind: "forfeit", by: "system" });
   return result;
 }
 
 /**
- * Judge all matchups for a given week.
- * Only judges matchups where both players have submitted.
+ * Judge one matchup of a week the way judgeWeek does: reuse an existing
+ * judgment, record a forfeit when a side is missing or forfeited under a
+ * league rule (per the season's forfeit policy, once the week has stopped
+ * taking submissions), otherwise run the full pipeline.
+ *
+ * @param {number} week - Week number
+ * @param {object} matchup - { m1, m2 } member IDs
+ * @param {object} [opts] - { onProgress } passed through to judgeMatchup
+ * @returns {Promise<{ outcome: "existing"|"skipped"|"forfeit"|"judged", judgment: object|null }>}
  */
-async function judgeWeek(week) {
+async function judgeWeekMatchup(week, matchup, opts = {}) {
   const weekData = db.getWeek(week);
   if (!weekData) throw new Error(`Week ${week} not found`);
 
-  const results = [];
-  for (const matchup of weekData.matchups) {
-    const m1Sub = db.getSubmission(week, matchup.m1);
-    const m2Sub = db.getSubmission(week, matchup.m2);
+  // Check if already judged
+  const existing = db.getJudgment(week, matchup.m1, matchup.m2);
+  if (existing) {
+    console.log(`  Already judged ${matchup.m1} vs ${matchup.m2}, skipping`);
+    return { outcome: "existing", judgment: existing };
+  }
+
+  const m1Sub = db.getSubmission(week, matchup.m1);
+  const m2Sub = db.getSubmission(week, matchup.m2);
 
-    if (!m1Sub || !m2Sub) {
+  if (!m1Sub || !m2Sub || m1Sub.forfeit || m2Sub.forfeit) {
+    const policy = db.getSettings().forfeits;
+    const deadline = weekData.timeline && weekData.timeline.deadlineAt;
+    const closed = weekData.status === "completed" || (!!deadline && new Date(deadline) <= new Date());
+    const doubleSkip = (!m1Sub || m1Sub.forfeit) && (!m2Sub || m2Sub.forfeit) && policy.doubleNoShow === "skip";
+    if (!policy.enabled || !closed || doubleSkip) {
       console.log(`  Skipping ${matchup.m1} vs ${matchup.m2} — missing submission(s)`);
-      continue;
+      return { outcome: "skipped", judgment: null };
     }
+    console.log(`  Forfeit in ${matchup.m1} vs ${matchup.m2}`);
+    return { outcome: "forfeit", judgment: await judgeForfeit(week, matchup, m1Sub, m2Sub, policy) };
+  }
 
-    // Check if already judged
-    const existing = db.getJudgment(week, matchup.m1, matchup.m2);
-    if (existing) {
-      console.log(`  Already judged ${matchup.m1} vs ${matchup.m2}, skipping`);
-      results.push(existing);
-      continue;
-    }
+  return { outcome: "judged", judgment: await judgeMatchup(week, m1Sub, m2Sub, opts) };
+}
 
-    const result = await judgeMatchup(week, m1Sub, m2Sub);
-    results.push(result);
+/**
+ * Show what the judges would receive for a matchup: the filled prompts and
+ * the media that would be attached (for the season's judging mode). Prompts
+ * that depend on earlier judges' output show markers where it goes. With `opts.run`, the whole
+ * pipeline runs as a dry run instead and the real prompts come back with the
+ * unsaved judgment.
+ *
+ * @param {number} week
+ * @param {object} matchup - { m1, m2 } member IDs
+ * @param {object} [opts] - { run, provider, templates } (see judgeMatchup)
+ * @returns {Promise<{ prompts: object, media: Array, judgment?: object }>}
+ */
+async function previewMatchup(week, matchup, opts = {}) {
+  const m1Sub = db.getSubmission(week, matchup.m1);
+  const m2Sub = db.getSubmission(week, matchup.m2);
+  if (!m1Sub || !m2Sub) throw new Error("Both submissions are needed to preview a matchup");
+
+  if (opts.run) {
+    const trace = {};
+    const judgment = await judgeMatchup(week, m1Sub, m2Sub, {
+      dryRun: true, provider: opts.provider, templates: opts.templates, trace,
+    });
+    return { prompts: trace.prompts, media: trace.media, judgment };
   }
 
+  const m1Member = db.getMember(matchup.m1);
+  const m2Member = db.getMember(matchup.m2);
+  const vars = matchupVars(m1Member, m1Sub, m2Member, m2Sub);
+  const render = (name, templateVars) => prompts.render(name, templateVars, (opts.templates || {})[name]);
+  const judging = db.getSettings().judging;
+  const rulingPrompts = judging.mode === "panel"
+    ? {
+      ...Object.fromEntries(judging.panel.map((role) => [role, render(PANEL_TEMPLATES[role] || "panel", vars)])),
+      opinion: render("opinion", {
+        ...vars,
+        WINNER_SIDE: "[majority side]",
+        VOTE_TALLY: "[vote tally goes here]",
+        MAJORITY_ARGUMENTS: "[majority arguments go here]",
+        DISSENT_ARGUMENTS: "[dissenting arguments go here]",
+      }),
+    }
+    : {
+      chatgpt: render("chatgpt", vars),
+      gemini: render("gemini", vars),
+      claude: render("claude", {
+        ...vars,
+        CHATGPT_ARGUMENT: "[ChatGPT's argument goes here]",
+        GEMINI_ARGUMENT: "[Gemini's argument goes here]",
+      }),
+    };
+  return {
+    prompts: {
+      ...rulingPrompts,
+      summary: render("summary", {
+        WINNER_SPECIES: "[winning species]",
+        WINNER_NAME: "[winner]",
+        CLAUDE_RULING: "[Claude's ruling goes here]",
+      }),
+    },
+    media: [...(await loadMedia(m1Sub, m1Member.name)).media, ...(await loadMedia(m2Sub, m2Member.name)).media],
+  };
+}
+
+/**
+ * Judge all matchups for a given week, one after another.
+ * The server runs this as a background job instead (see jobs.js).
+ */
+async function judgeWeek(week) {
+  const weekData = db.getWeek(week);
+  if (!weekData) throw new Error(`Week ${week} not found`);
+
+  const results = [];
+  for (const matchup of weekData.matchups) {
+    const { judgment } = await judgeWeekMatchup(week, matchup);
+    if (judgment) results.push(judgment);
+  }
   return results;
 }
 
 /**
  * Judge an appeal — Claude reviews the full case with appeal/defense.
+ * Saves the ruling as a new revision; `originalJudgment` is left untouched.
  */
 async function judgeAppeal(week, m1Id, m2Id, originalJudgment, appeal) {
+  // A forfeit has no two birds (and no ruling) to reconsider
+  if (originalJudgment.forfeit || !originalJudgment.m1sub || !originalJudgment.m2sub) {
+    throw new Error("Forfeits can't be appealed");
+  }
   const m1Member = db.getMember(m1Id);
   const m2Member = db.getMember(m2Id);
 
@@ -374,13 +593,13 @@ async function judgeAppeal(week, m1Id, m2Id, originalJudgment, appeal) {
   const winnerSide = originalJudgment.winner === "m1" ? "SUBMISSION 1" : "SUBMISSION 2";
 
   const appealVars = {
-    M1_SPECIES: originalJudgment.m1sub.species,
+    M1_SPECIES: taxonomy.label(originalJudgment.m1sub.species),
     M1_DESCRIPTION: originalJudgment.m1sub.desc,
-    M2_SPECIES: originalJudgment.m2sub.species,
+    M2_SPECIES: taxonomy.label(originalJudgment.m2sub.species),
     M2_DESCRIPTION: originalJudgment.m2sub.desc,
-    CHATGPT_ARGUMENT: originalJudgment.chatgpt.argument,
-    GEMINI_ARGUMENT: originalJudgment.gemini.argument,
-    CLAUDE_RULING: originalJudgment.claude.ruling,
+    CHATGPT_ARGUMENT: originalJudgment.chatgpt?.argument,
+    GEMINI_ARGUMENT: originalJudgment.gemini?.argument,
+    CLAUDE_RULING: originalJudgment.claude?.ruling || originalJudgment.summary,
     ORIGINAL_WINNER: winnerSide,
     LOSER_SIDE: loserSide,
     WINNER_SIDE: winnerSide,
@@ -388,57 +607,84 @@ async function judgeAppeal(week, m1Id, m2Id, originalJudgment, appeal) {
     DEFENSE_TEXT: appeal?.defenseText || "(no defense submitted)",
   };
 
-  const appealPrompt = fillTemplate(loadPrompt("appeal.txt"), appealVars);
+  const appealTemplate = prompts.render("appeal", appealVars);
+  const appealPrompt = appealTemplate.text;
 
   // Load images for this matchup
-  const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, "data");
-  const MEDIA_DIR = path.join(DATA_DIR, "submissions");
-  const images = [];
-
-  function loadImagesForMember(memberId, label) {
-    const sub = db.getSubmission(week, memberId);
-    if (!sub || !sub.mediaFiles) return;
-    for (const mediaUrl of sub.mediaFiles) {
-      const parts = mediaUrl.split("/");
-      const filePath = path.join(MEDIA_DIR, `week-${parts[3]}`, parts[4], parts[5]);
-      const ext = path.extname(parts[5]).toLowerCase();
-      if (![".jpg", ".jpeg", ".png", ".gif", ".webp"].includes(ext)) continue;
-      try {
-        if (fs.existsSync(filePath)) {
-          const data = fs.readFileSync(filePath);
-          const mimeTypes = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".gif": "image/gif", ".webp": "image/webp" };
-          images.push({ base64: data.toString("base64"), mime: mimeTypes[ext] || "image/jpeg", label });
-        }
-      } catch (err) { /* skip */ }
-    }
-  }
-
-  loadImagesForMember(m1Id, "Submission 1");
-  loadImagesForMember(m2Id, "Submission 2");
+  const images = [
+    ...(await loadMedia(db.getSubmission(week, m1Id), "Submission 1")).images,
+    ...(await loadMedia(db.getSubmission(week, m2Id), "Submission 2")).images,
+  ];
 
   console.log(`  [Appeal] Judging appeal for Week ${week}: ${m1Member.name} vs ${m2Member.name}`);
-  const claudeResponse = await callClaude(appealPrompt, images);
+  const meter = createMeter(db, { week, m1Id, m2Id, step: "appeal" });
+  const promptVersions = { ...originalJudgment.promptVersions, appeal: appealTemplate.hash };
+  let verdict, newWinner, needsReview, overturned;
+  let { summary, models } = originalJudgment;
+  try {
+    verdict = await askVerdict("synthesis", appealPrompt, images, { meter });
+
+    // An unreadable appeal ruling leaves the original result standing
+    newWinner = originalJudgment.winner;
+    needsReview = originalJudgment.needsReview;
+    if (verdict.valid) {
+      newWinner = verdict.winner;
+    } else {
+      console.log(`  [WARNING] Appeal verdict is unusable (${verdict.error}) — flagged for commissioner review`);
+      needsReview = { reason: `Unreadable appeal ruling: ${verdict.error}`, flaggedAt: new Date().toISOString() };
+    }
 
-  const winnerMatch = claudeResponse.match(/WINNER:\s*SUBMISSION\s*(\d)/i);
-  let newWinner = originalJudgment.winner;
-  if (winnerMatch) {
-    newWinner = winnerMatch[1] === "1" ? "m1" : "m2";
+    // Overturned: the summary is rewritten from the appeal ruling, which
+    // replaces the court's ruling below
+    overturned = verdict.valid && newWinner !== originalJudgment.winner;
+    if (overturned) {
+      const winnerSub = newWinner === "m1" ? originalJudgment.m1sub : originalJudgment.m2sub;
+      const winnerName = (newWinner === "m1" ? m1Member : m2Member).name;
+      try {
+        const summaryTemplate = prompts.render("summary", {
+          WINNER_SPECIES: winnerSub.species,
+          WINNER_NAME: winnerName,
+          CLAUDE_RULING: verdict.argument,
+        });
+        promptVersions.summary = summaryTemplate.hash;
+        const summaryCall = await callRole("summary", summaryTemplate.text, [], { meter });
+        summary = summaryCall.text.trim();
+        models = { ...models, summary: { provider: summaryCall.provider, model: summaryCall.model } };
+      } catch (err) {
+        console.warn("  [Summary] Failed to generate, using fallback:", err.message);
+        summary = `The ${winnerSub.species} prevailed on appeal.`;
+      }
+    }
+  } finally {
+    meter.flush();
   }
 
-  const ruling = claudeResponse.replace(/\n*WINNER:\s*SUBMISSION\s*\d.*/gi, "").trim();
-
-  // Update judgment
-  originalJudgment.appealRuling = {
-    ruling,
-    previousWinner: originalJudgment.winner,
-    newWinner,
-    ruledAt: new Date().toISOString(),
+  const judgment = {
+    ...originalJudgment,
+    winner: newWinner,
+    summary,
+    models,
+    appealRuling: {
+      ruling: verdict.argument,
+      previousWinner: originalJudgment.winner,
+      newWinner,
+      overturned,
+      ruledAt: new Date().toISOString(),
+    },
+    ...(needsReview && { needsReview }),
+    usage: judgmentUsage([...((originalJudgment.usage || {}).log || []), ...meter.calls]),
+    promptVersions,
   };
-  originalJudgment.winner = newWinner;
-  originalJudgment.summary = `[APPEAL] ${originalJudgment.summary}`;
-  db.saveJudgment(originalJudgment);
+  if (overturned) {
+    // The original ruling and scorecard argued for the other bird; revision
+    // history keeps them
+    judgment.claude = { ruling: verdict.argument, scores: verdict.scores };
+    delete judgment.scoring;
+  }
+  const appellant = appeal && db.getMember(appeal.appealBy);
+  db.saveJudgment(judgment, { kind: "appeal", by: "ai", note: appellant ? `Appeal by ${appellant.name}` : null });
 
-  return originalJudgment;
+  return judgment;
 }
 
-module.exports = { judgeMatchup, judgeWeek, judgeAppeal };
+module.exports = { judgeMatchup, judgeWeekMatchup, judgeWeek, judgeAppeal, previewMatchup, decidePanel };
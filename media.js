@@ -0,0 +1,183 @@
+/**
+ * Bird League — Submission media files
+ *
+ * Uploads live on the persistent volume under
+ *   MEDIA_DIR/season-<id>/week-<n>/<member name>/<random file name>
+ * and submissions refer to them by URL:
+ *   /api/media/<season>/<week>/<memberId>/<file>
+ * Uploads from before seasons were in the path stay where they were, under
+ * MEDIA_DIR/week-<n>/..., with URLs that carry no season; they belong to
+ * whichever season's submissions refer to them (see urlSeason).
+ * Resized copies of a photo (images.js) sit next to it as <name>.<variant>.jpg
+ * and live and die with it.
+ *
+ * A file is in use while any submission, submission revision or draft in any
+ * season refers to it. Files nothing refers to any more (a replaced draft, an
+ * upload from a failed request, resubmissions from before revision history)
+ * are orphans and can be removed.
+ *
+ * Upload limits come from the environment (sizes in MB):
+ *   UPLOAD_MAX_FILE_MB (25), UPLOAD_MAX_REQUEST_MB (60), UPLOAD_MAX_FILES (6),
+ *   UPLOAD_MEMBER_QUOTA_MB (250) — everything a member has stored, all weeks
+ */
+
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+// Media files go on the persistent volume alongside db.json
+const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, "data");
+const MEDIA_DIR = path.join(DATA_DIR, "submissions");
+fs.mkdirSync(MEDIA_DIR, { recursive: true });
+
+const MB = 1024 * 1024;
+const envNumber = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+const UPLOAD_LIMITS = {
+  maxFileBytes: envNumber("UPLOAD_MAX_FILE_MB", 25) * MB,
+  maxRequestBytes: envNumber("UPLOAD_MAX_REQUEST_MB", 60) * MB,
+  maxFiles: envNumber("UPLOAD_MAX_FILES", 6),
+};
+const MEMBER_QUOTA_BYTES = envNumber("UPLOAD_MEMBER_QUOTA_MB", 250) * MB;
+
+const VARIANTS = ["thumb", "web", "judge"];
+
+// /api/media/[<season>/]<week>/<memberId>/<file>
+const MEDIA_URL = /^\/api\/media\/(?:(\d+)\/)?(\d+)\/(\d+)\/([^/]+)$/;
+
+/** Where a file's resized `variant` is kept */
+function variantPath(file, variant) {
+  return `${file.slice(0, file.length - path.extname(file).length)}.${variant}.jpg`;
+}
+
+/** Directory holding a member's uploads for a week (`seasonId` omitted: the old season-less layout) */
+function memberDir(week, member, seasonId) {
+  const season = seasonId == null ? [] : [`season-${seasonId}`];
+  return path.join(MEDIA_DIR, ...season, `week-${week}`, member.name.replace(/[^a-zA-Z0-9]/g, "_"));
+}
+
+/** Limits for parseMultipart (multipart.js) when `member` uploads */
+function uploadLimits(member) {
+  return { ...UPLOAD_LIMITS, quotaBytes: Math.max(0, MEMBER_QUOTA_BYTES - memberUsage(member)) };
+}
+
+/** Bytes stored for a member across every week of every season */
+function memberUsage(member) {
+  const name = path.basename(memberDir(0, member));
+  const weekDirs = fs.readdirSync(MEDIA_DIR).flatMap((entry) => entry.startsWith("season-")
+    ? fs.readdirSync(path.join(MEDIA_DIR, entry)).map((week) => path.join(MEDIA_DIR, entry, week))
+    : [path.join(MEDIA_DIR, entry)]);
+  let bytes = 0;
+  for (const weekDir of weekDirs) {
+    const dir = path.join(weekDir, name);
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir)) bytes += fs.statSync(path.join(dir, file)).size;
+  }
+  return bytes;
+}
+
+/**
+ * A member's upload for a week, from the parts of a media URL. Null when the
+ * result would land outside MEDIA_DIR's [season-S/]week-N/<member> folders.
+ */
+function resolve(week, member, filename, seasonId) {
+  if (!/^\d+$/.test(String(week))) return null;
+  if (seasonId != null && !/^\d+$/.test(String(seasonId))) return null;
+  const dir = memberDir(week, member, seasonId);
+  const file = path.resolve(dir, String(filename));
+  return path.dirname(file) === dir && file.startsWith(MEDIA_DIR + path.sep) ? file : null;
+}
+
+/**
+ * The season a media URL belongs to: the one it names, or for an old
+ * season-less URL the season whose submissions, revisions or drafts refer to
+ * it (the current one when none does). Null for anything but a media URL.
+ */
+function urlSeason(url) {
+  const match = String(url).match(MEDIA_URL);
+  if (!match) return null;
+  if (match[1]) return parseInt(match[1]);
+  const owner = db.listSeasons().find(({ id }) => db.season(id).getMediaReferences().includes(url));
+  return owner ? owner.id : db.getCurrentSeasonId();
+}
+
+/**
+ * The file behind a media URL, or null when the URL or its member is unknown.
+ * Members are looked up in the season the URL names, else in `sdb`.
+ */
+function filePath(url, sdb = db) {
+  const match = String(url).match(MEDIA_URL);
+  if (!match) return null;
+  const [, seasonId, week, memberId, filename] = match;
+  const member = (seasonId ? db.season(parseInt(seasonId)) : sdb).getMember(parseInt(memberId));
+  return member ? resolve(week, member, filename, seasonId) : null;
+}
+
+function referencedFiles() {
+  const files = new Set();
+  for (const { id } of db.listSeasons()) {
+    const sdb = db.season(id);
+    for (const url of sdb.getMediaReferences()) {
+      const file = filePath(url, sdb);
+      if (!file) continue;
+      files.add(file);
+      for (const variant of VARIANTS) files.add(variantPath(file, variant));
+    }
+  }
+  return files;
+}
+
+/**
+ * Every file under MEDIA_DIR that nothing refers to.
+ *
+ * @returns {Array<{ path: string, size: number, modifiedAt: string }>} path relative to MEDIA_DIR
+ */
+function findOrphans() {
+  const used = referencedFiles();
+  const orphans = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else if (!used.has(full)) {
+        const stat = fs.statSync(full);
+        orphans.push({ path: path.relative(MEDIA_DIR, full), size: stat.size, modifiedAt: stat.mtime.toISOString() });
+      }
+    }
+  };
+  walk(MEDIA_DIR);
+  return orphans;
+}
+
+/** Delete every orphan. Returns the files removed. */
+function removeOrphans() {
+  const orphans = findOrphans();
+  for (const orphan of orphans) fs.rmSync(path.join(MEDIA_DIR, orphan.path), { force: true });
+  return orphans;
+}
+
+/** Delete an upload and its variants */
+function discard(file) {
+  fs.rmSync(file, { force: true });
+  for (const variant of VARIANTS) fs.rmSync(variantPath(file, variant), { force: true });
+}
+
+/** Delete the files behind `urls` that nothing refers to any more */
+function release(urls, sdb = db) {
+  if (!urls || !urls.length) return 0;
+  const used = referencedFiles();
+  let removed = 0;
+  for (const url of urls) {
+    const file = filePath(url, sdb);
+    if (file && !used.has(file) && fs.existsSync(file)) {
+      discard(file);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  MEDIA_DIR, VARIANTS, variantPath, memberDir, resolve, urlSeason, filePath, uploadLimits, memberUsage, findOrphans,
+  removeOrphans, discard, release,
+};
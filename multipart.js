@@ -1,129 +1,283 @@
 /**
- * Minimal multipart/form-data parser (no dependencies).
- * 
- * Parses incoming multipart requests, saves uploaded files to disk,
- * and returns { fields: {}, files: [] }.
- * 
- * For production, replace with multer or busboy.
+ * Streaming multipart/form-data parser (no dependencies).
+ *
+ * Parses incoming multipart requests as they arrive, writing file parts
+ * straight to disk, and returns { fields: {}, files: [] }.
+ *
+ * The real type of each file comes from its first bytes, not the client's
+ * Content-Type or file name, and files of other types are refused. Limits
+ * on file size, request size, file count and the member's remaining storage
+ * are enforced while streaming. When a request fails or is aborted, every
+ * file it wrote is removed.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MB = 1024 * 1024;
+const DEFAULT_LIMITS = {
+  maxFileBytes: 25 * MB,
+  maxRequestBytes: 60 * MB,
+  maxFiles: 6,
+  maxFieldBytes: 64 * 1024,
+  quotaBytes: Infinity,     // storage the member has left
+  allowedTypes: null,       // MIME types to accept; null = everything sniff() knows
+};
+const MAX_HEADER_BYTES = 16 * 1024;
+const SNIFF_BYTES = 16;
+
+// ─── Type sniffing ────────────────────────────────────────
+
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+
+const SIGNATURES = [
+  { mime: "image/jpeg", ext: ".jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/png", ext: ".png", test: (b) => ascii(b, 0, 8) === "\x89PNG\r\n\x1a\n" },
+  { mime: "image/gif", ext: ".gif", test: (b) => /^GIF8[79]a$/.test(ascii(b, 0, 6)) },
+  { mime: "image/webp", ext: ".webp", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP" },
+  { mime: "audio/wav", ext: ".wav", test: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WAVE" },
+  { mime: "video/quicktime", ext: ".mov", test: (b) => ascii(b, 4, 8) === "ftyp" && ascii(b, 8, 12) === "qt  " },
+  { mime: "audio/mp4", ext: ".m4a", test: (b) => ascii(b, 4, 8) === "ftyp" && ascii(b, 8, 11) === "M4A" },
+  { mime: "video/mp4", ext: ".mp4", test: (b) => ascii(b, 4, 8) === "ftyp" && /^(isom|iso\d|mp4\d|avc1|M4V |MSNV|dash)$/.test(ascii(b, 8, 12)) },
+  { mime: "video/webm", ext: ".webm", test: (b) => b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3 },
+  { mime: "audio/mpeg", ext: ".mp3", test: (b) => ascii(b, 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+];
+
+/**
+ * Detect a file's type from its first bytes.
+ *
+ * @param {Buffer} head - At least the first 16 bytes when the file has them
+ * @returns {{ mime: string, ext: string }|null} null for anything unrecognized
+ */
+function sniff(head) {
+  const match = SIGNATURES.find((s) => head.length >= 4 && s.test(head));
+  return match ? { mime: match.mime, ext: match.ext } : null;
+}
+
+// ─── Parser ───────────────────────────────────────────────
+
 /**
  * Parse a multipart/form-data request.
- * 
+ *
  * @param {http.IncomingMessage} req
  * @param {string} uploadDir — directory to save files into
- * @returns {Promise<{ fields: Object, files: Array<{ fieldName, originalName, savedPath, mimeType, size }> }>}
+ * @param {object} [limits] — overrides for DEFAULT_LIMITS
+ * @returns {Promise<{ fields: Object, files: Array<{ fieldName, originalName, savedName, savedPath, mimeType, size }> }>}
+ * @throws {UploadError} With `status` 413 for a limit, 415 for a refused type, 400 otherwise
  */
-function parseMultipart(req, uploadDir) {
+function parseMultipart(req, uploadDir, limits = {}) {
+  limits = { ...DEFAULT_LIMITS, ...limits };
   return new Promise((resolve, reject) => {
     const contentType = req.headers["content-type"] || "";
-    const boundaryMatch = contentType.match(/boundary=(.+)/);
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
     if (!boundaryMatch) {
-      return reject(new Error("No boundary found in content-type"));
+      return reject(new UploadError("No boundary found in content-type"));
+    }
+    const declared = parseInt(req.headers["content-length"]);
+    if (declared > limits.maxRequestBytes) {
+      req.resume();
+      return reject(tooLarge("Request", limits.maxRequestBytes));
     }
-    const boundary = boundaryMatch[1];
 
-    const chunks = [];
-    req.on("data", (chunk) => chunks.push(chunk));
-    req.on("error", reject);
-    req.on("end", () => {
-      try {
-        const buffer = Buffer.concat(chunks);
-        const result = { fields: {}, files: [] };
-
-        // Split by boundary
-        const boundaryBuf = Buffer.from(`--${boundary}`);
-        const parts = splitBuffer(buffer, boundaryBuf);
-
-        for (const part of parts) {
-          const str = part.toString("latin1");
-          if (str.trim() === "" || str.trim() === "--") continue;
-
-          // Find header/body separator (double CRLF)
-          const sepIdx = str.indexOf("\r\n\r\n");
-          if (sepIdx === -1) continue;
-
-          const headerStr = str.substring(0, sepIdx);
-          const bodyStart = sepIdx + 4;
-
-          // Parse Content-Disposition
-          const nameMatch = headerStr.match(/name="([^"]+)"/);
-          const filenameMatch = headerStr.match(/filename="([^"]+)"/);
-          const ctMatch = headerStr.match(/Content-Type:\s*(.+)/i);
-
-          if (!nameMatch) continue;
-          const fieldName = nameMatch[1];
-
-          if (filenameMatch && filenameMatch[1]) {
-            // File field — save to disk
-            const originalName = filenameMatch[1];
-            const mimeType = ctMatch ? ctMatch[1].trim() : "application/octet-stream";
-            const ext = path.extname(originalName) || guessExt(mimeType);
-            const savedName = `${crypto.randomUUID()}${ext}`;
-            const savedPath = path.join(uploadDir, savedName);
-
-            // Extract binary body from original buffer (not the latin1 string)
-            const bodyBuf = part.slice(Buffer.byteLength(str.substring(0, bodyStart), "latin1"));
-            // Trim trailing \r\n
-            const trimmed = bodyBuf.length > 2 && bodyBuf[bodyBuf.length - 2] === 0x0d && bodyBuf[bodyBuf.length - 1] === 0x0a
-              ? bodyBuf.slice(0, -2)
-              : bodyBuf;
-
-            fs.mkdirSync(uploadDir, { recursive: true });
-            fs.writeFileSync(savedPath, trimmed);
-
-            result.files.push({
-              fieldName,
-              originalName,
-              savedName,
-              savedPath,
-              mimeType,
-              size: trimmed.length,
-            });
-          } else {
-            // Text field
-            let val = str.substring(bodyStart);
-            // Trim trailing \r\n
-            if (val.endsWith("\r\n")) val = val.slice(0, -2);
-            result.fields[fieldName] = val;
+    const delimiter = Buffer.from(`\r\n--${(boundaryMatch[1] || boundaryMatch[2]).trim()}`);
+    const result = { fields: {}, files: [] };
+    const writes = [];
+    const opened = []; // { stream, path, closed } for every file this request started
+    let buffer = Buffer.from("\r\n"); // so the first boundary looks like the others
+    let state = "preamble";
+    let part = null;
+    let received = 0;
+    let stored = 0;
+    let failed = false;
+    let done = false;
+
+    function fail(err) {
+      if (failed || done) return;
+      failed = true;
+      for (const file of opened) {
+        file.stream.destroy();
+        file.closed.then(() => fs.rmSync(file.path, { force: true }));
+      }
+      req.removeListener("data", onData);
+      req.resume(); // discard the rest of the body
+      reject(err);
+    }
+
+    function startPart(headerText) {
+      const name = headerText.match(/;\s*name="([^"]*)"/i);
+      const filename = headerText.match(/;\s*filename="([^"]*)"/i);
+      part = { name: name ? name[1] : null, chunks: [], size: 0 };
+      if (filename) {
+        part.originalName = filename[1];
+        part.head = [];
+        // A file input left empty still sends a part with no name and no bytes
+        if (!filename[1]) part.skip = true;
+        else if (result.files.length >= limits.maxFiles) throw new UploadError(`At most ${limits.maxFiles} files per submission`, 413);
+      }
+    }
+
+    // Open the file once its first bytes show what it really is
+    function openFile(head) {
+      const type = sniff(head);
+      const allowed = limits.allowedTypes || SIGNATURES.map((s) => s.mime);
+      if (!type || !allowed.includes(type.mime)) {
+        throw new UploadError(`${part.originalName}: ${type ? type.mime : "unrecognized"} files aren't accepted`, 415);
+      }
+      const savedName = `${crypto.randomUUID()}${type.ext}`;
+      fs.mkdirSync(uploadDir, { recursive: true });
+      part.file = {
+        fieldName: part.name,
+        originalName: part.originalName,
+        savedName,
+        savedPath: path.join(uploadDir, savedName),
+        mimeType: type.mime,
+        size: 0,
+      };
+      part.stream = fs.createWriteStream(part.file.savedPath);
+      opened.push({
+        stream: part.stream,
+        path: part.file.savedPath,
+        closed: new Promise((res) => part.stream.on("close", res)),
+      });
+      writes.push(new Promise((res, rej) => {
+        part.stream.on("finish", res);
+        part.stream.on("error", rej);
+      }));
+      part.stream.on("error", fail);
+      // Ending a stream cancels its pending "drain", so resume on "finish" too
+      part.stream.on("drain", () => req.resume());
+      part.stream.on("finish", () => req.resume());
+    }
+
+    function writeFile(chunk) {
+      part.size += chunk.length;
+      stored += chunk.length;
+      if (part.size > limits.maxFileBytes) throw tooLarge(part.originalName, limits.maxFileBytes);
+      if (stored > limits.quotaBytes) throw new UploadError("Upload would go over your storage quota", 413);
+      if (!part.stream) {
+        part.head.push(chunk);
+        const head = Buffer.concat(part.head);
+        if (head.length < SNIFF_BYTES) return;
+        part.head = null;
+        openFile(head);
+        chunk = head;
+      }
+      if (!part.stream.write(chunk)) req.pause();
+    }
+
+    function partData(chunk) {
+      if (!chunk.length || part.skip) return;
+      if (part.originalName !== undefined) return writeFile(chunk);
+      part.size += chunk.length;
+      if (part.size > limits.maxFieldBytes) throw tooLarge(`Field ${part.name}`, limits.maxFieldBytes);
+      part.chunks.push(chunk);
+    }
+
+    function endPart() {
+      if (part.originalName !== undefined) {
+        if (!part.skip) {
+          if (!part.stream) {
+            const head = Buffer.concat(part.head); // the whole file was shorter than SNIFF_BYTES
+            openFile(head);
+            part.stream.write(head);
+          }
+          part.stream.end();
+          part.file.size = part.size;
+          result.files.push(part.file);
+        }
+      } else if (part.name) {
+        result.fields[part.name] = Buffer.concat(part.chunks).toString("utf8");
+      }
+      part = null;
+    }
+
+    // Consume as much of `buffer` as possible
+    function advance() {
+      for (;;) {
+        if (state === "preamble" || state === "body") {
+          const idx = buffer.indexOf(delimiter);
+          if (idx === -1) {
+            // Keep enough to catch a delimiter split across chunks
+            const keep = Math.min(buffer.length, delimiter.length - 1);
+            if (state === "body") partData(buffer.subarray(0, buffer.length - keep));
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
           }
+          if (state === "body") {
+            partData(buffer.subarray(0, idx));
+            endPart();
+          }
+          buffer = buffer.subarray(idx + delimiter.length);
+          state = "boundary";
+        } else if (state === "boundary") {
+          if (buffer.length < 2) return;
+          const next = ascii(buffer, 0, 2);
+          if (next === "--") {
+            state = "end";
+            return;
+          }
+          const eol = buffer.indexOf("\r\n");
+          if (eol === -1) return;
+          buffer = buffer.subarray(eol + 2); // allow transport padding after the boundary
+          state = "headers";
+        } else if (state === "headers") {
+          const idx = buffer.indexOf("\r\n\r\n");
+          if (idx === -1) {
+            if (buffer.length > MAX_HEADER_BYTES) throw new UploadError("Part headers too large");
+            return;
+          }
+          startPart(ascii(buffer, 0, idx));
+          buffer = buffer.subarray(idx + 4);
+          state = "body";
+        } else {
+          buffer = Buffer.alloc(0); // epilogue
+          return;
         }
+      }
+    }
 
-        resolve(result);
+    function onData(chunk) {
+      received += chunk.length;
+      try {
+        if (received > limits.maxRequestBytes) throw tooLarge("Request", limits.maxRequestBytes);
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        advance();
       } catch (err) {
-        reject(err);
+        fail(err);
       }
+    }
+
+    req.on("data", onData);
+    req.on("error", fail);
+    req.on("close", () => {
+      if (!req.complete) fail(new UploadError("Upload aborted"));
+    });
+    req.on("end", () => {
+      if (failed) return;
+      if (state !== "end") return fail(new UploadError("Multipart body ended early"));
+      done = true;
+      Promise.all(writes).then(() => resolve(result), (err) => {
+        done = false;
+        fail(err);
+      });
     });
   });
 }
 
-/** Split a buffer by a delimiter buffer */
-function splitBuffer(buf, delim) {
-  const parts = [];
-  let start = 0;
-  while (true) {
-    const idx = buf.indexOf(delim, start);
-    if (idx === -1) {
-      parts.push(buf.slice(start));
-      break;
-    }
-    if (idx > start) parts.push(buf.slice(start, idx));
-    start = idx + delim.length;
-  }
-  return parts;
+function tooLarge(what, bytes) {
+  return new UploadError(`${what} is larger than ${formatBytes(bytes)}`, 413);
 }
 
-function guessExt(mimeType) {
-  const map = {
-    "image/jpeg": ".jpg", "image/png": ".png", "image/gif": ".gif",
-    "image/webp": ".webp", "video/mp4": ".mp4", "video/quicktime": ".mov",
-    "audio/mpeg": ".mp3", "audio/wav": ".wav", "audio/mp4": ".m4a",
-  };
-  return map[mimeType] || "";
+function formatBytes(bytes) {
+  return bytes >= MB ? `${Math.round((bytes / MB) * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
 }
 
 /**
@@ -144,4 +298,4 @@ function parseJson(req) {
   });
 }
 
-module.exports = { parseMultipart, parseJson };
+module.exports = { parseMultipart, parseJson, sniff, UploadError, DEFAULT_LIMITS };
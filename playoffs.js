@@ -0,0 +1,223 @@
+/**
+ * Bird League — Postseason brackets
+ *
+ * Pure bracket logic; db.js stores the bracket on the season and calls
+ * advancePlayoffs() whenever a playoff judgment is saved, reverted or deleted.
+ *
+ * Every playoff game is an ordinary schedule week tagged with
+ * `playoff: { round, game }`, so submissions and judgeWeek/judgeMatchup
+ * work on it unchanged. One week holds game N of every undecided series in
+ * a round. Top seeds get byes when the field isn't a power of two.
+ */
+
+const { outcomes } = require("./standings");
+
+class PlayoffError extends Error {}
+
+/**
+ * Build a bracket from regular-season standings.
+ *
+ * @param {Array<{ id }>} standings - Ordered best to worst
+ * @param {object} opts
+ * @param {number} [opts.teams] - Playoff field size (default: everyone)
+ * @param {number} [opts.bestOf] - Games per series, odd (default 1 = single elimination)
+ * @returns {object} Bracket (without scheduled weeks; see advancePlayoffs)
+ */
+function createBracket(standings, opts = {}) {
+  const teams = Math.min(opts.teams || standings.length, standings.length);
+  const bestOf = opts.bestOf || 1;
+  if (teams < 2) throw new Error("Need at least two teams for playoffs");
+  if (bestOf < 1 || bestOf % 2 === 0) throw new Error("bestOf must be an odd number");
+
+  const seeds = standings.slice(0, teams).map((s, i) => ({ seed: i + 1, memberId: s.id }));
+  let size = 1;
+  while (size < teams) size *= 2;
+
+  const series = seedOrder(size).reduce((pairs, seed, i, order) => {
+    if (i % 2 === 0) pairs.push([seed, order[i + 1]]);
+    return pairs;
+  }, []).map(([a, b], i) => {
+    const high = seeds[Math.min(a, b) - 1];
+    const low = seeds[Math.max(a, b) - 1] || null;
+    return newSeries(1, i + 1, high, low);
+  });
+
+  const bracket = {
+    format: bestOf === 1 ? "single" : "bestOf",
+    bestOf,
+    teams,
+    byes: size - teams,
+    seeds,
+    rounds: [{ round: 1, name: roundName(size), series }],
+    champion: null,
+    createdAt: new Date().toISOString(),
+  };
+  return bracket;
+}
+
+function newSeries(round, n, high, low) {
+  return {
+    id: `r${round}s${n}`,
+    high,
+    low,
+    games: [],
+    winner: low ? null : high.memberId,
+    bye: !low,
+  };
+}
+
+// Standard bracket order so 1 and 2 can only meet in the final: [1, 8, 4, 5, 2, 7, 3, 6]
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2 + 1;
+    order = order.flatMap(s => [s, n - s]);
+  }
+  return order;
+}
+
+function roundName(size) {
+  if (size === 2) return "Final";
+  if (size === 4) return "Semifinals";
+  if (size === 8) return "Quarterfinals";
+  return `Round of ${size}`;
+}
+
+/**
+ * Bring the bracket up to date with the season's judgments: recompute every
+ * game and series result, schedule the next game or round, crown a champion.
+ * Mutates `season` in place; safe to call repeatedly.
+ *
+ * Results are recomputed on every call, so a rejudge, revert or deleted
+ * judgment moves the bracket with it, until something was scheduled on the
+ * strength of the result (see gameLocked).
+ *
+ * @throws {PlayoffError} When a judgment would change a locked game
+ */
+function advancePlayoffs(season) {
+  const bracket = season.playoffs;
+  if (!bracket) return;
+  const needed = Math.ceil(bracket.bestOf / 2);
+
+  bracket.rounds.forEach((round, r) => {
+    for (const series of round.series) {
+      if (series.bye) continue;
+      series.games.forEach((game, g) => {
+        const judgment = season.judgments.find(j => j.week === game.week && j.m1Id === game.m1 && j.m2Id === game.m2);
+        const result = gameResult(series, game, judgment);
+        const winner = result ? result.winner : null;
+        if (winner !== game.winner && (r < bracket.rounds.length - 1 || g < series.games.length - 1)) {
+          throw new PlayoffError(`Week ${game.week} can't change: the bracket has already moved past it`);
+        }
+        game.winner = winner;
+        if (result && result.bySeed) game.bySeed = true;
+        else delete game.bySeed;
+      });
+      const sides = [series.high, series.low].map(s => s.memberId);
+      series.winner = sides.find(id => series.games.filter(g => g.winner === id).length >= needed) || null;
+    }
+  });
+
+  const round = bracket.rounds[bracket.rounds.length - 1];
+  bracket.champion = round.series.length === 1 ? round.series[0].winner : null;
+  if (bracket.champion) {
+    bracket.completedAt = bracket.completedAt || new Date().toISOString();
+    return;
+  }
+  delete bracket.completedAt;
+
+  // Still waiting on a game in this round
+  if (round.series.some(s => !s.winner && s.games.some(g => !g.winner))) return;
+
+  const open = round.series.filter(s => !s.winner);
+  if (open.length > 0) {
+    scheduleGame(season, round, open);
+    return;
+  }
+
+  // Pair adjacent series winners into the next round
+  const next = { round: round.round + 1, name: roundName(round.series.length), series: [] };
+  for (let i = 0; i < round.series.length; i += 2) {
+    const [a, b] = [round.series[i], round.series[i + 1]].map(s => seedOf(bracket, s.winner));
+    const [high, low] = a.seed < b.seed ? [a, b] : [b, a];
+    next.series.push(newSeries(next.round, i / 2 + 1, high, low));
+  }
+  bracket.rounds.push(next);
+  scheduleGame(season, next, next.series);
+}
+
+/**
+ * Who a game's judgment sends through: its winner, or the higher seed when
+ * the ruling names no single winner (a double forfeit, or a commissioner
+ * ruling that both sides won or both lost). Null while the game is unjudged
+ * or waiting for the commissioner to rule on a flagged judgment.
+ */
+function gameResult(series, game, judgment) {
+  if (!judgment || (judgment.needsReview && !judgment.commissionerRuling)) return null;
+  const result = outcomes(judgment);
+  if (result.m1 === "W" && result.m2 === "L") return { winner: game.m1, bySeed: false };
+  if (result.m2 === "W" && result.m1 === "L") return { winner: game.m2, bySeed: false };
+  return { winner: series.high.memberId, bySeed: true };
+}
+
+/**
+ * Whether a playoff game's result is final: a later game of its series or
+ * the next round has been scheduled on the strength of it.
+ */
+function gameLocked(bracket, week, m1Id, m2Id) {
+  if (!bracket) return false;
+  return bracket.rounds.some((round, r) => round.series.some(series => series.games.some((game, g) => (
+    game.week === week && game.m1 === m1Id && game.m2 === m2Id
+    && (r < bracket.rounds.length - 1 || g < series.games.length - 1)
+  ))));
+}
+
+function seedOf(bracket, memberId) {
+  return bracket.seeds.find(s => s.memberId === memberId);
+}
+
+// Add one schedule week holding the next game of every given series
+function scheduleGame(season, round, seriesList) {
+  const weekNum = Math.max(0, ...season.schedule.map(w => w.week)) + 1;
+  const game = Math.max(...seriesList.map(s => s.games.length)) + 1;
+  const matchups = seriesList.map(series => {
+    // Higher seed takes the m1 slot in odd games
+    const [m1, m2] = series.games.length % 2 === 0
+      ? [series.high.memberId, series.low.memberId]
+      : [series.low.memberId, series.high.memberId];
+    series.games.push({ week: weekNum, m1, m2, winner: null });
+    return { m1, m2 };
+  });
+  season.schedule.push({
+    week: weekNum,
+    status: "active",
+    matchups,
+    playoff: { round: round.round, name: round.name, game },
+  });
+}
+
+/** Bracket with member names filled in, for the frontend */
+function bracketTree(bracket, members) {
+  if (!bracket) return null;
+  const name = (id) => members.find(m => m.id === id)?.name || "Unknown";
+  const side = (s) => s && { seed: s.seed, memberId: s.memberId, name: name(s.memberId) };
+  return {
+    ...bracket,
+    seeds: bracket.seeds.map(side),
+    champion: bracket.champion ? { memberId: bracket.champion, name: name(bracket.champion) } : null,
+    rounds: bracket.rounds.map(r => ({
+      ...r,
+      series: r.series.map(s => ({
+        ...s,
+        high: side(s.high),
+        low: side(s.low),
+        wins: s.low ? {
+          high: s.games.filter(g => g.winner === s.high.memberId).length,
+          low: s.games.filter(g => g.winner === s.low.memberId).length,
+        } : null,
+      })),
+    })),
+  };
+}
+
+module.exports = { createBracket, advancePlayoffs, gameLocked, bracketTree, PlayoffError };
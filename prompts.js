@@ -0,0 +1,206 @@
+/**
+ * Bird League — Prompt templates
+ *
+ * The files in prompts/*.txt are the default templates. Admins can save
+ * edited versions through the API; every version is kept in db.json with a
+ * short content hash, and any earlier version (including the file's) can be
+ * made current again. A template nobody has edited follows the file on disk,
+ * so a redeploy still updates it.
+ *
+ * Each template lists the placeholders it must contain and the ones it may
+ * use. Edits that drop a required placeholder or use an unknown one are
+ * rejected, and fillTemplate() refuses to fill a template with a required
+ * placeholder missing. judge.js records the version hash of every template a
+ * judgment used.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("./db");
+
+const PROMPTS_DIR = path.join(__dirname, "prompts");
+
+const MATCHUP = ["M1_SPECIES", "M1_DESCRIPTION", "M2_SPECIES", "M2_DESCRIPTION"];
+const NAMES = ["M1_NAME", "M2_NAME"];
+const JUDGE = [...NAMES, "SCORING"];
+
+const TEMPLATES = {
+  chatgpt: { required: MATCHUP, optional: JUDGE },
+  gemini: { required: MATCHUP, optional: JUDGE },
+  claude: { required: [...MATCHUP, "CHATGPT_ARGUMENT", "GEMINI_ARGUMENT"], optional: JUDGE },
+  summary: { required: ["WINNER_SPECIES", "CLAUDE_RULING"], optional: ["WINNER_NAME"] },
+  appeal: {
+    required: [...MATCHUP, "CLAUDE_RULING", "APPEAL_TEXT", "DEFENSE_TEXT"],
+    optional: ["CHATGPT_ARGUMENT", "GEMINI_ARGUMENT", "ORIGINAL_WINNER", "LOSER_SIDE", "WINNER_SIDE"],
+  },
+  forfeit: { required: ["WINNER_NAME", "WINNER_SPECIES", "FORFEIT_NAME"], optional: ["WINNER_DESCRIPTION"] },
+  panel: { required: MATCHUP, optional: JUDGE },
+  opinion: {
+    required: [...MATCHUP, "WINNER_SIDE", "MAJORITY_ARGUMENTS"],
+    optional: [...NAMES, "VOTE_TALLY", "DISSENT_ARGUMENTS"],
+  },
+};
+
+class PromptError extends Error {}
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+function placeholders(text) {
+  return [...new Set([...text.matchAll(/\{\{([A-Z0-9_]+)\}\}/g)].map((m) => m[1]))];
+}
+
+function readFile(name) {
+  return fs.readFileSync(path.join(PROMPTS_DIR, `${name}.txt`), "utf8");
+}
+
+/**
+ * Fill a template's placeholders.
+ *
+ * @param {string} template
+ * @param {object} vars - Placeholder name → value; empty values become "(none provided)"
+ * @param {string[]} [required] - Placeholders the template must contain
+ * @throws {PromptError} When a required placeholder is missing from the
+ *   template, or a placeholder has no value
+ */
+function fillTemplate(template, vars, required = []) {
+  const present = placeholders(template);
+  const missing = required.filter((key) => !present.includes(key));
+  if (missing.length) throw new PromptError(`Template is missing required placeholders: ${missing.join(", ")}`);
+  const unfilled = present.filter((key) => !(key in vars));
+  if (unfilled.length) throw new PromptError(`No value for placeholders: ${unfilled.join(", ")}`);
+
+  // One pass with a callback: member text is never re-scanned for placeholders
+  // or read as a replacement pattern ($&, $')
+  return template.replace(/\{\{([A-Z0-9_]+)\}\}/g, (_, key) => vars[key] || "(none provided)");
+}
+
+/** Validate template text for `name`. Returns a problem string, or null when valid. */
+function validate(name, text) {
+  const spec = TEMPLATES[name];
+  if (!spec) return `Unknown prompt: ${name}`;
+  if (typeof text !== "string" || !text.trim()) return "text must be a non-empty string";
+  const present = placeholders(text);
+  const missing = spec.required.filter((key) => !present.includes(key));
+  if (missing.length) return `Missing required placeholders: ${missing.map((k) => `{{${k}}}`).join(", ")}`;
+  const unknown = present.filter((key) => !spec.required.includes(key) && !spec.optional.includes(key));
+  if (unknown.length) return `Unknown placeholders: ${unknown.map((k) => `{{${k}}}`).join(", ")}`;
+  return null;
+}
+
+/**
+ * The current version of a template: { name, hash, text, source }.
+ * The file's version is added to the history the first time it is used, so
+ * every hash a judgment records can be looked up later.
+ */
+function load(name) {
+  if (!TEMPLATES[name]) throw new PromptError(`Unknown prompt: ${name}`);
+  const history = db.getPromptHistory(name);
+  if (history.current) {
+    const version = history.versions.find((v) => v.hash === history.current);
+    if (version) return { name, hash: version.hash, text: version.text, source: version.source };
+  }
+  const text = readFile(name);
+  const hash = hashText(text);
+  if (!history.versions.some((v) => v.hash === hash)) {
+    db.savePromptVersion(name, { hash, text, source: "file", note: null, savedAt: new Date().toISOString() }, false);
+  }
+  return { name, hash, text, source: "file" };
+}
+
+/**
+ * Load and fill a template — the current version, or `version` when given:
+ * a saved version's hash, or `{ text }` for an unsaved draft.
+ *
+ * @returns {{ text: string, hash: string }}
+ * @throws {PromptError} For an unknown version or an invalid draft
+ */
+function render(name, vars, version) {
+  let template;
+  if (!version) {
+    template = load(name);
+  } else if (typeof version === "string") {
+    template = db.getPromptHistory(name).versions.find((v) => v.hash === version);
+    if (!template) throw new PromptError(`No version ${version} of ${name}`);
+  } else {
+    const problem = validate(name, version.text);
+    if (problem) throw new PromptError(`Draft ${name}: ${problem}`);
+    template = { text: version.text, hash: hashText(version.text) };
+  }
+  return { text: fillTemplate(template.text, vars, TEMPLATES[name].required), hash: template.hash };
+}
+
+function summarizeVersion({ text, ...version }) {
+  return version;
+}
+
+/** Every template with its current version */
+function list() {
+  return Object.keys(TEMPLATES).map((name) => {
+    const current = load(name);
+    const history = db.getPromptHistory(name);
+    return {
+      name,
+      hash: current.hash,
+      source: current.source,
+      versions: history.versions.length,
+      required: TEMPLATES[name].required,
+      optional: TEMPLATES[name].optional,
+    };
+  });
+}
+
+/**
+ * One template: its current text, or the text of `hash`, plus the version
+ * history (newest first, without texts). Returns null for an unknown name or hash.
+ */
+function get(name, hash) {
+  if (!TEMPLATES[name]) return null;
+  const current = load(name);
+  const history = db.getPromptHistory(name);
+  const version = hash ? history.versions.find((v) => v.hash === hash) : current;
+  if (!version) return null;
+  return {
+    name,
+    current: current.hash,
+    hash: version.hash,
+    text: version.text,
+    required: TEMPLATES[name].required,
+    optional: TEMPLATES[name].optional,
+    versions: history.versions.map(summarizeVersion).reverse(),
+  };
+}
+
+/**
+ * Save new text for a template and make it current.
+ *
+ * @returns {{ version?: object, error?: string }}
+ */
+function save(name, text, note) {
+  const problem = validate(name, text);
+  if (problem) return { error: problem };
+  const version = { hash: hashText(text), text, source: "edit", note: note || null, savedAt: new Date().toISOString() };
+  const history = db.savePromptVersion(name, version, true);
+  return { version: summarizeVersion(history.versions.find((v) => v.hash === version.hash)) };
+}
+
+/**
+ * Make an earlier version current again. Rolling back to the version in the
+ * template file goes back to following the file.
+ *
+ * @returns {{ version?: object, error?: string }}
+ */
+function rollback(name, hash) {
+  if (!TEMPLATES[name]) return { error: `Unknown prompt: ${name}` };
+  const version = db.getPromptHistory(name).versions.find((v) => v.hash === hash);
+  if (!version) return { error: `No version ${hash} of ${name}` };
+  db.setCurrentPrompt(name, hash === hashText(readFile(name)) ? null : hash);
+  return { version: summarizeVersion(version) };
+}
+
+module.exports = {
+  load, render, fillTemplate, validate, list, get, save, rollback,
+  PromptError, TEMPLATES: Object.keys(TEMPLATES),
+};
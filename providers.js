@@ -0,0 +1,532 @@
+/**
+ * Bird League — Judge provider registry
+ *
+ * Maps each judging role to a provider + model through configuration:
+ *   rational    argues for a bird on principled grounds   (ChatGPT by default)
+ *   capricious  argues arbitrarily with sophistry         (Gemini by default)
+ *   synthesis   delivers the binding ruling; also appeals
+ *               and forfeit rulings                       (Claude by default)
+ *   summary     one-sentence summary of the ruling        (Claude by default)
+ *
+ * Config is judges.json in the repo root, or the file named by JUDGES_CONFIG
+ * (see judges.example.json). Providers it names are merged over the defaults
+ * below; roles it names replace the default role entirely. A role may list
+ * `fallback` entries (same shape as the role) that are tried in order when
+ * the primary has no API key or fails.
+ *
+ * JUDGE_PROVIDER=<name> forces every role onto one provider with no
+ * fallbacks — JUDGE_PROVIDER=mock runs judging offline (see mockResponse).
+ *
+ * Every call has a timeout. Failures are thrown as ProviderError with a
+ * `kind`: auth, quota, content_policy, invalid_request or transient. Only
+ * transient errors (timeouts, network errors, 429 rate limits, 5xx) are
+ * retried, with exponential backoff that honours Retry-After. A provider that
+ * keeps failing transiently trips its circuit breaker and is skipped until
+ * the cooldown passes. Per-provider settings (defaults in CALL_DEFAULTS):
+ *   timeoutMs, retries, backoffMs, breakerThreshold, breakerCooldownMs
+ *
+ * `prices` maps model → USD per million tokens ({ input, output, image? }),
+ * merged over the defaults; costs.js uses it to price each call.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+const DEFAULT_CONFIG = {
+  providers: {
+    openai: { type: "openai", baseUrl: "https://api.openai.com/v1", apiKeyEnv: "OPENAI_API_KEY" },
+    gemini: { type: "gemini", baseUrl: "https://generativelanguage.googleapis.com/v1beta", apiKeyEnv: "GOOGLE_AI_API_KEY" },
+    anthropic: { type: "anthropic", baseUrl: "https://api.anthropic.com/v1", apiKeyEnv: "ANTHROPIC_API_KEY" },
+    mock: { type: "mock", apiKeyEnv: null, backoffMs: 100 },
+  },
+  roles: {
+    rational: { provider: "openai", model: "o4-mini" },
+    capricious: {
+      provider: "gemini", model: "gemini-2.0-flash", temperature: 0.9, maxTokens: 1000,
+      fallback: [{ provider: "openai", model: "o4-mini" }],
+    },
+    synthesis: { provider: "anthropic", model: "claude-sonnet-4-20250514", maxTokens: 2000 },
+    summary: { provider: "anthropic", model: "claude-sonnet-4-20250514", maxTokens: 2000 },
+  },
+  prices: {
+    "o4-mini": { input: 1.1, output: 4.4 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+    "claude-sonnet-4-20250514": { input: 3, output: 15 },
+  },
+};
+
+const CALL_DEFAULTS = {
+  timeoutMs: 120000,
+  retries: 2,
+  backoffMs: 2000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 5 * 60 * 1000,
+};
+const MAX_BACKOFF_MS = 60000;
+
+// Rough token counts for when a provider doesn't report usage
+const IMAGE_TOKENS = 1500;
+const estimateTokens = (text) => Math.ceil((text || "").length / 4);
+
+// ─── Config ────────────────────────────────────────────────
+
+function loadConfig() {
+  const file = process.env.JUDGES_CONFIG || path.join(__dirname, "judges.json");
+  if (!fs.existsSync(file)) return DEFAULT_CONFIG;
+  const custom = JSON.parse(fs.readFileSync(file, "utf8"));
+  const providers = { ...DEFAULT_CONFIG.providers };
+  for (const [name, provider] of Object.entries(custom.providers || {})) {
+    providers[name] = { ...(providers[name] || {}), ...provider };
+  }
+  return {
+    providers,
+    roles: { ...DEFAULT_CONFIG.roles, ...(custom.roles || {}) },
+    prices: { ...DEFAULT_CONFIG.prices, ...(custom.prices || {}) },
+  };
+}
+
+// ─── Errors ────────────────────────────────────────────────
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} info - { kind, status?, retryAfterMs?, provider?, usage? };
+   *   `usage` is { inputTokens, outputTokens } when the provider billed the
+   *   call anyway (a response it then blocked)
+   */
+  constructor(message, { kind, status = null, retryAfterMs = null, provider = null, usage = null }) {
+    super(message);
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+    this.usage = usage;
+  }
+
+  get retryable() {
+    return this.kind === "transient";
+  }
+}
+
+/** Classify a non-200 response from a provider API */
+function classifyStatus(status, body) {
+  const text = (typeof body === "string" ? body : JSON.stringify(body || "")).toLowerCase();
+  if (status === 401 || status === 403 || /api[ _-]?key (not valid|invalid)/.test(text)) return "auth";
+  if (status === 402 || (status === 429 && /quota|billing|credit|insufficient/.test(text))) return "quota";
+  if (status === 429 || status === 408 || status === 409 || status >= 500) return "transient";
+  if (/content[ _-]?(policy|filter)|safety|moderation|blocked/.test(text)) return "content_policy";
+  return "invalid_request";
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = new Date(header).getTime();
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function httpError(label, res) {
+  return new ProviderError(`${label} error ${res.status}: ${JSON.stringify(res.body)}`, {
+    kind: classifyStatus(res.status, res.body),
+    status: res.status,
+    retryAfterMs: parseRetryAfter(res.headers["retry-after"]),
+  });
+}
+
+// ─── HTTP helper (no dependencies) ─────────────────────────
+
+function postJson(url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const client = parsed.protocol === "http:" ? http : https;
+    const options = {
+      hostname: parsed.hostname,
+      port: parsed.port || (parsed.protocol === "http:" ? 80 : 443),
+      path: parsed.pathname + parsed.search,
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+    };
+    const req = client.request(options, (res) => {
+      let data = "";
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) });
+        } catch {
+          resolve({ status: res.statusCode, headers: res.headers, body: data });
+        }
+      });
+    });
+    if (timeoutMs) {
+      req.setTimeout(timeoutMs, () => {
+        req.destroy(new ProviderError(`No response after ${timeoutMs}ms`, { kind: "transient" }));
+      });
+    }
+    req.on("error", (err) => {
+      reject(err instanceof ProviderError ? err : new ProviderError(err.message, { kind: "transient" }));
+    });
+    req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+// ─── Provider types ────────────────────────────────────────
+// Each takes one call description:
+//   { provider, role, apiKey, prompt, images, roleName, json, timeoutMs }
+// and resolves to { text, inputTokens, outputTokens } (token counts are null
+// when the API doesn't report them). `images` are { base64, mime, label };
+// `json` asks for the provider's native JSON output mode where it has one.
+
+const TYPES = {
+  // OpenAI chat completions; also any OpenAI-compatible server via baseUrl
+  async openai({ provider, role, apiKey, prompt, images, json, timeoutMs }) {
+    const content = [];
+    for (const img of images || []) {
+      content.push({ type: "text", text: `[Photo from ${img.label}'s submission:]` });
+      content.push({ type: "image_url", image_url: { url: `data:${img.mime};base64,${img.base64}` } });
+    }
+    content.push({ type: "text", text: prompt });
+
+    const body = { model: role.model, messages: [{ role: "user", content }] };
+    if (role.temperature != null) body.temperature = role.temperature;
+    if (role.maxTokens != null) body.max_completion_tokens = role.maxTokens;
+    if (json) body.response_format = { type: "json_object" };
+
+    const res = await postJson(`${provider.baseUrl}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, body, timeoutMs);
+    if (res.status !== 200) throw httpError("OpenAI", res);
+    const choice = res.body.choices[0];
+    const usage = res.body.usage || {};
+    if (choice.finish_reason === "content_filter") {
+      throw new ProviderError("OpenAI response blocked by content filter", {
+        kind: "content_policy",
+        usage: { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens },
+      });
+    }
+    return { text: choice.message.content, inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+  },
+
+  async gemini({ provider, role, apiKey, prompt, images, json, timeoutMs }) {
+    const parts = [];
+    for (const img of images || []) {
+      parts.push({ text: `[Photo from ${img.label}'s submission:]` });
+      parts.push({ inline_data: { mime_type: img.mime, data: img.base64 } });
+    }
+    parts.push({ text: prompt });
+
+    const generationConfig = {};
+    if (role.temperature != null) generationConfig.temperature = role.temperature;
+    if (role.maxTokens != null) generationConfig.maxOutputTokens = role.maxTokens;
+    if (json) generationConfig.responseMimeType = "application/json";
+
+    const url = `${provider.baseUrl}/models/${role.model}:generateContent?key=${apiKey}`;
+    const res = await postJson(url, {}, { contents: [{ parts }], generationConfig }, timeoutMs);
+    if (res.status !== 200) throw httpError("Gemini", res);
+    const candidate = (res.body.candidates || [])[0];
+    const usage = res.body.usageMetadata || {};
+    if (!candidate || !candidate.content) {
+      const reason = (res.body.promptFeedback || {}).blockReason || (candidate && candidate.finishReason) || "no candidates";
+      throw new ProviderError(`Gemini returned no text (${reason})`, {
+        kind: "content_policy",
+        usage: { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount },
+      });
+    }
+    return { text: candidate.content.parts[0].text, inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount };
+  },
+
+  async anthropic({ provider, role, apiKey, prompt, images, timeoutMs }) {
+    const content = [];
+    for (const img of images || []) {
+      content.push({ type: "text", text: `[Photo from ${img.label}'s submission:]` });
+      content.push({ type: "image", source: { type: "base64", media_type: img.mime, data: img.base64 } });
+    }
+    content.push({ type: "text", text: prompt });
+
+    const body = { model: role.model, max_tokens: role.maxTokens || 2000, messages: [{ role: "user", content }] };
+    if (role.temperature != null) body.temperature = role.temperature;
+
+    const res = await postJson(`${provider.baseUrl}/messages`, {
+      "x-api-key": apiKey,
+      "anthropic-version": "2023-06-01",
+    }, body, timeoutMs);
+    if (res.status !== 200) throw httpError("Anthropic", res);
+    const usage = res.body.usage || {};
+    if (res.body.stop_reason === "refusal") {
+      throw new ProviderError("Anthropic declined to respond", {
+        kind: "content_policy",
+        usage: { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens },
+      });
+    }
+    return { text: res.body.content[0].text, inputTokens: usage.input_tokens, outputTokens: usage.output_tokens };
+  },
+};
+
+// ─── Mock provider ─────────────────────────────────────────
+// Deterministic offline judge. The same prompt (and MOCK_JUDGE_SEED) always
+// gets the same answer. MOCK_JUDGE_MODE picks the behaviour:
+//   normal     (default) well-formed JSON verdicts
+//   malformed  verdicts that fail validation (prose, bad winner, cut-off JSON)
+//   error      every call fails like a provider 500
+//   timeout    calls hang for MOCK_JUDGE_DELAY_MS (default 60s), then fail,
+//              unless the provider's timeoutMs cuts them off first
+//   flaky      a seeded mix of normal, malformed and error
+
+const MOCK_OPENERS = [
+  "Having weighed plumage, poise and narrative flair",
+  "After consulting the ancient ledger of bird law",
+  "Setting aside all personal feelings about beaks",
+  "With the gravity this court reserves for waterfowl",
+];
+
+const MOCK_REASONS = [
+  "its story carries more conviction per feather",
+  "its encounter shows a swagger the other cannot match",
+  "rarity and effort must be rewarded in this league",
+  "it simply looked the observer in the eye and meant it",
+];
+
+function mockRandom(roleName, prompt) {
+  const hash = crypto.createHash("sha256")
+    .update(`${process.env.MOCK_JUDGE_SEED || ""}|${roleName}|${prompt}`)
+    .digest();
+  let state = hash.readUInt32LE(0);
+  // mulberry32
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mockResponse(roleName, prompt) {
+  const rand = mockRandom(roleName, prompt);
+  const pickOne = (list) => list[Math.floor(rand() * list.length)];
+  let mode = process.env.MOCK_JUDGE_MODE || "normal";
+  if (mode === "flaky") mode = pickOne(["normal", "normal", "malformed", "error"]);
+
+  if (mode === "error") {
+    throw new ProviderError("Mock error 500: simulated provider failure", { kind: "transient", status: 500 });
+  }
+
+  const species = [1, 2].map((n) => {
+    const match = prompt.match(new RegExp(`SUBMISSION ${n} — (.+)`));
+    return match ? match[1].trim() : `the bird of Submission ${n}`;
+  });
+  const winner = rand() < 0.5 ? 1 : 2;
+  const loser = winner === 1 ? 2 : 1;
+
+  if (roleName === "summary") {
+    const won = (prompt.match(/Winning species: (.+)/) || [])[1] || species[winner - 1];
+    return `The ${won.trim()} won because ${pickOne(MOCK_REASONS)}.`;
+  }
+
+  const argument = `${pickOne(MOCK_OPENERS)}, this court finds the ${species[winner - 1]} cooler than the ${species[loser - 1]}, because ${pickOne(MOCK_REASONS)}.`;
+  let text = argument;
+  if (prompt.includes("'APPEAL RULING'")) {
+    text = `APPEAL RULING\n\n${argument}\n\nRULING FINAL. COURT ADJOURNED.`;
+  } else if (prompt.includes("'JUDGMENT OF THE COURT'")) {
+    text = `JUDGMENT OF THE COURT\n\n${argument}\n\nJUDGEMENT RENDERED. COURT ADJOURNED.`;
+  }
+
+  // Prompts that don't ask for a JSON verdict (e.g. forfeit rulings) get prose
+  if (!prompt.includes('"winner"')) return text;
+
+  if (mode === "malformed") {
+    return pickOne([
+      `${text}\n\nBoth birds are, in their own way, winners.`,
+      JSON.stringify({ argument: text, winner: 3 }),
+      JSON.stringify({ argument: text, winner }).slice(0, -12),
+    ]);
+  }
+
+  // Score the criteria the prompt asks for (see scoring.js), or just coolness
+  const asked = prompt.match(/from 0 to (\d+) on each of these criteria: (.+)/);
+  const max = asked ? Number(asked[1]) : 10;
+  const criteria = asked ? [...asked[2].matchAll(/"([a-z][a-z0-9_]*)"/g)].map((m) => m[1]) : ["coolness"];
+  const scorecard = () => Object.fromEntries(criteria.map((name) => [name, Math.floor(rand() * max) + 1]));
+  const field = prompt.includes('"ruling"') ? "ruling" : "argument";
+  return JSON.stringify({
+    [field]: text,
+    winner,
+    scores: { 1: scorecard(), 2: scorecard() },
+  });
+}
+
+TYPES.mock = async function mock({ prompt, images, roleName }) {
+  if (process.env.MOCK_JUDGE_MODE === "timeout") {
+    const delay = parseInt(process.env.MOCK_JUDGE_DELAY_MS) || 60000;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    throw new ProviderError(`Mock timeout after ${delay}ms`, { kind: "transient" });
+  }
+  const text = mockResponse(roleName, prompt);
+  return {
+    text,
+    inputTokens: estimateTokens(prompt) + (images || []).length * IMAGE_TOKENS,
+    outputTokens: estimateTokens(text),
+  };
+};
+
+// ─── Role calls ────────────────────────────────────────────
+
+/**
+ * The primary entry followed by its fallbacks, as resolved call targets.
+ * `forced` (or JUDGE_PROVIDER) replaces the chain with that one provider.
+ */
+function resolveChain(roleName, config = loadConfig(), forced = process.env.JUDGE_PROVIDER) {
+  const role = config.roles[roleName];
+  if (!role) throw new Error(`Unknown judge role: ${roleName}`);
+  const { fallback, ...primary } = role;
+  const entries = forced ? [{ ...primary, provider: forced }] : [primary, ...(fallback || [])];
+  return entries.map((entry) => {
+    const provider = config.providers[entry.provider];
+    if (!provider) throw new Error(`Role ${roleName} uses unknown provider: ${entry.provider}`);
+    if (!TYPES[provider.type]) throw new Error(`Provider ${entry.provider} has unknown type: ${provider.type}`);
+    return { ...entry, providerConfig: provider };
+  });
+}
+
+// ─── Retries & circuit breaker ─────────────────────────────
+
+// provider name → { failures, openUntil }
+const breakers = {};
+
+function breakerOpen(name) {
+  const b = breakers[name];
+  return !!b && b.openUntil > Date.now();
+}
+
+function recordResult(name, settings, err) {
+  const b = breakers[name] || (breakers[name] = { failures: 0, openUntil: 0 });
+  if (!err) {
+    b.failures = 0;
+    b.openUntil = 0;
+    return;
+  }
+  if (!err.retryable) return;
+  b.failures++;
+  if (b.failures >= settings.breakerThreshold) {
+    b.openUntil = Date.now() + settings.breakerCooldownMs;
+    console.log(`  [Providers] ${name} failed ${b.failures} times in a row — circuit open for ${settings.breakerCooldownMs / 1000}s`);
+  }
+}
+
+/** Circuit breaker state per provider, for diagnostics */
+function breakerStatus() {
+  const out = {};
+  for (const [name, b] of Object.entries(breakers)) {
+    out[name] = { failures: b.failures, open: breakerOpen(name), openUntil: b.openUntil ? new Date(b.openUntil).toISOString() : null };
+  }
+  return out;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ProviderError(`No response after ${ms}ms`, { kind: "transient" })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One provider in the chain: retry transient failures with backoff.
+// `onBilled(err, latencyMs)` hears about each failed attempt that reported usage.
+async function callEntry(roleName, entry, call, onBilled) {
+  const { providerConfig } = entry;
+  const settings = { ...CALL_DEFAULTS, ...providerConfig };
+  for (let attempt = 0; ; attempt++) {
+    if (breakerOpen(entry.provider)) {
+      throw new ProviderError(`${entry.provider} circuit open after repeated failures`, { kind: "transient", provider: entry.provider });
+    }
+    const started = Date.now();
+    try {
+      const reply = await withTimeout(TYPES[providerConfig.type]({ ...call, timeoutMs: settings.timeoutMs }), settings.timeoutMs);
+      recordResult(entry.provider, settings);
+      return { ...reply, latencyMs: Date.now() - started };
+    } catch (caught) {
+      const err = caught instanceof ProviderError ? caught : new ProviderError(caught.message, { kind: "transient" });
+      err.provider = entry.provider;
+      recordResult(entry.provider, settings, err);
+      if (err.usage && err.usage.inputTokens != null) onBilled(err, Date.now() - started);
+      if (!err.retryable || attempt >= settings.retries) throw err;
+      // Rather than sit out a long Retry-After, let the chain fall back
+      if (err.retryAfterMs > MAX_BACKOFF_MS) throw err;
+
+      const backoff = Math.min(settings.backoffMs * 2 ** attempt * (1 + Math.random() / 2), MAX_BACKOFF_MS);
+      const wait = Math.max(backoff, err.retryAfterMs || 0);
+      console.log(`  [${roleName}] ${entry.provider} ${err.message} — retry ${attempt + 1}/${settings.retries} in ${Math.round(wait)}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Call the provider configured for a role, falling back down its chain when a
+ * provider has no API key, has its circuit open, or fails after retries.
+ *
+ * `opts.meter` (see costs.js) is told about the call before it is made —
+ * `before(roleName, prompt, images, provider)` may throw to stop it — and gets
+ * the usage of every attempt that reported any through `after(usage)`,
+ * including attempts that failed (those carry `failed: true` and `error`).
+ *
+ * @param {string} roleName - "rational" | "capricious" | "synthesis" | "summary"
+ * @param {string} prompt
+ * @param {Array} [images]
+ * @param {object} [opts] - { json: true } to request native JSON output; { meter };
+ *   { provider } to use only that provider for this call
+ * @returns {Promise<{ text: string, provider: string, model: string, usage: object }>}
+ * @throws {ProviderError} The last provider's error when the whole chain fails
+ */
+async function callRole(roleName, prompt, images, opts = {}) {
+  const forced = opts.provider || process.env.JUDGE_PROVIDER;
+  const chain = resolveChain(roleName, loadConfig(), forced);
+  if (opts.meter) opts.meter.before(roleName, prompt, images, forced);
+  const usageOf = (entry, tokens, latencyMs) => ({
+    role: roleName,
+    provider: entry.provider,
+    model: entry.model,
+    inputTokens: tokens.inputTokens ?? estimateTokens(prompt) + (images || []).length * IMAGE_TOKENS,
+    outputTokens: tokens.outputTokens ?? estimateTokens(tokens.text),
+    images: (images || []).length,
+    latencyMs,
+    ...((tokens.inputTokens == null || tokens.outputTokens == null) && { estimated: true }),
+  });
+  let lastError;
+  for (const [i, entry] of chain.entries()) {
+    const { providerConfig, ...role } = entry;
+    const apiKey = providerConfig.apiKeyEnv ? process.env[providerConfig.apiKeyEnv] : null;
+    const next = chain[i + 1] ? `, falling back to ${chain[i + 1].provider}` : "";
+    if (providerConfig.apiKeyEnv && !apiKey) {
+      lastError = new ProviderError(`${providerConfig.apiKeyEnv} not set`, { kind: "auth", provider: entry.provider });
+      if (next) console.log(`  [${roleName}] No API key for ${entry.provider}${next}...`);
+      continue;
+    }
+    try {
+      const reply = await callEntry(roleName, entry, {
+        provider: providerConfig, role, apiKey, prompt, images, roleName, json: !!opts.json,
+      }, (err, latencyMs) => {
+        if (opts.meter) opts.meter.after({ ...usageOf(entry, err.usage, latencyMs), failed: true, error: err.kind });
+      });
+      const usage = usageOf(entry, reply, reply.latencyMs);
+      if (opts.meter) opts.meter.after(usage);
+      return { text: reply.text, provider: entry.provider, model: entry.model, usage };
+    } catch (err) {
+      lastError = err;
+      if (next) console.log(`  [${roleName}] ${entry.provider} failed (${err.kind}: ${err.message})${next}...`);
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  callRole, resolveChain, loadConfig, postJson, breakerStatus, ProviderError,
+  estimateTokens, IMAGE_TOKENS,
+  ROLES: Object.keys(DEFAULT_CONFIG.roles),
+};
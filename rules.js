@@ -0,0 +1,120 @@
+/**
+ * Bird League — League rules
+ *
+ * A season's `rules` setting lists house rules checked when a member submits:
+ *   { id, type, action?, message?, ...options }
+ * `action` is "reject" (the default: the submission is refused) or "forfeit"
+ * (the submission is kept, but it counts as missing when the week is judged).
+ *
+ * Rule types:
+ *   repeat_species    a species the member already submitted this season
+ *   opponent_species  a species this week's opponent submitted in the last
+ *                     `weeks` weeks (default 1)
+ *   taxon_status      a species whose checklist status (taxonomy.js) is in
+ *                     `statuses`, e.g. ["unidentified"] for "None". Not
+ *                     "unrecognized": the checklist is incomplete, so a real
+ *                     bird missing from it mustn't be refused.
+ *
+ * Species are compared by canonical name when the checklist knows them, so
+ * "Pigeon" repeats "Rock Pigeon". The commissioner can exempt a member's
+ * submission for one week from a rule by its id.
+ */
+
+const taxonomy = require("./taxonomy");
+
+const ACTIONS = ["reject", "forfeit"];
+const TAXON_STATUSES = ["species", "fuzzy", "genus", "unidentified"];
+
+// What two submissions must share to be "the same bird"; null never matches
+function speciesKey(species, taxon) {
+  taxon = taxon || taxonomy.identify(species);
+  if (taxon.status === "unidentified") return null;
+  return taxon.common ? taxon.common : taxonomy.normalize(species);
+}
+
+const RULE_TYPES = {
+  repeat_species: {
+    check({ sdb, week, memberId, key }) {
+      if (!key) return null;
+      const earlier = sdb.getSchedule()
+        .map((w) => w.week !== week && sdb.getSubmission(w.week, memberId))
+        .find((sub) => sub && speciesKey(sub.species, sub.taxon) === key);
+      return earlier ? `You already submitted ${key} in week ${earlier.week}` : null;
+    },
+  },
+
+  opponent_species: {
+    validate: (rule) => rule.weeks === undefined || (Number.isInteger(rule.weeks) && rule.weeks > 0)
+      ? null : "weeks must be a positive whole number",
+    check({ sdb, week, memberId, key }, rule) {
+      if (!key) return null;
+      const matchup = (sdb.getWeek(week)?.matchups || []).find((mu) => mu.m1 === memberId || mu.m2 === memberId);
+      if (!matchup) return null;
+      const opponentId = matchup.m1 === memberId ? matchup.m2 : matchup.m1;
+      for (let w = week - 1; w >= week - (rule.weeks || 1) && w >= 1; w--) {
+        const sub = sdb.getSubmission(w, opponentId);
+        if (sub && speciesKey(sub.species, sub.taxon) === key) {
+          return `Your opponent ${sdb.getMember(opponentId)?.name || opponentId} submitted ${key} in week ${w}`;
+        }
+      }
+      return null;
+    },
+  },
+
+  taxon_status: {
+    validate: (rule) => Array.isArray(rule.statuses) && rule.statuses.length && rule.statuses.every((s) => TAXON_STATUSES.includes(s))
+      ? null : `statuses must list some of: ${TAXON_STATUSES.join(", ")}`,
+    check({ species, taxon }, rule) {
+      // Rules saved before "unrecognized" was refused can still list it
+      return TAXON_STATUSES.includes(taxon.status) && rule.statuses.includes(taxon.status) ? `"${species}" is ${taxon.status === "genus" ? "not identified to species" : taxon.status}` : null;
+    },
+  },
+};
+
+/**
+ * Check a submission against the season's rules.
+ *
+ * @param {object} sdb - db or db.season(id)
+ * @param {object} submission - { week, memberId, species }
+ * @returns {{ violations: Array<{ rule, type, action, message }>, exempted: string[] }}
+ *   Rules the commissioner exempted this submission from are listed in `exempted` instead
+ */
+function checkSubmission(sdb, { week, memberId, species }) {
+  const taxon = taxonomy.identify(species);
+  const ctx = { sdb, week, memberId, species, taxon, key: speciesKey(species, taxon) };
+  const exemptions = sdb.getExemptions(week, memberId).map((e) => e.rule);
+  const violations = [];
+  const exempted = [];
+  for (const rule of sdb.getSettings().rules) {
+    const problem = RULE_TYPES[rule.type].check(ctx, rule);
+    if (!problem) continue;
+    if (exemptions.includes(rule.id)) {
+      exempted.push(rule.id);
+      continue;
+    }
+    violations.push({ rule: rule.id, type: rule.type, action: rule.action || "reject", message: rule.message || problem });
+  }
+  return { violations, exempted };
+}
+
+/**
+ * Validate a `rules` setting. Returns a problem string, or null when valid.
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return "rules must be a list";
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule || typeof rule.id !== "string" || !rule.id.trim()) return "Each rule needs an id";
+    if (ids.has(rule.id)) return `Rule ${rule.id} is listed twice`;
+    ids.add(rule.id);
+    const type = RULE_TYPES[rule.type];
+    if (!type) return `Rule ${rule.id}: type must be one of: ${Object.keys(RULE_TYPES).join(", ")}`;
+    if (rule.action !== undefined && !ACTIONS.includes(rule.action)) return `Rule ${rule.id}: action must be: ${ACTIONS.join(", ")}`;
+    if (rule.message !== undefined && typeof rule.message !== "string") return `Rule ${rule.id}: message must be text`;
+    const problem = type.validate && type.validate(rule);
+    if (problem) return `Rule ${rule.id}: ${problem}`;
+  }
+  return null;
+}
+
+module.exports = { checkSubmission, validateRules, RULE_TYPES: Object.keys(RULE_TYPES) };
@@ -0,0 +1,98 @@
+/**
+ * Bird League — Schedule generation & validation
+ *
+ * Builds balanced round-robin schedules (circle method) for any roster size:
+ * - Odd rosters get one bye per week
+ * - No pairing repeats until every pairing has been played
+ * - m1/m2 ("home/away") slots are balanced to within one per member over a
+ *   full round-robin: the fixed member switches sides every round and every
+ *   other pairing keeps its orientation as the circle turns. Rematch cycles
+ *   swap every side, so a double round-robin is exactly even.
+ */
+
+/**
+ * Generate a round-robin schedule.
+ *
+ * @param {number[]} memberIds
+ * @param {object} [opts]
+ * @param {number} [opts.weeks] - Number of weeks (default: one full round-robin)
+ * @param {boolean} [opts.allowRematches] - Allow more weeks than a single round-robin
+ * @returns {Array<{ week, status, matchups, byes }>}
+ */
+function generateRoundRobin(memberIds, opts = {}) {
+  const ids = [...new Set(memberIds)];
+  if (ids.length < 2) throw new Error("Need at least two members to build a schedule");
+
+  const slots = ids.length % 2 === 0 ? [...ids] : [...ids, null];
+  const rounds = slots.length - 1;
+  const weeks = opts.weeks || rounds;
+  if (weeks > rounds && !opts.allowRematches) {
+    throw new Error(`${ids.length} members only have ${rounds} weeks without rematches`);
+  }
+
+  const schedule = [];
+
+  for (let w = 0; w < weeks; w++) {
+    // Rotate every slot except the first
+    const round = w % rounds;
+    const mirrored = Math.floor(w / rounds) % 2 === 1;
+    const rotated = [slots[0], ...rotate(slots.slice(1), round)];
+    const matchups = [];
+    const byes = [];
+
+    for (let i = 0; i < rotated.length / 2; i++) {
+      const a = rotated[i];
+      const b = rotated[rotated.length - 1 - i];
+      if (a === null || b === null) {
+        byes.push(a === null ? b : a);
+        continue;
+      }
+      const swap = (i === 0 && round % 2 === 1) !== mirrored;
+      matchups.push(swap ? { m1: b, m2: a } : { m1: a, m2: b });
+    }
+
+    schedule.push({ week: w + 1, status: "upcoming", matchups, byes });
+  }
+
+  return schedule;
+}
+
+function rotate(arr, n) {
+  const k = n % arr.length;
+  return [...arr.slice(arr.length - k), ...arr.slice(0, arr.length - k)];
+}
+
+/**
+ * Validate a week's matchups against the roster.
+ *
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateMatchups(matchups, memberIds) {
+  if (!Array.isArray(matchups)) return ["matchups must be an array"];
+
+  const problems = [];
+  const seen = new Set();
+  matchups.forEach((mu, i) => {
+    for (const side of ["m1", "m2"]) {
+      const id = mu && mu[side];
+      if (!Number.isInteger(id)) {
+        problems.push(`Matchup ${i + 1}: ${side} must be a member ID`);
+      } else if (!memberIds.includes(id)) {
+        problems.push(`Matchup ${i + 1}: member ${id} does not exist`);
+      } else if (seen.has(id)) {
+        problems.push(`Matchup ${i + 1}: member ${id} appears more than once this week`);
+      } else {
+        seen.add(id);
+      }
+    }
+  });
+  return problems;
+}
+
+/** Members who have no matchup in the given week */
+function findByes(matchups, memberIds) {
+  const playing = new Set(matchups.flatMap(mu => [mu.m1, mu.m2]));
+  return memberIds.filter(id => !playing.has(id));
+}
+
+module.exports = { generateRoundRobin, validateMatchups, findByes };
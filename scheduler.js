@@ -0,0 +1,174 @@
+/**
+ * Bird League — Week lifecycle scheduler
+ *
+ * Each week may carry a `timeline` of ISO timestamps:
+ *   opensAt        upcoming → active
+ *   deadlineAt     active → completed (submissions close)
+ *   judgeAt        queue a judging job (defaults to deadlineAt)
+ *   appealsOpenAt  appealsStatus → open, once every matchup has a judgment
+ *                  (double no-shows skipped under doubleNoShow: "skip" count)
+ *   appealsCloseAt appealsStatus → closed
+ *
+ * Every transition that has fired is stamped in `week.lifecycle`, so each one
+ * runs exactly once. A tick runs on boot, which picks up anything that came
+ * due while the server was down, then once a minute after that.
+ */
+
+const db = require("./db");
+const jobs = require("./jobs");
+
+const TICK_MS = 60 * 1000;
+const MAX_JUDGE_ATTEMPTS = 3;
+const TIMELINE_KEYS = ["opensAt", "deadlineAt", "judgeAt", "appealsOpenAt", "appealsCloseAt"];
+
+// Which lifecycle stamp each timeline field produces
+const STAMPS = {
+  opensAt: ["openedAt"],
+  deadlineAt: ["lockedAt", "judgedAt", "judgeAttempts", "judgeError"],
+  judgeAt: ["judgedAt", "judgeAttempts", "judgeError"],
+  appealsOpenAt: ["appealsOpenedAt"],
+  appealsCloseAt: ["appealsClosedAt"],
+};
+
+let timer = null;
+let judging = null; // week number being judged
+
+function due(timestamp, now) {
+  return !!timestamp && new Date(timestamp).getTime() <= now;
+}
+
+// Every matchup is judged, or skipped as a double no-show, and no judging run
+// for the week is in flight
+function judgingComplete(week) {
+  if (judging === week.week) return false;
+  const judgments = db.getJudgmentsForWeek(week.week);
+  const policy = db.getSettings().forfeits;
+  return (week.matchups || []).every((mu) =>
+    judgments.some((j) => j.m1Id === mu.m1 && j.m2Id === mu.m2) || skippedNoShow(week.week, mu, policy));
+}
+
+// Judging skips a matchup neither side showed up for when doubleNoShow is "skip"
+function skippedNoShow(weekNum, mu, policy) {
+  if (policy.doubleNoShow !== "skip") return false;
+  const missing = (id) => {
+    const sub = db.getSubmission(weekNum, id);
+    return !sub || !!sub.forfeit;
+  };
+  return missing(mu.m1) && missing(mu.m2);
+}
+
+/**
+ * Apply every transition that is due. Judging runs in the background; only
+ * one week is judged at a time.
+ */
+function tick(now = Date.now()) {
+  for (const week of db.getSchedule()) {
+    const t = week.timeline;
+    if (!t) continue;
+    const done = week.lifecycle || {};
+    const stamp = (key, extra) => db.markWeekLifecycle(week.week, key, extra);
+
+    if (due(t.opensAt, now) && !done.openedAt) {
+      if (week.status === "upcoming") db.setWeekStatus(week.week, "active");
+      stamp("openedAt");
+      console.log(`[Scheduler] Week ${week.week} opened for submissions`);
+    }
+
+    if (due(t.deadlineAt, now) && !done.lockedAt) {
+      db.setWeekStatus(week.week, "completed");
+      stamp("lockedAt");
+      console.log(`[Scheduler] Week ${week.week} submission deadline passed`);
+    }
+
+    const judgeAt = t.judgeAt || t.deadlineAt;
+    if (due(judgeAt, now) && !done.judgedAt && (done.judgeAttempts || 0) < MAX_JUDGE_ATTEMPTS && judging === null) {
+      judging = week.week;
+      judgeWeek(week.week, (done.judgeAttempts || 0) + 1).finally(() => { judging = null; });
+    }
+
+    // Appeals wait for the rulings they would be against
+    if (due(t.appealsOpenAt, now) && !done.appealsOpenedAt && judgingComplete(week)) {
+      db.setAppealsStatus(week.week, "open");
+      stamp("appealsOpenedAt");
+      console.log(`[Scheduler] Week ${week.week} appeals opened`);
+    }
+
+    if (due(t.appealsCloseAt, now) && !done.appealsClosedAt && (done.appealsOpenedAt || !t.appealsOpenAt)) {
+      db.setAppealsStatus(week.week, "closed");
+      stamp("appealsClosedAt");
+      console.log(`[Scheduler] Week ${week.week} appeals closed`);
+    }
+  }
+}
+
+async function judgeWeek(weekNum, attempt) {
+  console.log(`[Scheduler] Judging week ${weekNum} (attempt ${attempt})...`);
+  try {
+    const job = await jobs.waitForJob(jobs.createJudgeJob(weekNum).id);
+    if (job.status !== "done") throw new Error(job.error || `Judging job ${job.status}`);
+    db.markWeekLifecycle(weekNum, "judgedAt", { judgeAttempts: attempt, judgeError: null, judgeJobId: job.id });
+    console.log(`[Scheduler] Week ${weekNum} judged (${job.id})`);
+  } catch (err) {
+    db.markWeekLifecycle(weekNum, null, { judgeAttempts: attempt, judgeError: err.message });
+    console.error(`[Scheduler] Judging week ${weekNum} failed:`, err.message);
+  }
+}
+
+/**
+ * Merge new timestamps into a week's timeline. Moving a timestamp into the
+ * future clears its lifecycle stamp so the transition fires again.
+ *
+ * @returns {{ week?: object, error?: string }}
+ */
+function setTimeline(weekNum, changes) {
+  const week = db.getWeek(weekNum);
+  if (!week) return { error: "Week not found" };
+  const timeline = { ...(week.timeline || {}), ...changes };
+  const problem = validateTimeline(timeline);
+  if (problem) return { error: problem };
+
+  const now = Date.now();
+  const clear = Object.keys(changes)
+    .filter(key => changes[key] && !due(changes[key], now))
+    .flatMap(key => STAMPS[key]);
+  return { week: db.setWeekTimeline(weekNum, timeline, clear) };
+}
+
+/**
+ * Validate a timeline. Returns a problem string, or null when valid.
+ */
+function validateTimeline(timeline) {
+  if (!timeline || typeof timeline !== "object") return "timeline must be an object";
+  for (const [key, value] of Object.entries(timeline)) {
+    if (!TIMELINE_KEYS.includes(key)) return `Unknown timeline field: ${key}`;
+    if (value !== null && isNaN(new Date(value).getTime())) return `${key} is not a valid date`;
+  }
+  const { opensAt, deadlineAt, judgeAt, appealsOpenAt, appealsCloseAt } = timeline;
+  const before = (a, b) => !a || !b || new Date(a) <= new Date(b);
+  if (!before(opensAt, deadlineAt)) return "opensAt must be before deadlineAt";
+  if (!before(deadlineAt, judgeAt)) return "judgeAt must not be before deadlineAt";
+  if (!before(judgeAt || deadlineAt, appealsOpenAt)) return "appealsOpenAt must be after judging";
+  if (!before(appealsOpenAt, appealsCloseAt)) return "appealsCloseAt must be after appealsOpenAt";
+  return TIMELINE_KEYS.some(k => timeline[k]) ? null : "timeline has no timestamps";
+}
+
+function safeTick() {
+  try {
+    tick();
+  } catch (err) {
+    console.error("[Scheduler] Tick failed:", err.message);
+  }
+}
+
+function start() {
+  if (timer) return;
+  safeTick();
+  timer = setInterval(safeTick, TICK_MS);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, tick, safeTick, setTimeline, validateTimeline };
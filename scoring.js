@@ -0,0 +1,107 @@
+/**
+ * Bird League — Score-based judging
+ *
+ * With `scoring.enabled` in the season settings, the deciding judges must
+ * score both submissions from 0 to `scoring.max` on each of the season's
+ * `scoring.criteria`, and the winner comes from the weighted total instead
+ * of the judge's pick:
+ *   total = Σ score × weight
+ * In synthesis mode Claude's scorecard decides; in panel mode each criterion
+ * is averaged over the panel. Equal totals fall back to the pick (or the
+ * panel majority).
+ *
+ * Judgments store the result under `scoring`:
+ *   { criteria, breakdown: { m1: { criterion: n }, m2 }, totals: { m1, m2 },
+ *     margin, judges, winner }   (winner is null when the totals are equal)
+ * and standings count the totals as points for and against.
+ */
+
+/**
+ * Text for a template's {{SCORING}} placeholder: the scoring rules when
+ * scoring is on, otherwise a note that scores are optional.
+ */
+function scoringInstructions(scoring) {
+  if (!scoring || !scoring.enabled) return "\"scores\" is optional.";
+  const list = scoring.criteria
+    .map((c) => `"${c.name}"${c.description ? ` (${c.description})` : ""}${c.weight !== 1 ? ` ×${c.weight}` : ""}`)
+    .join(", ");
+  return `"scores" is required. Score both submissions from 0 to ${scoring.max} on each of these criteria: ${list}. The higher weighted total wins, so make your scores agree with your pick.`;
+}
+
+/**
+ * Check a verdict's scores against the season's criteria.
+ * Returns a problem string, or null when every criterion is scored in range.
+ */
+function checkScorecard(scores, scoring) {
+  for (const side of ["m1", "m2"]) {
+    const label = side === "m1" ? 1 : 2;
+    for (const { name } of scoring.criteria) {
+      const n = scores && scores[side] ? scores[side][name] : undefined;
+      if (n === undefined) return `missing score "${name}" for submission ${label}`;
+      if (n < 0 || n > scoring.max) return `score "${name}" for submission ${label} must be between 0 and ${scoring.max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Combine scorecards into a result. Incomplete scorecards are ignored.
+ *
+ * @param {Array<object|null>} scorecards - Verdict `scores` ({ m1, m2 })
+ * @param {object} scoring - Season `scoring` settings
+ * @returns {{ criteria, breakdown, totals, margin, judges, winner: "m1"|"m2"|null }|null}
+ *   null when no scorecard is complete; `winner` is null on equal totals
+ */
+function scoreMatchup(scorecards, scoring) {
+  const complete = scorecards.filter((s) => s && !checkScorecard(s, scoring));
+  if (!complete.length) return null;
+
+  const breakdown = { m1: {}, m2: {} };
+  const totals = { m1: 0, m2: 0 };
+  for (const side of ["m1", "m2"]) {
+    for (const { name, weight } of scoring.criteria) {
+      const avg = complete.reduce((n, s) => n + s[side][name], 0) / complete.length;
+      breakdown[side][name] = round(avg);
+      totals[side] += avg * weight;
+    }
+    totals[side] = round(totals[side]);
+  }
+
+  return {
+    criteria: scoring.criteria.map(({ name, weight }) => ({ name, weight })),
+    breakdown,
+    totals,
+    margin: round(Math.abs(totals.m1 - totals.m2)),
+    judges: complete.length,
+    winner: totals.m1 > totals.m2 ? "m1" : totals.m2 > totals.m1 ? "m2" : null,
+  };
+}
+
+/**
+ * Validate a `scoring` settings patch. Returns a problem string, or null when valid.
+ */
+function validateScoring(scoring) {
+  if (!scoring || typeof scoring !== "object") return "scoring must be an object";
+  const { enabled, max, criteria } = scoring;
+  if (enabled !== undefined && typeof enabled !== "boolean") return "scoring.enabled must be true or false";
+  if (max !== undefined && !(typeof max === "number" && max > 0)) return "scoring.max must be a positive number";
+  if (criteria === undefined) return null;
+  if (!Array.isArray(criteria) || !criteria.length) return "scoring.criteria must be a non-empty list";
+  const names = new Set();
+  for (const c of criteria) {
+    if (!c || typeof c.name !== "string" || !/^[a-z][a-z0-9_]*$/.test(c.name)) {
+      return "Each criterion needs a lowercase name (letters, digits, underscores)";
+    }
+    if (names.has(c.name)) return `Criterion ${c.name} is listed twice`;
+    names.add(c.name);
+    if (!(typeof c.weight === "number" && c.weight > 0)) return `Criterion ${c.name} needs a positive weight`;
+    if (c.description !== undefined && typeof c.description !== "string") return `Criterion ${c.name} description must be text`;
+  }
+  return null;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = { scoringInstructions, checkScorecard, scoreMatchup, validateScoring };
@@ -1,17 +1,45 @@
 /**
  * Bird League API Server
  * 
- * Zero-dependency Node.js server.
+ * Node.js server on the standard library; its one dependency is sharp, for photos.
  * Endpoints:
  *   GET  /api/members
  *   GET  /api/schedule
  *   GET  /api/standings
  *   GET  /api/data              (full dump for frontend)
+ *   GET  /api/seasons
+ *   GET  /api/seasons/:id[/data|/standings|/schedule|/playoffs]
+ *   GET  /api/playoffs
  *   GET  /api/week/:week
  *   GET  /api/matchup/:week/:m1/:m2
- *   POST /api/submit/:week/:memberId
- *   GET  /api/media/:week/:memberId/:filename
- *   POST /api/admin/judge/:week  (requires ADMIN_SECRET)
+ *   GET  /api/species?q=name
+ *   GET  /api/me                 (requires member token)
+ *   POST /api/submit/:week/:memberId   (requires member token)
+ *   GET/POST /api/drafts/:week/:memberId (requires member token)
+ *   POST /api/drafts/:week/:memberId/submit (requires member token)
+ *   POST /api/appeal/:week/:m1/:m2     (requires loser's token)
+ *   POST /api/defense/:week/:m1/:m2    (requires winner's token)
+ *   GET  /api/media/[:season/]:week/:memberId/:filename[?variant=thumb|web|judge] (also HEAD; Range, ETag)
+ *   POST /api/admin/judge/:week  (requires ADMIN_SECRET; returns a job)
+ *   GET  /api/admin/submissions/:week/:memberId/history (requires ADMIN_SECRET)
+ *   GET  /api/admin/media/orphans (requires ADMIN_SECRET)
+ *   GET  /api/admin/judgments/:week/:m1/:m2/history (requires ADMIN_SECRET)
+ *   POST /api/admin/judgments/:week/:m1/:m2/revert  (requires ADMIN_SECRET)
+ *   GET  /api/admin/jobs[/:id]   (requires ADMIN_SECRET)
+ *   POST /api/admin/jobs/:id/cancel|retry (requires ADMIN_SECRET)
+ *   POST /api/admin/schedule/generate  (requires ADMIN_SECRET)
+ *   POST /api/admin/week/:week/matchups (requires ADMIN_SECRET)
+ *   POST /api/admin/week/:week/timeline (requires ADMIN_SECRET)
+ *   POST /api/admin/members/:id/tokens (requires ADMIN_SECRET)
+ *   GET/POST /api/admin/settings (requires ADMIN_SECRET)
+ *   GET/POST /api/admin/exemptions (requires ADMIN_SECRET)
+ *   GET  /api/admin/costs        (requires ADMIN_SECRET)
+ *   GET  /api/admin/prompts[/:name] (requires ADMIN_SECRET)
+ *   POST /api/admin/prompts/:name[/rollback] (requires ADMIN_SECRET)
+ *   POST /api/admin/preview/:week/:m1/:m2 (requires ADMIN_SECRET)
+ *   POST /api/admin/playoffs     (requires ADMIN_SECRET)
+ *   POST /api/admin/seasons      (requires ADMIN_SECRET)
+ *   POST /api/admin/seasons/:id/archive (requires ADMIN_SECRET)
  *   POST /api/admin/seed         (requires ADMIN_SECRET)
  *   POST /api/admin/reset        (requires ADMIN_SECRET)
  */
@@ -21,11 +49,19 @@ const http = require("http");
 const fs = require("fs");
 const path = require("path");
 const db = require("./db");
-
-// Media files go on the persistent volume alongside db.json
-const DATA_DIR = process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, "data");
-const MEDIA_DIR = path.join(DATA_DIR, "submissions");
-fs.mkdirSync(MEDIA_DIR, { recursive: true });
+const { generateRoundRobin, validateMatchups, findByes } = require("./schedule");
+const { bracketTree, gameLocked, PlayoffError } = require("./playoffs");
+const scheduler = require("./scheduler");
+const jobs = require("./jobs");
+const { breakerStatus, loadConfig } = require("./providers");
+const { costReport } = require("./costs");
+const prompts = require("./prompts");
+const { validateScoring } = require("./scoring");
+const taxonomy = require("./taxonomy");
+const { checkSubmission, validateRules } = require("./rules");
+
+const media = require("./media");
+const images = require("./images");
 const { parseMultipart, parseJson } = require("./multipart");
 
 const PORT = process.env.PORT || 3001;
@@ -41,8 +77,9 @@ function setCors(req, res) {
   } else if (ALLOWED_ORIGINS.length > 0) {
     res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGINS[0]);
   }
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS, DELETE");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET, HEAD, POST, OPTIONS, DELETE");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Range, If-None-Match, If-Modified-Since, If-Range");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Range, Accept-Ranges, ETag, Last-Modified");
 }
 
 function json(res, data, status = 200) {
@@ -69,15 +106,263 @@ function checkAdmin(req) {
   return auth === `Bearer ${secret}`;
 }
 
+// Member tokens use the same "Authorization: Bearer <token>" header as admin
+function getAuthMember(req) {
+  const match = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/);
+  if (!match) return null;
+  const credential = db.findCredential(match[1].trim());
+  if (!credential) return null;
+  return { memberId: credential.memberId, label: credential.label };
+}
+
 const MIME = {
   ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png",
   ".gif": "image/gif", ".webp": "image/webp",
   ".mp4": "video/mp4", ".mov": "video/quicktime", ".webm": "video/webm",
-  ".mp3": "audio/mpeg", ".wav": "audio/wav",
+  ".mp3": "audio/mpeg", ".wav": "audio/wav", ".m4a": "audio/mp4",
 };
 
+// ─── Response builders ────────────────────────────────────
+
+// Who is reading: the admin, a member (by token) or the public
+function getViewer(req) {
+  if (checkAdmin(req)) return { admin: true, memberId: null };
+  const auth = getAuthMember(req);
+  return { admin: false, memberId: auth ? auth.memberId : null };
+}
+
+// Submissions are blind while the current season's week still takes them
+// (active or upcoming, deadline not passed) and the matchup is unjudged
+function isBlind(sdb, week, judgment) {
+  if (judgment || week.status === "completed") return false;
+  if (week.timeline?.deadlineAt && new Date(week.timeline.deadlineAt) <= new Date()) return false;
+  return sdb.getSeasonId() === db.getCurrentSeasonId();
+}
+
+// A member's media for a week of the season it was uploaded in is blind
+// whenever their submission would be
+function isMediaBlind(sdb, weekNum, memberId) {
+  const week = sdb.getWeek(weekNum);
+  if (!week) return false;
+  const mu = week.matchups.find((m) => m.m1 === memberId || m.m2 === memberId);
+  return isBlind(sdb, week, mu ? sdb.getJudgment(weekNum, mu.m1, mu.m2) : null);
+}
+
+// A submission as the viewer may see it: blind ones only show that they exist
+function submissionView(sub, blind, viewer) {
+  if (blind && !viewer.admin && viewer.memberId !== sub.memberId) {
+    return { hidden: true, submittedAt: sub.submittedAt };
+  }
+  return {
+    species: sub.species, desc: sub.description, taxon: sub.taxon || taxonomy.identify(sub.species),
+    media: sub.mediaFiles || [], mediaInfo: sub.mediaInfo || {},
+  };
+}
+
+// Full league dump for one season (`sdb` is db or db.season(id))
+function buildLeagueData(sdb, viewer) {
+  const members = sdb.getMembers();
+  const schedule = sdb.getSchedule();
+  const standings = sdb.getStandings();
+
+  const weeks = schedule.map(w => {
+    const matchups = w.matchups.map(mu => {
+      const result = { m1: mu.m1, m2: mu.m2 };
+      const sub1 = sdb.getSubmission(w.week, mu.m1);
+      const sub2 = sdb.getSubmission(w.week, mu.m2);
+      const judgment = sdb.getJudgment(w.week, mu.m1, mu.m2);
+      const blind = isBlind(sdb, w, judgment);
+      if (sub1) result.sub1 = submissionView(sub1, blind, viewer);
+      if (sub2) result.sub2 = submissionView(sub2, blind, viewer);
+
+      if (judgment) {
+        result.judgment = {
+          winner: judgment.winner, summary: judgment.summary,
+          m1sub: judgment.m1sub, m2sub: judgment.m2sub,
+          chatgpt: judgment.chatgpt, gemini: judgment.gemini,
+          claude: judgment.claude,
+          forfeit: judgment.forfeit || null,
+          commissionerRuling: judgment.commissionerRuling || null,
+          appealRuling: judgment.appealRuling || null,
+          needsReview: judgment.needsReview || null,
+          mode: judgment.mode || "synthesis",
+          tally: judgment.panel ? judgment.panel.tally : null,
+          dissents: judgment.dissents || [],
+          scoring: judgment.scoring || null,
+        };
+      }
+
+      const appeal = sdb.getAppeal(w.week, mu.m1, mu.m2);
+      if (appeal) result.appeal = appeal;
+
+      return result;
+    });
+    return { week: w.week, status: w.status, appealsStatus: w.appealsStatus || "closed", timeline: w.timeline || null, playoff: w.playoff || null, matchups };
+  });
+
+  const season = db.getSeasonInfo(sdb.getSeasonId());
+  return { season, members, schedule: weeks, standings };
+}
+
+// What changed between two submission revisions (either may be a deletion)
+function submissionDiff(from, to) {
+  const changes = {};
+  for (const key of ["species", "description"]) {
+    const before = from ? from[key] : null;
+    const after = to ? to[key] : null;
+    if (before !== after) changes[key] = { from: before, to: after };
+  }
+  const before = from ? from.mediaFiles || [] : [];
+  const after = to ? to.mediaFiles || [] : [];
+  const added = after.filter(url => !before.includes(url));
+  const removed = before.filter(url => !after.includes(url));
+  if (added.length || removed.length) changes.media = { added, removed };
+  return changes;
+}
+
+// ─── Submissions ──────────────────────────────────────────
+
+// Check that the week takes submissions and the caller may submit for the
+// member. Returns { week, member }, or { error, status } to send back.
+function checkSubmitter(req, weekNum, memberId) {
+  const week = db.getWeek(weekNum);
+  if (!week) return { error: "Week not found", status: 404 };
+  if (week.status === "completed") return { error: "Submissions closed for this week", status: 403 };
+  if (week.timeline?.deadlineAt && new Date(week.timeline.deadlineAt) <= new Date()) {
+    return { error: "The submission deadline has passed", status: 403 };
+  }
+
+  const member = db.getMember(memberId);
+  if (!member) return { error: "Member not found", status: 404 };
+
+  if (!checkAdmin(req)) {
+    const auth = getAuthMember(req);
+    if (!auth) return { error: "Unauthorized", status: 401 };
+    if (auth.memberId !== memberId) return { error: "You can only submit for yourself", status: 403 };
+  }
+
+  const inMatchup = week.matchups.some(mu => mu.m1 === memberId || mu.m2 === memberId);
+  if (!inMatchup) return { error: "Member not in a matchup this week", status: 400 };
+  return { week, member };
+}
+
+// Species, description and uploads from a multipart or JSON body. Photos go
+// through images.js; `shareLocation` keeps their GPS position in `mediaInfo`.
+// `uploaded` lists the saved files' paths so a refused submission can remove them.
+async function readSubmission(req, weekNum, member) {
+  const contentType = req.headers["content-type"] || "";
+  let species = "", description = "", mediaFiles = [], mediaInfo = {}, uploaded = [];
+
+  if (contentType.includes("multipart/form-data")) {
+    const seasonId = db.getSeasonId();
+    const { fields, files } = await parseMultipart(req, media.memberDir(weekNum, member, seasonId), media.uploadLimits(member));
+    species = fields.species || "";
+    description = fields.description || "";
+    uploaded = files.map(f => f.savedPath);
+    mediaFiles = files.map(f => `/api/media/${seasonId}/${weekNum}/${member.id}/${f.savedName}`);
+    const keepLocation = ["true", "1", "on", "yes"].includes(String(fields.shareLocation).toLowerCase());
+    try {
+      for (const [i, f] of files.entries()) {
+        mediaInfo[mediaFiles[i]] = await images.processUpload(f.savedPath, f.mimeType, { keepLocation });
+      }
+    } catch (err) {
+      for (const file of uploaded) media.discard(file);
+      throw err;
+    }
+  } else if (contentType.includes("application/json")) {
+    const data = await parseJson(req);
+    species = data.species || "";
+    description = data.description || "";
+  } else {
+    // Try reading as JSON anyway
+    const body = await readBody(req);
+    try {
+      const data = JSON.parse(body.toString("utf8"));
+      species = data.species || "";
+      description = data.description || "";
+    } catch {}
+  }
+  return { species, description, mediaFiles, mediaInfo, uploaded };
+}
+
+// Check league rules and save the submission as a new revision. The member's
+// draft is discarded, along with any of its media the submission didn't keep.
+function finalizeSubmission(req, res, weekNum, memberId, { species, description, mediaFiles, mediaInfo, uploaded }, fromDraft) {
+  // League rules: "reject" refuses the submission, "forfeit" keeps it but it loses by forfeit
+  const { violations } = checkSubmission(db, { week: weekNum, memberId, species });
+  const rejected = violations.filter(v => v.action === "reject");
+  if (rejected.length) {
+    for (const file of uploaded) media.discard(file);
+    const broken = rejected.map(v => `${v.message} (rule ${v.rule})`).join("; ");
+    return json(res, { error: `Submission breaks league rules: ${broken}`, violations: rejected }, 400);
+  }
+  const forfeited = violations.find(v => v.action === "forfeit");
+  const forfeit = forfeited ? { rule: forfeited.rule, reason: forfeited.message } : undefined;
+
+  const by = checkAdmin(req) ? "commissioner" : "member";
+  const submission = db.upsertSubmission({ week: weekNum, memberId, species, description, mediaFiles, mediaInfo, forfeit }, { by, fromDraft });
+  const draft = db.deleteDraft(weekNum, memberId);
+  if (draft) media.release(draft.mediaFiles);
+  return json(res, submission, 201);
+}
+
 // ─── Route handler ────────────────────────────────────────
 
+// ─── Files ────────────────────────────────────────────────
+
+// Serve a file for GET or HEAD with validators (ETag, Last-Modified → 304)
+// and a single byte range (206). Several ranges at once get the whole file.
+function sendFile(req, res, filePath, headers = {}) {
+  const stat = fs.statSync(filePath);
+  const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  const modified = new Date(Math.floor(stat.mtimeMs / 1000) * 1000);
+  headers = {
+    ...headers,
+    "Accept-Ranges": "bytes",
+    "ETag": etag,
+    "Last-Modified": modified.toUTCString(),
+  };
+
+  const noneMatch = req.headers["if-none-match"];
+  const since = Date.parse(req.headers["if-modified-since"]);
+  const fresh = noneMatch
+    ? noneMatch.split(",").some((tag) => ["*", etag].includes(tag.trim().replace(/^W\//, "")))
+    : since >= modified.getTime();
+  if (fresh) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+
+  let start = 0;
+  let end = stat.size - 1;
+  let status = 200;
+  const range = req.headers.range;
+  // If-Range: only honour the range while the client's copy is still current
+  const ifRange = req.headers["if-range"];
+  const rangeValid = !ifRange || ifRange === etag || Date.parse(ifRange) >= modified.getTime();
+  const match = range && rangeValid && range.match(/^bytes=(\d*)-(\d*)$/);
+  if (match && (match[1] || match[2])) {
+    if (!match[1]) {
+      start = Math.max(0, stat.size - parseInt(match[2])); // suffix: the last N bytes
+    } else {
+      start = parseInt(match[1]);
+      if (match[2]) end = Math.min(end, parseInt(match[2]));
+    }
+    if (start > end || start >= stat.size) {
+      res.writeHead(416, { ...headers, "Content-Range": `bytes */${stat.size}` });
+      return res.end();
+    }
+    status = 206;
+    headers["Content-Range"] = `bytes ${start}-${end}/${stat.size}`;
+  }
+
+  res.writeHead(status, { ...headers, "Content-Length": end - start + 1 });
+  if (req.method === "HEAD") return res.end();
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.on("error", () => res.destroy());
+  stream.pipe(res);
+}
+
 async function handleRequest(req, res) {
   try {
   setCors(req, res);
@@ -126,41 +411,40 @@ async function handleRequest(req, res) {
     return json(res, db.getStandings());
   }
 
+  // ── GET /api/me — who does this token belong to ──
+  if (req.method === "GET" && url.pathname === "/api/me") {
+    const auth = getAuthMember(req);
+    if (!auth) return error(res, "Unauthorized", 401);
+    return json(res, { member: db.getMember(auth.memberId), label: auth.label });
+  }
+
   // ── GET /api/data — full dump for frontend ──
   if (req.method === "GET" && url.pathname === "/api/data") {
-    const members = db.getMembers();
-    const schedule = db.getSchedule();
-    const standings = db.getStandings();
-    const getName = (id) => members.find(m => m.id === id)?.name || "Unknown";
-
-    const weeks = schedule.map(w => {
-      const matchups = w.matchups.map(mu => {
-        const result = { m1: mu.m1, m2: mu.m2 };
-        const sub1 = db.getSubmission(w.week, mu.m1);
-        const sub2 = db.getSubmission(w.week, mu.m2);
-        if (sub1) result.sub1 = { species: sub1.species, desc: sub1.description, media: sub1.mediaFiles || [] };
-        if (sub2) result.sub2 = { species: sub2.species, desc: sub2.description, media: sub2.mediaFiles || [] };
-
-        const judgment = db.getJudgment(w.week, mu.m1, mu.m2);
-        if (judgment) {
-          result.judgment = {
-            winner: judgment.winner, summary: judgment.summary,
-            m1sub: judgment.m1sub, m2sub: judgment.m2sub,
-            chatgpt: judgment.chatgpt, gemini: judgment.gemini,
-            claude: judgment.claude,
-            commissionerRuling: judgment.commissionerRuling || null,
-          };
-        }
+    return json(res, buildLeagueData(db, getViewer(req)));
+  }
 
-        const appeal = db.getAppeal(w.week, mu.m1, mu.m2);
-        if (appeal) result.appeal = appeal;
+  // ── GET /api/playoffs — bracket tree for the current season ──
+  if (req.method === "GET" && url.pathname === "/api/playoffs") {
+    const bracket = db.getPlayoffs();
+    if (!bracket) return error(res, "No playoffs yet", 404);
+    return json(res, bracketTree(bracket, db.getMembers()));
+  }
 
-        return result;
-      });
-      return { week: w.week, status: w.status, appealsStatus: w.appealsStatus || "closed", matchups };
-    });
+  // ── GET /api/seasons — list all seasons ──
+  if (req.method === "GET" && url.pathname === "/api/seasons") {
+    return json(res, { current: db.getCurrentSeasonId(), seasons: db.listSeasons() });
+  }
 
-    return json(res, { members, schedule: weeks, standings });
+  // ── GET /api/seasons/:id[/data|/standings|/schedule] — any season, current or archived ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "seasons" && seg[2] && !seg[4]) {
+    const info = db.getSeasonInfo(parseInt(seg[2]));
+    if (!info) return error(res, "Season not found", 404);
+    const sdb = db.season(info.id);
+    if (!seg[3]) return json(res, info);
+    if (seg[3] === "data") return json(res, buildLeagueData(sdb, getViewer(req)));
+    if (seg[3] === "standings") return json(res, sdb.getStandings());
+    if (seg[3] === "schedule") return json(res, sdb.getSchedule());
+    if (seg[3] === "playoffs") return json(res, bracketTree(sdb.getPlayoffs(), sdb.getMembers()));
   }
 
   // ── GET /api/week/:week ──
@@ -172,18 +456,25 @@ async function handleRequest(req, res) {
     const members = db.getMembers();
     const getName = (id) => members.find(m => m.id === id)?.name || "Unknown";
 
+    const viewer = getViewer(req);
     const matchups = week.matchups.map(mu => {
       const result = { m1: mu.m1, m2: mu.m2, m1Name: getName(mu.m1), m2Name: getName(mu.m2) };
       const sub1 = db.getSubmission(weekNum, mu.m1);
       const sub2 = db.getSubmission(weekNum, mu.m2);
-      if (sub1) result.sub1 = { species: sub1.species, desc: sub1.description, media: sub1.mediaFiles || [] };
-      if (sub2) result.sub2 = { species: sub2.species, desc: sub2.description, media: sub2.mediaFiles || [] };
       const judgment = db.getJudgment(weekNum, mu.m1, mu.m2);
+      const blind = isBlind(db, week, judgment);
+      if (sub1) result.sub1 = submissionView(sub1, blind, viewer);
+      if (sub2) result.sub2 = submissionView(sub2, blind, viewer);
       if (judgment) {
         result.judgment = {
           winner: judgment.winner, summary: judgment.summary,
           m1sub: judgment.m1sub, m2sub: judgment.m2sub,
           chatgpt: judgment.chatgpt, gemini: judgment.gemini, claude: judgment.claude,
+          forfeit: judgment.forfeit || null,
+          mode: judgment.mode || "synthesis",
+          tally: judgment.panel ? judgment.panel.tally : null,
+          dissents: judgment.dissents || [],
+          scoring: judgment.scoring || null,
         };
       }
       return result;
@@ -192,80 +483,140 @@ async function handleRequest(req, res) {
     return json(res, { week: weekNum, status: week.status, matchups });
   }
 
+  // ── GET /api/species?q=name — check a species against the checklist ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "species" && !seg[2]) {
+    const q = (url.searchParams.get("q") || "").trim();
+    if (!q) return error(res, "q is required", 400);
+    return json(res, { query: q, taxon: taxonomy.identify(q), suggestions: taxonomy.suggest(q) });
+  }
+
   // ── POST /api/submit/:week/:memberId ──
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "submit" && seg.length === 4) {
     const weekNum = parseInt(seg[2]);
     const memberId = parseInt(seg[3]);
+    const gate = checkSubmitter(req, weekNum, memberId);
+    if (gate.error) return error(res, gate.error, gate.status);
 
-    const week = db.getWeek(weekNum);
-    if (!week) return error(res, "Week not found", 404);
-    if (week.status === "completed") return error(res, "Submissions closed for this week", 403);
+    let body;
+    try {
+      body = await readSubmission(req, weekNum, gate.member);
+    } catch (err) {
+      console.error("Submit parse error:", err.message);
+      return error(res, "Failed to parse submission: " + err.message, err.status || 400);
+    }
 
-    const member = db.getMember(memberId);
-    if (!member) return error(res, "Member not found", 404);
+    if (!body.species) {
+      for (const file of body.uploaded) media.discard(file);
+      return error(res, "Species is required", 400);
+    }
+    return finalizeSubmission(req, res, weekNum, memberId, body, false);
+  }
 
-    const inMatchup = week.matchups.some(mu => mu.m1 === memberId || mu.m2 === memberId);
-    if (!inMatchup) return error(res, "Member not in a matchup this week", 400);
+  // ── GET /api/drafts/:week/:memberId — a member's private draft (own token or admin) ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "drafts" && seg[3] && !seg[4]) {
+    const weekNum = parseInt(seg[2]), memberId = parseInt(seg[3]);
+    if (!checkAdmin(req)) {
+      const auth = getAuthMember(req);
+      if (!auth) return error(res, "Unauthorized", 401);
+      if (auth.memberId !== memberId) return error(res, "You can only see your own draft", 403);
+    }
+    const draft = db.getDraft(weekNum, memberId);
+    if (!draft) return error(res, "No draft", 404);
+    return json(res, draft);
+  }
 
-    const contentType = req.headers["content-type"] || "";
-    let species = "", description = "", mediaFiles = [];
+  // ── POST /api/drafts/:week/:memberId — save a draft (same body as /api/submit) ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "drafts" && seg[3] && !seg[4]) {
+    const weekNum = parseInt(seg[2]), memberId = parseInt(seg[3]);
+    const gate = checkSubmitter(req, weekNum, memberId);
+    if (gate.error) return error(res, gate.error, gate.status);
 
+    let body;
     try {
-      if (contentType.includes("multipart/form-data")) {
-        const safeName = member.name.replace(/[^a-zA-Z0-9]/g, "_");
-        const uploadDir = path.join(MEDIA_DIR, `week-${weekNum}`, safeName);
-        const { fields, files } = await parseMultipart(req, uploadDir);
-        species = fields.species || "";
-        description = fields.description || "";
-        mediaFiles = files.map(f => `/api/media/${weekNum}/${memberId}/${f.savedName}`);
-      } else if (contentType.includes("application/json")) {
-        const data = await parseJson(req);
-        species = data.species || "";
-        description = data.description || "";
-      } else {
-        // Try reading as JSON anyway
-        const body = await readBody(req);
-        try {
-          const data = JSON.parse(body.toString("utf8"));
-          species = data.species || "";
-          description = data.description || "";
-        } catch {}
-      }
+      body = await readSubmission(req, weekNum, gate.member);
     } catch (err) {
-      console.error("Submit parse error:", err);
-      return error(res, "Failed to parse submission: " + err.message, 400);
+      console.error("Draft parse error:", err.message);
+      return error(res, "Failed to parse draft: " + err.message, err.status || 400);
     }
 
-    if (!species) return error(res, "Species is required", 400);
+    const { draft, replaced } = db.saveDraft({
+      week: weekNum, memberId, species: body.species, description: body.description,
+      mediaFiles: body.mediaFiles, mediaInfo: body.mediaInfo,
+    });
+    if (replaced) media.release(replaced.mediaFiles);
+    // Rules aren't enforced until the draft is submitted, but say what would break
+    const violations = draft.species ? checkSubmission(db, { week: weekNum, memberId, species: draft.species }).violations : [];
+    return json(res, { draft, violations });
+  }
 
-    const submission = db.upsertSubmission({ week: weekNum, memberId, species, description, mediaFiles });
-    return json(res, submission, 201);
+  // ── POST /api/drafts/:week/:memberId/submit — submit the saved draft ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "drafts" && seg[3] && seg[4] === "submit") {
+    const weekNum = parseInt(seg[2]), memberId = parseInt(seg[3]);
+    const gate = checkSubmitter(req, weekNum, memberId);
+    if (gate.error) return error(res, gate.error, gate.status);
+    const draft = db.getDraft(weekNum, memberId);
+    if (!draft) return error(res, "No draft", 404);
+    if (!draft.species) return error(res, "Species is required", 400);
+    const body = { species: draft.species, description: draft.description, mediaFiles: draft.mediaFiles, mediaInfo: draft.mediaInfo, uploaded: [] };
+    return finalizeSubmission(req, res, weekNum, memberId, body, true);
   }
 
-  // ── GET /api/media/:week/:memberId/:filename ──
-  if (req.method === "GET" && seg[0] === "api" && seg[1] === "media" && seg.length === 5) {
-    const weekNum = seg[2];
-    const memberId = parseInt(seg[3]);
-    const filename = seg[4];
+  // ── DELETE /api/drafts/:week/:memberId ──
+  if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "drafts" && seg[3] && !seg[4]) {
+    const weekNum = parseInt(seg[2]), memberId = parseInt(seg[3]);
+    if (!checkAdmin(req)) {
+      const auth = getAuthMember(req);
+      if (!auth) return error(res, "Unauthorized", 401);
+      if (auth.memberId !== memberId) return error(res, "You can only delete your own draft", 403);
+    }
+    const draft = db.deleteDraft(weekNum, memberId);
+    if (!draft) return error(res, "No draft", 404);
+    media.release(draft.mediaFiles);
+    return json(res, { status: "ok" });
+  }
+
+  // ── GET|HEAD /api/media/[:season/]:week/:memberId/:filename[?variant=thumb|web|judge] ──
+  if ((req.method === "GET" || req.method === "HEAD") && seg[0] === "api" && seg[1] === "media" && (seg.length === 5 || seg.length === 6)) {
+    // URLs from before seasons were in the path have no :season
+    const [seasonPart, weekNum, memberPart, filename] = seg.length === 6 ? seg.slice(2) : [null, ...seg.slice(2)];
+    const seasonId = media.urlSeason(`/api/media/${seg.slice(2).join("/")}`);
+    const memberId = parseInt(memberPart);
+    const variant = url.searchParams.get("variant") || "full";
+    if (variant !== "full" && !media.VARIANTS.includes(variant)) {
+      return error(res, `variant must be one of: full, ${media.VARIANTS.join(", ")}`, 400);
+    }
 
-    const member = db.getMember(memberId);
+    const sdb = db.season(seasonId);
+    const member = seasonId != null && sdb.getMember(memberId);
     if (!member) return error(res, "Not found", 404);
 
-    const safeName = member.name.replace(/[^a-zA-Z0-9]/g, "_");
-    const filePath = path.join(MEDIA_DIR, `week-${weekNum}`, safeName, filename);
-    if (!fs.existsSync(filePath)) return error(res, "File not found", 404);
+    // Same rule as submissionView: only the owner and the admin see blind media
+    const blind = isMediaBlind(sdb, parseInt(weekNum), memberId);
+    const viewer = blind ? getViewer(req) : null;
+    if (blind && !viewer.admin && viewer.memberId !== memberId) {
+      return error(res, "Hidden until the week locks", 403);
+    }
 
-    const ext = path.extname(filename).toLowerCase();
-    const mime = MIME[ext] || "application/octet-stream";
-    const stat = fs.statSync(filePath);
+    let filePath = media.resolve(weekNum, member, filename, seasonPart);
+    if (!filePath || !fs.statSync(filePath, { throwIfNoEntry: false })?.isFile()) return error(res, "File not found", 404);
+    if (variant !== "full") {
+      // Only photos have variants; older uploads get theirs made on first request
+      if (!images.IMAGE_TYPES.includes(MIME[path.extname(filePath).toLowerCase()])) {
+        return error(res, `No ${variant} variant for this file`, 404);
+      }
+      try {
+        filePath = await images.ensureVariant(filePath, variant);
+      } catch (err) {
+        return error(res, `No ${variant} variant for this file: ${err.message}`, 404);
+      }
+    }
 
-    res.writeHead(200, {
-      "Content-Type": mime,
-      "Content-Length": stat.size,
-      "Cache-Control": "public, max-age=86400",
+    const ext = path.extname(filePath).toLowerCase();
+    return sendFile(req, res, filePath, {
+      "Content-Type": MIME[ext] || "application/octet-stream",
+      // Blind media must not sit in a shared cache past the owner's request
+      "Cache-Control": blind ? "private, no-cache" : "public, max-age=86400",
     });
-    fs.createReadStream(filePath).pipe(res);
-    return;
   }
 
   // ── GET /api/admin/backup — download current db.json ──
@@ -295,9 +646,9 @@ async function handleRequest(req, res) {
     try {
       const body = await readBody(req);
       const data = JSON.parse(body.toString("utf8"));
-      if (!data.members || !data.schedule) return error(res, "Invalid db.json — missing members or schedule", 400);
+      if (!data.seasons && (!data.members || !data.schedule)) return error(res, "Invalid db.json — missing seasons, or members and schedule", 400);
       db.replaceDb(data);
-      return json(res, { status: "restored", members: data.members.length, submissions: (data.submissions || []).length, judgments: (data.judgments || []).length });
+      return json(res, { status: "restored", seasons: db.listSeasons().length, submissions: db.getFullDb().seasons.reduce((n, s) => n + s.submissions.length, 0) });
     } catch (err) {
       return error(res, "Restore failed: " + err.message, 400);
     }
@@ -308,7 +659,7 @@ async function handleRequest(req, res) {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
     const result = db.restoreBackup(seg[3]);
     if (!result) return error(res, "Backup not found", 404);
-    return json(res, { status: "restored", backup: seg[3], submissions: (result.submissions || []).length, judgments: (result.judgments || []).length });
+    return json(res, { status: "restored", backup: seg[3], seasons: db.listSeasons().length });
   }
 
   // ── POST /api/admin/week/:week/status ──
@@ -328,15 +679,60 @@ async function handleRequest(req, res) {
     }
   }
 
+  // ── POST /api/admin/schedule/generate — build a round-robin (preview unless apply: true) ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "schedule" && seg[3] === "generate") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
+    let schedule;
+    try {
+      schedule = generateRoundRobin(db.getMembers().map(m => m.id), {
+        weeks: parseInt(body.weeks) || undefined,
+        allowRematches: !!body.allowRematches,
+      });
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+    if (body.apply) {
+      if (db.getSchedule().some(w => db.getJudgmentsForWeek(w.week).length > 0)) {
+        return error(res, "Schedule already has judged weeks; edit weeks individually instead", 409);
+      }
+      db.setSchedule(schedule);
+    }
+    return json(res, { applied: !!body.apply, schedule });
+  }
+
+  // ── POST /api/admin/week/:week/matchups — hand-edit a week's matchups ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "week" && seg[3] && seg[4] === "matchups") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const weekNum = parseInt(seg[3]);
+    if (!db.getWeek(weekNum)) return error(res, "Week not found", 404);
+    if (db.getJudgmentsForWeek(weekNum).length > 0) return error(res, "Week already has judgments; clear them before editing matchups", 409);
+
+    const body = await parseJson(req);
+    const memberIds = db.getMembers().map(m => m.id);
+    const problems = validateMatchups(body.matchups, memberIds);
+    if (problems.length) return json(res, { error: "Invalid matchups", problems }, 400);
+
+    const matchups = body.matchups.map(mu => ({ m1: mu.m1, m2: mu.m2 }));
+    const week = db.setWeekMatchups(weekNum, matchups, findByes(matchups, memberIds));
+    return json(res, { status: "ok", week });
+  }
+
+  // ── POST /api/admin/week/:week/timeline — set deadline/judging/appeal times ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "week" && seg[3] && seg[4] === "timeline") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
+    const result = scheduler.setTimeline(parseInt(seg[3]), body);
+    if (result.error) return error(res, result.error, result.error === "Week not found" ? 404 : 400);
+    scheduler.safeTick();
+    return json(res, { status: "ok", week: result.week });
+  }
+
   // ── DELETE /api/admin/judgments/:week — clear judgments for a week ──
   if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "judgments" && seg[3] && !seg[4]) {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
     const weekNum = parseInt(seg[3]);
-    const fullDb = db.getFullDb();
-    const before = fullDb.judgments.length;
-    fullDb.judgments = fullDb.judgments.filter(j => j.week !== weekNum);
-    const removed = before - fullDb.judgments.length;
-    db.replaceDb(fullDb);
+    const removed = db.deleteJudgments(weekNum);
     return json(res, { status: "ok", week: weekNum, removed });
   }
 
@@ -346,60 +742,133 @@ async function handleRequest(req, res) {
     const weekNum = parseInt(seg[3]);
     const m1Id = parseInt(seg[4]);
     const m2Id = parseInt(seg[5]);
-    const fullDb = db.getFullDb();
-    const before = fullDb.judgments.length;
-    fullDb.judgments = fullDb.judgments.filter(j => !(j.week === weekNum && j.m1Id === m1Id && j.m2Id === m2Id));
-    const removed = before - fullDb.judgments.length;
-    db.replaceDb(fullDb);
+    const removed = db.deleteJudgments(weekNum, m1Id, m2Id);
     return json(res, { status: "ok", week: weekNum, m1: m1Id, m2: m2Id, removed });
   }
 
-  // ── POST /api/admin/judge/:week ──
-  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "judge" && seg[3]) {
+  // ── GET /api/admin/submissions/:week/:memberId/history[?from=rev&to=rev] — revisions, draft and a diff ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "submissions" && seg[4] && seg[5] === "history") {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
-    try {
-      const judge = require("./judge");
-      const results = await judge.judgeWeek(parseInt(seg[3]));
-      return json(res, { judged: results.length, results });
-    } catch (err) {
-      return error(res, err.message, 500);
+    const weekNum = parseInt(seg[3]), memberId = parseInt(seg[4]);
+    const week = db.getWeek(weekNum);
+    if (!week) return error(res, "Week not found", 404);
+    const history = db.getSubmissionHistory(weekNum, memberId);
+    if (!history.revisions.length && !history.draft) return error(res, "No submission", 404);
+
+    const deadlineAt = week.timeline?.deadlineAt || null;
+    const revisions = history.revisions.map(r => ({
+      ...r, afterDeadline: deadlineAt ? new Date(r.at) > new Date(deadlineAt) : null,
+    }));
+
+    let diff = null;
+    if (url.searchParams.has("from") || url.searchParams.has("to")) {
+      const to = parseInt(url.searchParams.get("to")) || revisions.length;
+      const from = parseInt(url.searchParams.get("from")) || to - 1;
+      const a = revisions.find(r => r.rev === from), b = revisions.find(r => r.rev === to);
+      if (!a || !b) return error(res, `Revision ${!a ? from : to} not found`, 404);
+      diff = { from, to, changes: submissionDiff(a.submission, b.submission) };
     }
+    return json(res, { week: weekNum, memberId, deadlineAt, current: history.current, draft: history.draft, revisions, diff });
+  }
+
+  // ── GET /api/admin/media/orphans — uploaded files nothing refers to ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "media" && seg[3] === "orphans") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const orphans = media.findOrphans();
+    return json(res, { count: orphans.length, bytes: orphans.reduce((n, o) => n + o.size, 0), orphans });
+  }
+
+  // ── DELETE /api/admin/media/orphans — remove them ──
+  if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "media" && seg[3] === "orphans") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const removed = media.removeOrphans();
+    return json(res, { status: "ok", removed: removed.length, bytes: removed.reduce((n, o) => n + o.size, 0) });
+  }
+
+  // ── GET /api/admin/judgments/:week/:m1/:m2/history — every revision of a judgment ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "judgments" && seg[3] && seg[4] && seg[5] && seg[6] === "history") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const history = db.getJudgmentHistory(parseInt(seg[3]), parseInt(seg[4]), parseInt(seg[5]));
+    if (!history.current && !history.revisions.length) return error(res, "No judgment found", 404);
+    return json(res, history);
+  }
+
+  // ── POST /api/admin/judgments/:week/:m1/:m2/revert — make an earlier revision live ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "judgments" && seg[3] && seg[4] && seg[5] && seg[6] === "revert") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const weekNum = parseInt(seg[3]), m1Id = parseInt(seg[4]), m2Id = parseInt(seg[5]);
+    const body = await parseJson(req);
+    const rev = parseInt(body.rev);
+    const target = db.getJudgmentHistory(weekNum, m1Id, m2Id).revisions.find(r => r.rev === rev);
+    if (!target) return error(res, "Revision not found", 404);
+    if (!target.judgment) return error(res, "Can't revert to a deletion; revert to an earlier revision", 400);
+    const judgment = db.revertJudgment(weekNum, m1Id, m2Id, rev);
+    return json(res, { status: "ok", judgment });
+  }
+
+  // ── POST /api/admin/judge/:week — queue a background judging job ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "judge" && seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const weekNum = parseInt(seg[3]);
+    if (!db.getWeek(weekNum)) return error(res, "Week not found", 404);
+    const job = jobs.createJudgeJob(weekNum);
+    return json(res, { jobId: job.id, status: job.status, job }, 202);
+  }
+
+  // ── GET /api/admin/jobs[/:id] — judging job list / progress ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "jobs" && !seg[4]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    if (!seg[3]) return json(res, { jobs: jobs.listJobs(), providers: breakerStatus() });
+    const job = jobs.getJob(seg[3]);
+    if (!job) return error(res, "Job not found", 404);
+    return json(res, job);
+  }
+
+  // ── POST /api/admin/jobs/:id/cancel | /retry ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "jobs" && seg[3] && (seg[4] === "cancel" || seg[4] === "retry")) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const job = seg[4] === "cancel" ? jobs.cancelJob(seg[3]) : jobs.retryJob(seg[3]);
+    if (!job) return error(res, "Job not found", 404);
+    return json(res, job);
   }
 
   // ── DELETE /api/admin/appeal/:week/:m1/:m2 — delete an appeal ──
   if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "appeal" && seg[3] && seg[4] && seg[5]) {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
     const weekNum = parseInt(seg[3]), m1Id = parseInt(seg[4]), m2Id = parseInt(seg[5]);
-    const fullDb = db.getFullDb();
-    if (!fullDb.appeals) fullDb.appeals = [];
-    const before = fullDb.appeals.length;
-    fullDb.appeals = fullDb.appeals.filter(a => !(a.week === weekNum && a.m1Id === m1Id && a.m2Id === m2Id));
-    // Also clear any commissioner/appeal ruling from the judgment
-    const j = fullDb.judgments.find(j => j.week === weekNum && j.m1Id === m1Id && j.m2Id === m2Id);
-    if (j) { delete j.commissionerRuling; delete j.appealRuling; }
-    const removed = before - fullDb.appeals.length;
-    db.replaceDb(fullDb);
+    // Also clears any commissioner/appeal ruling from the judgment
+    const removed = db.deleteAppeal(weekNum, m1Id, m2Id);
     return json(res, { status: "ok", removed });
   }
 
   // ── POST /api/appeal/:week/:m1/:m2 — submit an appeal (loser) ──
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "appeal" && seg[2] && seg[3] && seg[4]) {
     const weekNum = parseInt(seg[2]), m1Id = parseInt(seg[3]), m2Id = parseInt(seg[4]);
-    const body = await parseBody(req);
+    const isAdmin = checkAdmin(req);
+    const auth = isAdmin ? null : getAuthMember(req);
+    if (!isAdmin && !auth) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
 
     const judgment = db.getJudgment(weekNum, m1Id, m2Id);
     if (!judgment) return error(res, "No judgment to appeal", 400);
+    if (judgment.forfeit) return error(res, "Forfeits can't be appealed", 400);
 
     // Check appeals are open for this week
     const week = db.getWeek(weekNum);
     if (!week || week.appealsStatus !== "open") return error(res, "Appeals are not open for this week", 400);
 
+    // Only the loser may appeal
+    if (judgment.winner !== "m1" && judgment.winner !== "m2") return error(res, "This matchup has no single winner to appeal", 400);
+    const loserId = judgment.winner === "m1" ? m2Id : m1Id;
+    const memberId = isAdmin ? (parseInt(body.memberId) || loserId) : auth.memberId;
+    if (memberId !== loserId) return error(res, "Only the losing side can appeal", 403);
+
     const existing = db.getAppeal(weekNum, m1Id, m2Id);
     if (existing && existing.defenseText) return error(res, "Appeal already has defense, cannot modify", 400);
 
     const appeal = {
       week: weekNum, m1Id, m2Id,
-      appealBy: body.memberId,
+      appealBy: memberId,
       appealText: (body.appealText || "").slice(0, 1000),
       defenseText: existing?.defenseText || null,
       status: "pending_defense",
@@ -413,13 +882,23 @@ async function handleRequest(req, res) {
   // ── POST /api/defense/:week/:m1/:m2 — submit a defense (winner) ──
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "defense" && seg[2] && seg[3] && seg[4]) {
     const weekNum = parseInt(seg[2]), m1Id = parseInt(seg[3]), m2Id = parseInt(seg[4]);
-    const body = await parseBody(req);
+    const isAdmin = checkAdmin(req);
+    const auth = isAdmin ? null : getAuthMember(req);
+    if (!isAdmin && !auth) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
 
     const appeal = db.getAppeal(weekNum, m1Id, m2Id);
     if (!appeal) return error(res, "No appeal to defend against", 400);
 
+    // Only the winner may defend
+    const judgment = db.getJudgment(weekNum, m1Id, m2Id);
+    if (!judgment || (judgment.winner !== "m1" && judgment.winner !== "m2")) return error(res, "This matchup has no single winner to defend", 400);
+    const winnerId = judgment.winner === "m1" ? m1Id : m2Id;
+    const memberId = isAdmin ? (parseInt(body.memberId) || winnerId) : auth.memberId;
+    if (memberId !== winnerId) return error(res, "Only the winning side can defend", 403);
+
     appeal.defenseText = (body.defenseText || "").slice(0, 1000);
-    appeal.defenseBy = body.memberId;
+    appeal.defenseBy = memberId;
     appeal.status = "pending_review";
     appeal.defenseAt = new Date().toISOString();
 
@@ -431,11 +910,7 @@ async function handleRequest(req, res) {
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "appeals" && seg[3] && seg[4] === "open") {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
     const weekNum = parseInt(seg[3]);
-    const fullDb = db.getFullDb();
-    const weekIdx = fullDb.schedule.findIndex(w => w.week === weekNum);
-    if (weekIdx < 0) return error(res, "Week not found", 404);
-    fullDb.schedule[weekIdx].appealsStatus = "open";
-    db.replaceDb(fullDb);
+    if (!db.setAppealsStatus(weekNum, "open")) return error(res, "Week not found", 404);
     return json(res, { status: "ok", week: weekNum, appealsStatus: "open" });
   }
 
@@ -443,11 +918,7 @@ async function handleRequest(req, res) {
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "appeals" && seg[3] && seg[4] === "close") {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
     const weekNum = parseInt(seg[3]);
-    const fullDb = db.getFullDb();
-    const weekIdx = fullDb.schedule.findIndex(w => w.week === weekNum);
-    if (weekIdx < 0) return error(res, "Week not found", 404);
-    fullDb.schedule[weekIdx].appealsStatus = "closed";
-    db.replaceDb(fullDb);
+    if (!db.setAppealsStatus(weekNum, "closed")) return error(res, "Week not found", 404);
     return json(res, { status: "ok", week: weekNum, appealsStatus: "closed" });
   }
 
@@ -455,7 +926,7 @@ async function handleRequest(req, res) {
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "appeal-ruling" && seg[3] && seg[4] && seg[5]) {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
     const weekNum = parseInt(seg[3]), m1Id = parseInt(seg[4]), m2Id = parseInt(seg[5]);
-    const body = await parseBody(req);
+    const body = await parseJson(req);
 
     // body.action: "commissioner_ruling" | "appeal_rejudge"
     // body.m1Result: "win" | "loss"  body.m2Result: "win" | "loss"
@@ -466,6 +937,10 @@ async function handleRequest(req, res) {
     const appeal = db.getAppeal(weekNum, m1Id, m2Id);
 
     if (body.action === "commissioner_ruling") {
+      const results = ["win", "loss"];
+      if (!results.includes(body.m1Result) || !results.includes(body.m2Result)) {
+        return error(res, "m1Result and m2Result must be \"win\" or \"loss\"", 400);
+      }
       // Commissioner manually assigns results
       judgment.commissionerRuling = {
         m1Result: body.m1Result,
@@ -479,12 +954,17 @@ async function handleRequest(req, res) {
       // W-W and L-L: keep winner as null to indicate special ruling
       else judgment.winner = null;
       judgment.summary = body.reason || "Ruled by commissioner.";
-      db.saveJudgment(judgment);
+      delete judgment.needsReview;
+      db.saveJudgment(judgment, { kind: "commissioner", by: "commissioner", note: body.reason || null });
       if (appeal) { appeal.status = "resolved"; appeal.resolution = "commissioner"; db.saveAppeal(appeal); }
       return json(res, { status: "ok", judgment });
     }
 
     if (body.action === "appeal_rejudge") {
+      if (judgment.forfeit) return error(res, "Forfeits can't be appealed", 400);
+      if (gameLocked(db.getPlayoffs(), weekNum, m1Id, m2Id)) {
+        return error(res, "The playoff bracket has already moved past this game", 409);
+      }
       // Send to Claude with full context
       try {
         const judge = require("./judge");
@@ -492,13 +972,221 @@ async function handleRequest(req, res) {
         if (appeal) { appeal.status = "resolved"; appeal.resolution = "appeal_rejudge"; db.saveAppeal(appeal); }
         return json(res, { status: "ok", judgment: result });
       } catch (err) {
-        return error(res, err.message, 500);
+        return error(res, err.message, err.kind === "budget" || err instanceof PlayoffError ? 409 : 500);
       }
     }
 
     return error(res, "Invalid action", 400);
   }
 
+  // ── POST /api/admin/members/:id/tokens — issue a member token ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "members" && seg[3] && seg[4] === "tokens" && !seg[5]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const memberId = parseInt(seg[3]);
+    if (!db.getMember(memberId)) return error(res, "Member not found", 404);
+    const body = await parseJson(req);
+    const credential = db.issueToken(memberId, body.label);
+    const { tokenHash, ...result } = credential;
+    return json(res, result, 201);
+  }
+
+  // ── GET /api/admin/members/:id/tokens — list a member's tokens (no secrets) ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "members" && seg[3] && seg[4] === "tokens") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    return json(res, { tokens: db.listCredentials(parseInt(seg[3])) });
+  }
+
+  // ── DELETE /api/admin/members/:id/tokens[/:credentialId] — revoke tokens ──
+  if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "members" && seg[3] && seg[4] === "tokens") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const removed = db.revokeCredentials(parseInt(seg[3]), seg[5] || null);
+    return json(res, { status: "ok", removed });
+  }
+
+  // ── POST /api/admin/playoffs — seed a bracket from the standings ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "playoffs" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    if (db.getPlayoffs()) return error(res, "Playoffs already exist; delete them first", 409);
+    const body = await parseJson(req);
+    try {
+      const bracket = db.createPlayoffs({
+        teams: parseInt(body.teams) || undefined,
+        bestOf: parseInt(body.bestOf) || 1,
+      });
+      return json(res, bracketTree(bracket, db.getMembers()), 201);
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
+  // ── DELETE /api/admin/playoffs — remove an unplayed bracket ──
+  if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "playoffs" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    try {
+      const removedWeeks = db.deletePlayoffs();
+      return json(res, { status: "ok", removedWeeks });
+    } catch (err) {
+      return error(res, err.message, 409);
+    }
+  }
+
+  // ── GET /api/admin/settings — current season's league settings ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "settings" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    return json(res, db.getSettings());
+  }
+
+  // ── POST /api/admin/settings — deep-merge changes into the settings ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "settings" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
+    const doubleNoShow = body.forfeits && body.forfeits.doubleNoShow;
+    if (doubleNoShow && !["double_loss", "skip"].includes(doubleNoShow)) {
+      return error(res, "forfeits.doubleNoShow must be: double_loss, skip", 400);
+    }
+    const limit = body.budget && body.budget.seasonLimitUsd;
+    if (limit !== undefined && limit !== null && !(typeof limit === "number" && limit >= 0)) {
+      return error(res, "budget.seasonLimitUsd must be a non-negative number or null", 400);
+    }
+    if (body.judging) {
+      const { mode, panel, opinionRole } = body.judging;
+      const roles = Object.keys(loadConfig().roles);
+      if (mode !== undefined && !["synthesis", "panel"].includes(mode)) {
+        return error(res, "judging.mode must be: synthesis, panel", 400);
+      }
+      if (panel !== undefined) {
+        if (!Array.isArray(panel) || panel.length < 3 || panel.length % 2 === 0) {
+          return error(res, "judging.panel must list an odd number of judge roles, at least 3", 400);
+        }
+        const unknown = panel.filter(role => !roles.includes(role));
+        if (unknown.length) return error(res, `Unknown judge roles: ${unknown.join(", ")}`, 400);
+        if (new Set(panel).size !== panel.length) return error(res, "judging.panel lists a role twice", 400);
+      }
+      if (opinionRole !== undefined && !roles.includes(opinionRole)) {
+        return error(res, `Unknown judge role: ${opinionRole}`, 400);
+      }
+    }
+    if (body.scoring !== undefined) {
+      const problem = validateScoring(body.scoring);
+      if (problem) return error(res, problem, 400);
+    }
+    if (body.rules !== undefined) {
+      const problem = validateRules(body.rules);
+      if (problem) return error(res, problem, 400);
+    }
+    return json(res, db.updateSettings(body));
+  }
+
+  // ── GET /api/admin/exemptions[?week=n] — commissioner waivers of league rules ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "exemptions" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const week = url.searchParams.get("week");
+    return json(res, db.getExemptions(week ? parseInt(week) : undefined));
+  }
+
+  // ── POST /api/admin/exemptions — { week, memberId, rule, reason } waives a rule for one submission ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "exemptions" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
+    const week = parseInt(body.week), memberId = parseInt(body.memberId);
+    if (!db.getWeek(week)) return error(res, "Week not found", 404);
+    if (!db.getMember(memberId)) return error(res, "Member not found", 404);
+    if (!db.getSettings().rules.some(r => r.id === body.rule)) return error(res, `No league rule ${body.rule}`, 400);
+    return json(res, db.grantExemption({ week, memberId, rule: body.rule, reason: body.reason }), 201);
+  }
+
+  // ── DELETE /api/admin/exemptions/:week/:memberId/:rule ──
+  if (req.method === "DELETE" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "exemptions" && seg[5]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const removed = db.revokeExemption(parseInt(seg[3]), parseInt(seg[4]), decodeURIComponent(seg[5]));
+    if (!removed) return error(res, "Exemption not found", 404);
+    return json(res, { status: "ok", removed });
+  }
+
+  // ── GET /api/admin/costs[?season=id] — judging spend by week and provider, plus every season's total ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "costs" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const seasonId = url.searchParams.get("season");
+    const info = db.getSeasonInfo(seasonId ? parseInt(seasonId) : null);
+    if (!info) return error(res, "Season not found", 404);
+    const seasons = db.listSeasons().map(s => ({ id: s.id, name: s.name, ...costReport(db.season(s.id)).total }));
+    return json(res, { ...costReport(db.season(info.id)), seasons });
+  }
+
+  // ── GET /api/admin/prompts[/:name][?version=hash] — templates and their version history ──
+  if (req.method === "GET" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "prompts" && !seg[4]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    if (!seg[3]) return json(res, { prompts: prompts.list() });
+    const prompt = prompts.get(seg[3], url.searchParams.get("version"));
+    if (!prompt) return error(res, "Prompt or version not found", 404);
+    return json(res, prompt);
+  }
+
+  // ── POST /api/admin/prompts/:name — save a new version ({ text, note? }) and make it current ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "prompts" && seg[3] && !seg[4]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    if (!prompts.TEMPLATES.includes(seg[3])) return error(res, "Prompt not found", 404);
+    const body = await parseJson(req);
+    const result = prompts.save(seg[3], body.text, body.note);
+    if (result.error) return error(res, result.error, 400);
+    return json(res, { status: "ok", version: result.version });
+  }
+
+  // ── POST /api/admin/prompts/:name/rollback — make an earlier version current ({ hash }) ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "prompts" && seg[3] && seg[4] === "rollback") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    if (!prompts.TEMPLATES.includes(seg[3])) return error(res, "Prompt not found", 404);
+    const body = await parseJson(req);
+    const result = prompts.rollback(seg[3], body.hash);
+    if (result.error) return error(res, result.error, 404);
+    return json(res, { status: "ok", version: result.version });
+  }
+
+  // ── POST /api/admin/preview/:week/:m1/:m2 — filled prompts and media; { run: true } for a dry run ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "preview" && seg[3] && seg[4] && seg[5]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const weekNum = parseInt(seg[3]), m1Id = parseInt(seg[4]), m2Id = parseInt(seg[5]);
+    const week = db.getWeek(weekNum);
+    if (!week || !week.matchups.some(mu => mu.m1 === m1Id && mu.m2 === m2Id)) return error(res, "Matchup not found", 404);
+    if (!db.getSubmission(weekNum, m1Id) || !db.getSubmission(weekNum, m2Id)) {
+      return error(res, "Both submissions are needed to preview a matchup", 400);
+    }
+    const body = await parseJson(req);
+    if (body.provider && !loadConfig().providers[body.provider]) return error(res, `Unknown provider: ${body.provider}`, 400);
+    try {
+      const judge = require("./judge");
+      const preview = await judge.previewMatchup(weekNum, { m1: m1Id, m2: m2Id }, {
+        run: !!body.run, provider: body.provider, templates: body.templates,
+      });
+      return json(res, { week: weekNum, m1: m1Id, m2: m2Id, ...preview });
+    } catch (err) {
+      const status = err instanceof prompts.PromptError ? 400 : err.kind === "budget" ? 409 : 500;
+      return error(res, err.message, status);
+    }
+  }
+
+  // ── POST /api/admin/seasons — start a new season (becomes current) ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "seasons" && !seg[3]) {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    const body = await parseJson(req);
+    if (body.members && !Array.isArray(body.members)) return error(res, "members must be an array", 400);
+    if (body.schedule && !Array.isArray(body.schedule)) return error(res, "schedule must be an array", 400);
+    const season = db.createSeason({ name: body.name, members: body.members, schedule: body.schedule });
+    return json(res, season, 201);
+  }
+
+  // ── POST /api/admin/seasons/:id/archive — make a finished season read-only ──
+  if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "seasons" && seg[3] && seg[4] === "archive") {
+    if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
+    try {
+      const season = db.archiveSeason(parseInt(seg[3]));
+      if (!season) return error(res, "Season not found", 404);
+      return json(res, season);
+    } catch (err) {
+      return error(res, err.message, 400);
+    }
+  }
+
   // ── POST /api/admin/seed ──
   if (req.method === "POST" && seg[0] === "api" && seg[1] === "admin" && seg[2] === "seed") {
     if (!checkAdmin(req)) return error(res, "Unauthorized", 401);
@@ -519,14 +1207,25 @@ async function handleRequest(req, res) {
   }
 
   error(res, "Not found", 404);
-  } catch (err) { console.error("Request error:", err); if (!res.headersSent) error(res, "Server error", 500); }
+  } catch (err) {
+    // A rejudge, revert or deletion that would rewrite a settled playoff game
+    if (err instanceof PlayoffError && !res.headersSent) return error(res, err.message, 409);
+    console.error("Request error:", err); if (!res.headersSent) error(res, "Server error", 500);
+  }
 }
 
 // ─── Start ────────────────────────────────────────────────
 
-const server = http.createServer(handleRequest);
-server.listen(PORT, () => {
-  console.log(`\n  Bird League API running on port ${PORT}`);
-  console.log(`  Health: http://localhost:${PORT}/`);
-  console.log(`  Data:   http://localhost:${PORT}/api/data\n`);
-});
+// Listen only when run directly; the tests require this file for its handlers
+if (require.main === module) {
+  const server = http.createServer(handleRequest);
+  server.listen(PORT, () => {
+    console.log(`\n  Bird League API running on port ${PORT}`);
+    console.log(`  Health: http://localhost:${PORT}/`);
+    console.log(`  Data:   http://localhost:${PORT}/api/data\n`);
+    jobs.resumeJobs();
+    scheduler.start();
+  });
+}
+
+module.exports = { handleRequest, sendFile };
@@ -0,0 +1,178 @@
+/**
+ * Bird League — Standings
+ *
+ * Records come from each regular-season judgment:
+ * - `commissionerRuling` wins over `winner`, so split W-W and L-L rulings count
+ *   for both sides
+ * - A judgment with no winner and no ruling is a tie (half a win)
+ * - `forfeit` ("m1", "m2" or "both") marks the side(s) that didn't submit;
+ *   those results are also counted as forfeit wins/losses
+ * - Judgments flagged `needsReview` don't count until the commissioner rules
+ * - Score totals from score-based judging (`scoring.totals`) add up to points
+ *   for (`pf`) and against (`pa`); `diff` is pf − pa
+ *
+ * Order: win points (W + ½T) desc, then losses asc. Members still level are
+ * separated by this chain, applied within each tied group:
+ *   1. head-to-head — win points in games between the tied members
+ *   2. ai-votes     — individual ChatGPT/Gemini votes received all season
+ *   3. strength-of-schedule — opponents' combined win percentage
+ * A step that splits a group only partway sends each still-tied sub-group back
+ * to head-to-head, now counting only the games between its own members.
+ * Each row's `tiebreaker` names the step that placed it (null if it wasn't tied).
+ */
+
+const TIEBREAKERS = [
+  { name: "head-to-head", value: (row, group) => headToHead(row, group) },
+  { name: "ai-votes", value: (row) => row.aiVotes },
+  { name: "strength-of-schedule", value: (row) => row.sos },
+];
+
+/** Per-side results of one judgment: { m1: "W"|"L"|"T", m2: ... } */
+function outcomes(j) {
+  const r = j.commissionerRuling;
+  if (r && r.m1Result && r.m2Result) {
+    return { m1: r.m1Result === "win" ? "W" : "L", m2: r.m2Result === "win" ? "W" : "L" };
+  }
+  if (j.winner === "m1") return { m1: "W", m2: "L" };
+  if (j.winner === "m2") return { m1: "L", m2: "W" };
+  if (j.forfeit === "both") return { m1: "L", m2: "L" };
+  return { m1: "T", m2: "T" };
+}
+
+/**
+ * Compute standings for a season.
+ *
+ * @param {object} season - Season record from db.js
+ * @returns {Array<object>} Rows ordered first to last
+ */
+function computeStandings(season) {
+  const playoffWeeks = new Set(season.schedule.filter((w) => w.playoff).map((w) => w.week));
+  const rows = {};
+  season.members.forEach((m) => {
+    rows[m.id] = {
+      id: m.id, name: m.name,
+      w: 0, l: 0, t: 0, forfeitWins: 0, forfeitLosses: 0,
+      pf: 0, pa: 0, aiVotes: 0, games: [],
+    };
+  });
+
+  season.judgments
+    .filter((j) => !playoffWeeks.has(j.week))
+    .filter((j) => !j.needsReview || j.commissionerRuling)
+    .sort((a, b) => a.week - b.week)
+    .forEach((j) => {
+      const result = outcomes(j);
+      for (const side of ["m1", "m2"]) {
+        const row = rows[j[`${side}Id`]];
+        if (!row) continue;
+        const other = side === "m1" ? "m2" : "m1";
+        const outcome = result[side];
+        row[outcome.toLowerCase()]++;
+        if (j.forfeit === other) row.forfeitWins++;
+        if (j.forfeit === side || j.forfeit === "both") row.forfeitLosses++;
+        row.aiVotes += [j.chatgpt, j.gemini].filter((v) => v && v.pick === side).length;
+        if (j.scoring) {
+          row.pf += j.scoring.totals[side];
+          row.pa += j.scoring.totals[other];
+        }
+        row.games.push({ week: j.week, opponent: j[`${other}Id`], outcome });
+      }
+    });
+
+  const list = Object.values(rows);
+  list.forEach((row) => {
+    row.points = row.w + row.t / 2;
+    const played = row.w + row.l + row.t;
+    row.pct = played ? round(row.points / played) : 0;
+    row.streak = streak(row.games);
+    row.pf = round(row.pf);
+    row.pa = round(row.pa);
+    row.diff = round(row.pf - row.pa);
+  });
+  list.forEach((row) => {
+    const opponents = row.games.map((g) => rows[g.opponent]).filter(Boolean);
+    row.sos = opponents.length
+      ? round(opponents.reduce((n, o) => n + o.pct, 0) / opponents.length)
+      : 0;
+  });
+
+  const ordered = [];
+  groupBy(list.sort(byRecord), (a, b) => byRecord(a, b) === 0).forEach((group) => {
+    if (group.length === 1) {
+      group[0].tiebreaker = null;
+      ordered.push(group[0]);
+    } else {
+      ordered.push(...breakTies(group, 0));
+    }
+  });
+
+  const leader = ordered[0];
+  return ordered.map((row, i) => {
+    const { games, points, ...rest } = row;
+    return {
+      ...rest,
+      rank: i + 1,
+      gamesBack: leader ? ((leader.w - row.w) + (row.l - leader.l)) / 2 : 0,
+    };
+  });
+}
+
+function byRecord(a, b) {
+  if (b.points !== a.points) return b.points - a.points;
+  return a.l - b.l;
+}
+
+// Order a tied group by the tiebreaker chain starting at step `i`
+function breakTies(group, i) {
+  if (i >= TIEBREAKERS.length) {
+    group.forEach((row) => (row.tiebreaker = "unbroken"));
+    return group.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  const { name, value } = TIEBREAKERS[i];
+  const scored = group.map((row) => ({ row, v: value(row, group) }));
+  scored.sort((a, b) => b.v - a.v);
+  const out = [];
+  groupBy(scored, (a, b) => a.v === b.v).forEach((sub) => {
+    if (sub.length === 1) {
+      sub[0].row.tiebreaker = name;
+      out.push(sub[0].row);
+    } else {
+      // A smaller group starts over at head-to-head; an unsplit one moves on
+      out.push(...breakTies(sub.map((s) => s.row), sub.length < group.length ? 0 : i + 1));
+    }
+  });
+  return out;
+}
+
+function headToHead(row, group) {
+  const ids = new Set(group.map((r) => r.id));
+  return row.games
+    .filter((g) => ids.has(g.opponent))
+    .reduce((n, g) => n + (g.outcome === "W" ? 1 : g.outcome === "T" ? 0.5 : 0), 0);
+}
+
+// "W3", "L1", "T2" — the current run of identical results
+function streak(games) {
+  if (games.length === 0) return null;
+  const last = games[games.length - 1].outcome;
+  let n = 0;
+  for (let i = games.length - 1; i >= 0 && games[i].outcome === last; i--) n++;
+  return `${last}${n}`;
+}
+
+// Split an already-sorted list into runs of equal items
+function groupBy(sorted, equal) {
+  const groups = [];
+  sorted.forEach((item) => {
+    const current = groups[groups.length - 1];
+    if (current && equal(current[0], item)) current.push(item);
+    else groups.push([item]);
+  });
+  return groups;
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+module.exports = { computeStandings, outcomes, TIEBREAKERS: TIEBREAKERS.map((t) => t.name) };
@@ -0,0 +1,197 @@
+/**
+ * Bird League — Species taxonomy
+ *
+ * Checks the free-text `species` of a submission against the checklist
+ * bundled in taxonomy/birds.json, offline. identify() returns a taxon:
+ *   { status, common, scientific, genus, group, qualifiers, suggestions }
+ *
+ * status:
+ *   species       a common or scientific name on the checklist, or an alias
+ *   fuzzy         a close misspelling of one species; canonical names filled in
+ *   genus         only a genus ("Buteo") or a group ("Hawk", "Gull")
+ *   unidentified  no bird named ("None", "Nest")
+ *   unrecognized  not on the checklist; `suggestions` lists the nearest names.
+ *                 The checklist is a subset, so this is no verdict on the bird:
+ *                 judges see the name as submitted and rules ignore it.
+ *
+ * Words like "juvenile" or "pair" are set aside as `qualifiers`, so
+ * "Hooded Merganser pair" is still a Hooded Merganser. The canonical name is
+ * stored next to the raw text and label() is what the judges see.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TAXONOMY_PATH = path.join(__dirname, "taxonomy", "birds.json");
+
+const QUALIFIERS = new Set([
+  "juvenile", "juv", "immature", "adult", "male", "female", "pair", "flock", "baby",
+  "chick", "fledgling", "nestling", "breeding", "nonbreeding", "leucistic",
+]);
+const FILLERS = new Set(["a", "an", "the", "of", "some", "several", "many", "two", "three", "four", "five"]);
+
+const MAX_SUGGESTIONS = 5;
+const SUGGEST_SIMILARITY = 0.5;
+const FUZZY_SIMILARITY = 0.85;
+
+let index = null;
+
+/** Lowercase, drop apostrophes and punctuation, hyphens become spaces */
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/['’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function load() {
+  if (index) return index;
+  const data = JSON.parse(fs.readFileSync(TAXONOMY_PATH, "utf8"));
+  index = { byName: new Map(), byScientific: new Map(), byGenus: new Map(), byGroup: new Map(), names: [] };
+  for (const [common, scientific] of data.species) {
+    const entry = { common, scientific, genus: scientific.split(" ")[0] };
+    const name = normalize(common);
+    index.byName.set(name, entry);
+    index.byScientific.set(normalize(scientific), entry);
+    push(index.byGenus, entry.genus.toLowerCase(), entry);
+    push(index.byGroup, name.split(" ").pop(), entry);
+    index.names.push({ name, entry });
+  }
+  for (const [alias, common] of Object.entries(data.aliases || {})) {
+    const entry = index.byName.get(normalize(common));
+    if (!entry) throw new Error(`Taxonomy alias ${alias} points at unknown species ${common}`);
+    index.byName.set(normalize(alias), entry);
+    index.names.push({ name: normalize(alias), entry });
+  }
+  index.unidentified = new Set((data.unidentified || []).map(normalize));
+  return index;
+}
+
+function push(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+// "geese" → "goose", "finches" → "finch", "mergansers" → "merganser"
+function singulars(word) {
+  const forms = [word];
+  if (word === "geese") forms.push("goose");
+  if (/ies$/.test(word)) forms.push(word.replace(/ies$/, "y"));
+  if (/(ch|sh|ss|x)es$/.test(word)) forms.push(word.replace(/es$/, ""));
+  if (/[^s]s$/.test(word)) forms.push(word.replace(/s$/, ""));
+  return forms;
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+}
+
+const named = (entry) => ({ common: entry.common, scientific: entry.scientific });
+
+/**
+ * Nearest checklist species to `text`, best first.
+ *
+ * @returns {Array<{ common, scientific, similarity }>}
+ */
+function suggest(text, limit = MAX_SUGGESTIONS) {
+  const query = normalize(text);
+  if (!query) return [];
+  const best = new Map();
+  for (const { name, entry } of load().names) {
+    const score = similarity(query, name);
+    if (score >= SUGGEST_SIMILARITY && score > (best.get(entry) || 0)) best.set(entry, score);
+  }
+  return [...best.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].common.localeCompare(b[0].common))
+    .slice(0, limit)
+    .map(([entry, score]) => ({ ...named(entry), similarity: Math.round(score * 100) / 100 }));
+}
+
+/**
+ * Check a species entry against the checklist.
+ *
+ * @param {string} text - What the member typed
+ * @returns {{ status: string, common: string|null, scientific: string|null,
+ *   genus: string|null, group: string|null, qualifiers: string[], suggestions: object[] }}
+ */
+function identify(text) {
+  const idx = load();
+  const words = normalize(text).split(" ").filter(Boolean);
+  const qualifiers = words.filter((w) => QUALIFIERS.has(w));
+  const core = words.filter((w) => !QUALIFIERS.has(w) && !FILLERS.has(w) && !/^\d+$/.test(w));
+  const taxon = (status, entry, extra = {}) => ({
+    status,
+    common: entry ? entry.common : null,
+    scientific: entry ? entry.scientific : null,
+    genus: entry ? entry.genus : null,
+    group: null,
+    qualifiers,
+    suggestions: [],
+    ...extra,
+  });
+
+  const phrase = core.join(" ");
+  if (!phrase || idx.unidentified.has(phrase)) return taxon("unidentified", null);
+
+  const last = core[core.length - 1];
+  for (const form of singulars(last)) {
+    const candidate = [...core.slice(0, -1), form].join(" ");
+    const entry = idx.byName.get(candidate) || idx.byScientific.get(candidate)
+      || (core.length === 3 && idx.byScientific.get(core.slice(0, 2).join(" "))); // subspecies
+    if (entry) return taxon("species", entry);
+  }
+
+  if (core.length === 1) {
+    const genus = idx.byGenus.get(last);
+    if (genus) return taxon("genus", null, { genus: genus[0].genus, suggestions: genus.slice(0, MAX_SUGGESTIONS).map(named) });
+    for (const form of singulars(last)) {
+      const group = idx.byGroup.get(form);
+      if (group) return taxon("genus", null, { group: form, suggestions: group.slice(0, MAX_SUGGESTIONS).map(named) });
+    }
+  }
+
+  const suggestions = suggest(phrase);
+  const [top, next] = suggestions;
+  if (top && top.similarity >= FUZZY_SIMILARITY && (!next || next.similarity < top.similarity)) {
+    return taxon("fuzzy", idx.byName.get(normalize(top.common)), { suggestions });
+  }
+  return taxon("unrecognized", null, { suggestions });
+}
+
+/**
+ * How a submission's species reads in the judge prompts: the canonical name
+ * when known, otherwise the raw text with a note on what's missing. Names
+ * the checklist doesn't know go through as submitted, so a rarity it lacks
+ * isn't marked down.
+ */
+function label(species, taxon) {
+  taxon = taxon || identify(species);
+  switch (taxon.status) {
+    case "species":
+    case "fuzzy": {
+      const canonical = `${taxon.common} (${taxon.scientific})`;
+      return normalize(species) === normalize(taxon.common) ? canonical : `${canonical}, submitted as "${species}"`;
+    }
+    case "genus":
+      return `${species} (identified only to ${taxon.genus ? `the genus ${taxon.genus}` : `"${taxon.group}"`}, not to species)`;
+    case "unidentified":
+      return `${species} (no bird identified)`;
+    default:
+      return species;
+  }
+}
+
+module.exports = { identify, suggest, label, normalize };
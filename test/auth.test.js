@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Week 1 takes submissions; week 2 is judged (1 beat 2) with appeals open
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-auth-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.ADMIN_SECRET = "test-secret";
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: {},
+    members: [1, 2, 3, 4].map((id) => ({ id, name: `Member ${id}` })),
+    schedule: [
+      { week: 1, status: "active", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }] },
+      { week: 2, status: "completed", appealsStatus: "open", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }] },
+    ],
+    submissions: [],
+    judgments: [{ id: "judgment-w2-1v2", week: 2, m1Id: 1, m2Id: 2, winner: "m1", summary: "The eagle won" }],
+    appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const { handleRequest } = require("../server");
+
+const ADMIN = "test-secret";
+let server;
+const tokens = {};
+
+test.before(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function request(method, url, { token, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const req = http.request({ host: "127.0.0.1", port: server.address().port, method, path: url, headers }, (res) => {
+      let data = "";
+      res.on("data", (c) => (data += c));
+      res.on("end", () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on("error", reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+test("the admin issues tokens; only a hash is kept", async () => {
+  assert.strictEqual((await request("POST", "/api/admin/members/1/tokens", { body: {} })).status, 401);
+  for (const id of [1, 2]) {
+    const res = await request("POST", `/api/admin/members/${id}/tokens`, { token: ADMIN, body: { label: `phone ${id}` } });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.tokenHash, undefined);
+    tokens[id] = res.body.token;
+  }
+  assert.ok(!JSON.stringify(db.getFullDb().credentials).includes(tokens[1]));
+
+  const me = await request("GET", "/api/me", { token: tokens[1] });
+  assert.deepStrictEqual([me.status, me.body.member.id, me.body.label], [200, 1, "phone 1"]);
+  assert.strictEqual((await request("GET", "/api/me", { token: "not-a-token" })).status, 401);
+});
+
+test("a member can only submit for themselves", async () => {
+  const body = { species: "Bald Eagle", description: "Over the river" };
+  assert.strictEqual((await request("POST", "/api/submit/1/1", { body })).status, 401);
+
+  const other = await request("POST", "/api/submit/1/2", { token: tokens[1], body });
+  assert.deepStrictEqual([other.status, other.body.error], [403, "You can only submit for yourself"]);
+  assert.strictEqual(db.getSubmission(1, 2), null);
+
+  assert.strictEqual((await request("POST", "/api/submit/1/1", { token: tokens[1], body })).status, 201);
+  assert.strictEqual((await request("POST", "/api/submit/1/3", { token: ADMIN, body })).status, 201);
+  assert.strictEqual(db.getSubmissionHistory(1, 3).revisions[0].by, "commissioner");
+});
+
+test("only the loser appeals and only the winner defends", async () => {
+  const appealText = "The owl was cooler";
+  const byWinner = await request("POST", "/api/appeal/2/1/2", { token: tokens[1], body: { appealText } });
+  assert.strictEqual(byWinner.status, 403);
+  assert.strictEqual((await request("POST", "/api/appeal/2/1/2", { token: tokens[2], body: { appealText } })).status, 200);
+
+  const defenseText = "The eagle was cooler";
+  assert.strictEqual((await request("POST", "/api/defense/2/1/2", { token: tokens[2], body: { defenseText } })).status, 403);
+  assert.strictEqual((await request("POST", "/api/defense/2/1/2", { token: tokens[1], body: { defenseText } })).status, 200);
+});
+
+test("a revoked token stops working", async () => {
+  const res = await request("DELETE", "/api/admin/members/1/tokens", { token: ADMIN });
+  assert.deepStrictEqual(res.body, { status: "ok", removed: 1 });
+  assert.strictEqual((await request("GET", "/api/me", { token: tokens[1] })).status, 401);
+  assert.strictEqual((await request("GET", "/api/me", { token: tokens[2] })).status, 200);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// An empty season in a throwaway data directory; calls go to the mock provider
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-costs-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+delete process.env.JUDGE_PROVIDER;
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: {}, members: [], schedule: [],
+    submissions: [], judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const { createMeter, estimateCall, summarize, BudgetError } = require("../costs");
+const { callRole } = require("../providers");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+// 1000 tokens. Capricious runs on gemini-2.0-flash with an o4-mini fallback:
+// at worst $0.0005 on Gemini alone, $0.0187 if the fallback may run
+const PROMPT = "x".repeat(4000);
+const CONTEXT = { week: 1, m1Id: 1, m2Id: 2 };
+
+// Cap the season `usd` above what it has already spent
+function capAt(usd) {
+  const spent = summarize(db.getUsage()).costUsd;
+  db.updateSettings({ budget: { seasonLimitUsd: spent + usd } });
+}
+
+test("the worst case is priced for the providers that may take the call", () => {
+  assert.strictEqual(estimateCall("capricious", PROMPT, []), 0.0187);
+  assert.strictEqual(estimateCall("capricious", PROMPT, [], "mock"), 0.0005);
+});
+
+test("a call pinned to one provider is budgeted for that provider only", async () => {
+  capAt(0.001);
+  const meter = createMeter(db, CONTEXT);
+  assert.throws(() => meter.before("capricious", PROMPT, []), BudgetError);
+  const reply = await callRole("capricious", PROMPT, [], { provider: "mock", meter });
+  meter.flush();
+  assert.strictEqual(reply.provider, "mock");
+  assert.strictEqual(meter.calls.length, 1);
+});
+
+test("calls in flight are reserved until their meter flushes", () => {
+  capAt(0.0009);
+  const first = createMeter(db, CONTEXT);
+  const second = createMeter(db, CONTEXT);
+  first.before("capricious", PROMPT, [], "mock");
+  assert.throws(() => second.before("capricious", PROMPT, [], "mock"), /spent or in flight/);
+
+  first.flush();
+  second.before("capricious", PROMPT, [], "mock");
+  second.flush();
+});
+
+test("calls that cost more than reserved top the reservation up", () => {
+  capAt(0.019);
+  const first = createMeter(db, CONTEXT);
+  const second = createMeter(db, CONTEXT);
+  first.before("capricious", PROMPT, [], "mock");
+  // The reply ran to o4-mini's full output after all
+  first.after({ role: "capricious", provider: "openai", model: "o4-mini", inputTokens: 1000, outputTokens: 4000, images: 0 });
+  assert.throws(() => second.before("capricious", PROMPT, [], "mock"), BudgetError);
+
+  first.flush();
+  db.updateSettings({ budget: { seasonLimitUsd: null } });
+  second.before("capricious", PROMPT, [], "mock");
+  second.flush();
+});
+
+test("a failed attempt the provider billed is recorded alongside the fallback", async () => {
+  // An OpenAI-compatible server that blocks every reply after charging for it
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({
+        choices: [{ finish_reason: "content_filter", message: { content: "" } }],
+        usage: { prompt_tokens: 1000, completion_tokens: 20 },
+      }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const config = path.join(DATA_DIR, "judges.json");
+  fs.writeFileSync(config, JSON.stringify({
+    providers: { filtered: { type: "openai", baseUrl: `http://127.0.0.1:${server.address().port}`, apiKeyEnv: null } },
+    roles: { capricious: { provider: "filtered", model: "gpt-4o-mini", fallback: [{ provider: "mock", model: "gemini-2.0-flash" }] } },
+  }));
+  process.env.JUDGES_CONFIG = config;
+
+  try {
+    const meter = createMeter(db, CONTEXT);
+    const reply = await callRole("capricious", PROMPT, [], { meter });
+    assert.strictEqual(reply.provider, "mock");
+    const [blocked, answered] = meter.calls;
+    assert.deepStrictEqual(
+      [blocked.provider, blocked.inputTokens, blocked.outputTokens, blocked.failed, blocked.error, blocked.cost],
+      ["filtered", 1000, 20, true, "content_policy", 0.000162],
+    );
+    assert.strictEqual(answered.failed, undefined);
+
+    const before = db.getUsage().length;
+    meter.flush();
+    assert.strictEqual(db.getUsage().length, before + 2);
+  } finally {
+    delete process.env.JUDGES_CONFIG;
+    server.close();
+  }
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Week 1 is over: 1 vs 2 has one submission, 3 vs 4 and 7 vs 8 have none, and
+// 5's bird broke a league rule. Week 2 still takes submissions.
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-forfeits-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.JUDGE_PROVIDER = "mock";
+const sub = (week, memberId, species, extra = {}) => ({ week, memberId, species, description: "Seen today", mediaFiles: [], ...extra });
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: {},
+    members: [1, 2, 3, 4, 5, 6, 7, 8].map((id) => ({ id, name: `Member ${id}` })),
+    schedule: [
+      { week: 1, status: "completed", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }, { m1: 5, m2: 6 }, { m1: 7, m2: 8 }] },
+      { week: 2, status: "active", matchups: [{ m1: 1, m2: 2 }] },
+    ],
+    submissions: [
+      sub(1, 1, "Bald Eagle"),
+      sub(1, 5, "Rock Pigeon", { forfeit: { rule: "no-repeats", reason: "You already submitted Rock Pigeon in week 0" } }),
+      sub(1, 6, "Snowy Owl"),
+    ],
+    judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const { judgeWeekMatchup } = require("../judge");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test("a lone submitter wins by forfeit once the week is over", async () => {
+  const { outcome, judgment } = await judgeWeekMatchup(1, { m1: 1, m2: 2 });
+  assert.strictEqual(outcome, "forfeit");
+  assert.deepStrictEqual([judgment.winner, judgment.forfeit], ["m1", "m2"]);
+  assert.strictEqual(judgment.summary, "Member 1 wins by forfeit — Member 2 did not submit.");
+  assert.strictEqual(judgment.claude, null);
+  assert.strictEqual(db.getJudgmentHistory(1, 1, 2).revisions[0].kind, "forfeit");
+
+  const standings = Object.fromEntries(db.getStandings().map((r) => [r.id, r]));
+  assert.deepStrictEqual([standings[1].forfeitWins, standings[2].forfeitLosses], [1, 1]);
+});
+
+test("a bird that broke a league rule forfeits with the rule's reason", async () => {
+  const { judgment } = await judgeWeekMatchup(1, { m1: 5, m2: 6 });
+  assert.deepStrictEqual([judgment.winner, judgment.forfeit], ["m2", "m1"]);
+  assert.match(judgment.summary, /Member 5 broke a league rule: You already submitted Rock Pigeon/);
+  assert.strictEqual(judgment.m1sub.species, "Rock Pigeon");
+});
+
+test("a double no-show is a double loss, or skipped when the policy says so", async () => {
+  db.updateSettings({ forfeits: { doubleNoShow: "skip" } });
+  assert.deepStrictEqual(await judgeWeekMatchup(1, { m1: 7, m2: 8 }), { outcome: "skipped", judgment: null });
+  assert.strictEqual(db.getJudgment(1, 7, 8), null);
+
+  db.updateSettings({ forfeits: { doubleNoShow: "double_loss" } });
+  const { judgment } = await judgeWeekMatchup(1, { m1: 3, m2: 4 });
+  assert.deepStrictEqual([judgment.winner, judgment.forfeit], [null, "both"]);
+  assert.strictEqual(judgment.summary, "Neither side submitted a bird. Double loss.");
+  const standings = Object.fromEntries(db.getStandings().map((r) => [r.id, r]));
+  assert.deepStrictEqual([standings[3].l, standings[4].l, standings[3].t], [1, 1, 0]);
+});
+
+test("nothing is forfeited while the week is open or with forfeits off", async () => {
+  assert.strictEqual((await judgeWeekMatchup(2, { m1: 1, m2: 2 })).outcome, "skipped");
+
+  db.updateSettings({ forfeits: { enabled: false } });
+  db.deleteJudgments(1, 1, 2);
+  assert.strictEqual((await judgeWeekMatchup(1, { m1: 1, m2: 2 })).outcome, "skipped");
+  db.updateSettings({ forfeits: { enabled: true } });
+});
+
+test("the comedic ruling is written for the lone submitter and metered", async () => {
+  db.updateSettings({ forfeits: { comedicRuling: true } });
+  const { judgment } = await judgeWeekMatchup(1, { m1: 1, m2: 2 });
+  assert.match(judgment.claude.ruling, /^JUDGMENT OF THE COURT/);
+  assert.ok(judgment.promptVersions.forfeit);
+  assert.strictEqual(judgment.usage.calls, 1);
+  assert.strictEqual(db.getUsage().at(-1).step, "forfeit");
+});
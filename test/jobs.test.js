@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Judged offline. The mock provider fails fast here (no retries, no circuit
+// breaker) so failure runs stay short and don't trip later tests.
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-jobs-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.JUDGE_PROVIDER = "mock";
+process.env.JUDGES_CONFIG = path.join(DATA_DIR, "judges.json");
+fs.writeFileSync(process.env.JUDGES_CONFIG, JSON.stringify({ providers: { mock: { retries: 0, breakerThreshold: 1000 } } }));
+const sub = (week, memberId, species) => ({ week, memberId, species, description: "Seen today", mediaFiles: [] });
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: { forfeits: { doubleNoShow: "skip" } },
+    members: [1, 2, 3, 4].map((id) => ({ id, name: `Member ${id}` })),
+    schedule: [1, 2, 3].map((week) => ({ week, status: "completed", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }] })),
+    submissions: [1, 2, 3].flatMap((week) => [sub(week, 1, "Bald Eagle"), sub(week, 2, "Snowy Owl")]),
+    judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const jobs = require("../jobs");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test("a job judges each matchup and reports how each one went", async () => {
+  const job = jobs.createJudgeJob(1);
+  assert.strictEqual(job.status, "queued");
+  assert.strictEqual(jobs.createJudgeJob(1).id, job.id); // one active job per week
+
+  const done = await jobs.waitForJob(job.id);
+  assert.strictEqual(done.status, "done");
+  assert.deepStrictEqual(done.matchups.map((m) => [m.status, m.outcome]), [["done", "judged"], ["skipped", "skipped"]]);
+  assert.strictEqual(done.matchups[0].judgmentId, db.getJudgment(1, 1, 2).id);
+  assert.ok(done.startedAt && done.finishedAt);
+  assert.throws(() => jobs.createJudgeJob(9), /Week 9 not found/);
+});
+
+test("failed matchups are counted by kind and can be retried", async () => {
+  process.env.MOCK_JUDGE_MODE = "error";
+  let job = await jobs.waitForJob(jobs.createJudgeJob(2).id);
+  delete process.env.MOCK_JUDGE_MODE;
+  assert.strictEqual(job.status, "failed");
+  assert.deepStrictEqual(job.errorKinds, { transient: 1 });
+  assert.match(job.error, /1 matchup\(s\) failed \(transient: 1\)/);
+  assert.strictEqual(job.matchups[0].status, "failed");
+
+  job = jobs.retryJob(job.id);
+  assert.strictEqual(job.status, "queued");
+  job = await jobs.waitForJob(job.id);
+  assert.strictEqual(job.status, "done");
+  assert.deepStrictEqual(job.matchups.map((m) => m.status), ["done", "skipped"]);
+});
+
+test("a queued job can be cancelled", async () => {
+  const job = jobs.createJudgeJob(3);
+  assert.strictEqual(jobs.cancelJob(job.id).status, "cancelled");
+  assert.strictEqual((await jobs.waitForJob(job.id)).status, "cancelled");
+  assert.strictEqual(db.getJudgment(3, 1, 2), null);
+});
+
+test("jobs interrupted by a restart resume where they stopped", async () => {
+  const file = path.join(DATA_DIR, "jobs.json");
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  const job = stored.find((j) => j.week === 3);
+  Object.assign(job, { status: "running", finishedAt: null });
+  job.matchups[0].status = "calling_gemini";
+  job.matchups[1].status = "skipped";
+  fs.writeFileSync(file, JSON.stringify(stored));
+
+  jobs.resumeJobs();
+  assert.strictEqual(jobs.getJob(job.id).matchups[0].status, "pending");
+  const done = await jobs.waitForJob(job.id);
+  assert.strictEqual(done.status, "done");
+  assert.deepStrictEqual(done.matchups.map((m) => m.outcome), ["judged", null]);
+});
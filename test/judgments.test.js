@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// A one-matchup season in a throwaway data directory, judged offline
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-judgments-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.JUDGE_PROVIDER = "mock";
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: {},
+    members: [{ id: 1, name: "Avery" }, { id: 2, name: "Blake" }],
+    schedule: [{ week: 1, status: "completed", matchups: [{ m1: 1, m2: 2 }] }],
+    submissions: [
+      { week: 1, memberId: 1, species: "Bald Eagle", description: "Over the river", mediaFiles: [] },
+      { week: 1, memberId: 2, species: "Snowy Owl", description: "On a fence post", mediaFiles: [] },
+    ],
+    judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const judge = require("../judge");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+function ruling(winner, summary) {
+  return {
+    id: "judgment-w1-1v2", week: 1, m1Id: 1, m2Id: 2, winner, summary,
+    m1sub: { species: "Bald Eagle", desc: "Over the river" },
+    m2sub: { species: "Snowy Owl", desc: "On a fence post" },
+    claude: { ruling: `The court rules for ${summary}`, scores: null },
+    scoring: { totals: winner === "m1" ? { m1: 30, m2: 20 } : { m1: 20, m2: 30 }, winner },
+  };
+}
+
+test("every save is a numbered revision and a revert restores an old one", () => {
+  db.saveJudgment(ruling("m1", "the eagle"));
+  db.saveJudgment(ruling("m2", "the owl"));
+  let { current, revisions } = db.getJudgmentHistory(1, 1, 2);
+  assert.deepStrictEqual(revisions.map((r) => [r.rev, r.kind, r.by]), [[1, "ruling", "ai"], [2, "rejudge", "ai"]]);
+  assert.strictEqual(current.winner, "m2");
+
+  db.revertJudgment(1, 1, 2, 1);
+  ({ current, revisions } = db.getJudgmentHistory(1, 1, 2));
+  assert.strictEqual(current.winner, "m1");
+  assert.deepStrictEqual(revisions.at(-1), { ...revisions.at(-1), rev: 3, kind: "revert", revertedTo: 1 });
+  assert.throws(() => db.revertJudgment(1, 1, 2, 9), /Revision 9 not found/);
+});
+
+test("deleting a judgment keeps its history and can be reverted", () => {
+  assert.strictEqual(db.deleteJudgments(1, 1, 2), 1);
+  const { current, revisions } = db.getJudgmentHistory(1, 1, 2);
+  assert.strictEqual(current, null);
+  assert.strictEqual(revisions.at(-1).kind, "deleted");
+  assert.strictEqual(revisions.at(-1).judgment, null);
+  assert.throws(() => db.revertJudgment(1, 1, 2, revisions.at(-1).rev), /is a deletion/);
+
+  db.revertJudgment(1, 1, 2, 2);
+  assert.strictEqual(db.getJudgment(1, 1, 2).winner, "m2");
+});
+
+test("an appeal that flips the winner rewrites the ruling and summary", async () => {
+  // The mock judge is deterministic per seed; find one where the appeal overturns
+  let overturned = null;
+  for (let seed = 1; seed <= 20 && !overturned; seed++) {
+    process.env.MOCK_JUDGE_SEED = String(seed);
+    db.saveJudgment(ruling("m1", "the eagle"));
+    const result = await judge.judgeAppeal(1, 1, 2, db.getJudgment(1, 1, 2), { appealText: "The owl was cooler" });
+    if (result.appealRuling.overturned) overturned = result;
+    else assert.strictEqual(result.summary, "the eagle");
+  }
+  delete process.env.MOCK_JUDGE_SEED;
+
+  assert.ok(overturned, "no seed overturned the ruling");
+  assert.strictEqual(overturned.winner, "m2");
+  assert.deepStrictEqual([overturned.appealRuling.previousWinner, overturned.appealRuling.newWinner], ["m1", "m2"]);
+  assert.match(overturned.summary, /^The Snowy Owl won because/);
+  assert.strictEqual(overturned.claude.ruling, overturned.appealRuling.ruling);
+  assert.strictEqual(overturned.scoring, undefined);
+  assert.ok(overturned.promptVersions.summary);
+
+  // The overturned ruling is still in the history
+  const { revisions } = db.getJudgmentHistory(1, 1, 2);
+  assert.strictEqual(revisions.at(-1).kind, "appeal");
+  assert.strictEqual(revisions.at(-2).judgment.summary, "the eagle");
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Keep db.json and uploads out of the repo's data directory. Ann plays week 3
+// in both seasons: it is over in Season 1 and still open in Season 2.
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-media-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+const member = { id: 4, name: "Ann O'Lee" };
+const OLD_URL = "/api/media/3/4/old.jpg"; // from before seasons were in the path
+const season = (id, status, mediaFiles) => ({
+  id, name: `Season ${id}`, status: "active", settings: {},
+  members: [member, { id: 5, name: "Bo" }],
+  schedule: [{ week: 3, status, matchups: [{ m1: 4, m2: 5 }] }],
+  submissions: [{ week: 3, memberId: 4, species: "Barn Owl", description: "", mediaFiles }],
+  judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+});
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 2,
+  credentials: [],
+  seasons: [
+    season(1, "completed", [OLD_URL, "/api/media/1/3/4/one.jpg"]),
+    season(2, "active", ["/api/media/2/3/4/two.jpg"]),
+  ],
+}));
+const media = require("../media");
+const { handleRequest } = require("../server");
+
+const MEDIA_DIR = path.join(DATA_DIR, "submissions");
+let server;
+
+test.before(async () => {
+  for (const [dir, file] of [["week-3", "old.jpg"], ["season-1/week-3", "one.jpg"], ["season-2/week-3", "two.jpg"]]) {
+    fs.mkdirSync(path.join(MEDIA_DIR, dir, "Ann_O_Lee"), { recursive: true });
+    fs.writeFileSync(path.join(MEDIA_DIR, dir, "Ann_O_Lee", file), file);
+  }
+  server = http.createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: "127.0.0.1", port: server.address().port, path: url }, (res) => {
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+    }).on("error", reject);
+  });
+}
+
+test("resolve() finds a file in the member's week folder", () => {
+  assert.strictEqual(media.resolve(3, member, "owl.jpg"), path.join(MEDIA_DIR, "week-3", "Ann_O_Lee", "owl.jpg"));
+  assert.strictEqual(media.resolve("12", member, "owl.thumb.jpg"), path.join(MEDIA_DIR, "week-12", "Ann_O_Lee", "owl.thumb.jpg"));
+});
+
+test("resolve() refuses anything outside that folder", () => {
+  const escapes = [
+    [3, "../owl.jpg"],
+    [3, "../Bob/owl.jpg"],
+    [3, "../../../db.json"],
+    [3, "/etc/passwd"],
+    [3, "nested/owl.jpg"],
+    [3, ""],
+    [3, "."],
+    ["3/../4", "owl.jpg"],
+    ["../3", "owl.jpg"],
+    ["-1", "owl.jpg"],
+    ["1e3", "owl.jpg"],
+  ];
+  for (const [week, filename] of escapes) {
+    assert.strictEqual(media.resolve(week, member, filename), null, `${week} ${filename}`);
+  }
+});
+
+test("resolve() can't be steered by the member's name", () => {
+  const file = media.resolve(3, { id: 9, name: "../../.." }, "db.json");
+  assert.strictEqual(path.dirname(file), path.join(MEDIA_DIR, "week-3", "________"));
+});
+
+test("resolve() puts a season's uploads in its own folder", () => {
+  assert.strictEqual(media.resolve(3, member, "owl.jpg", 2), path.join(MEDIA_DIR, "season-2", "week-3", "Ann_O_Lee", "owl.jpg"));
+  assert.strictEqual(media.memberDir(3, member, 2), path.join(MEDIA_DIR, "season-2", "week-3", "Ann_O_Lee"));
+  assert.strictEqual(media.resolve(3, member, "owl.jpg", "../1"), null);
+});
+
+test("urlSeason() reads the season from the URL, or finds who uses an old one", () => {
+  assert.strictEqual(media.urlSeason("/api/media/1/3/4/one.jpg"), 1);
+  assert.strictEqual(media.urlSeason(OLD_URL), 1);
+  assert.strictEqual(media.urlSeason("/api/media/3/4/unused.jpg"), 2);
+  assert.strictEqual(media.urlSeason("/api/other/3/4/x.jpg"), null);
+  assert.strictEqual(media.filePath("/api/media/1/3/4/one.jpg"), path.join(MEDIA_DIR, "season-1", "week-3", "Ann_O_Lee", "one.jpg"));
+  assert.strictEqual(media.filePath(OLD_URL), path.join(MEDIA_DIR, "week-3", "Ann_O_Lee", "old.jpg"));
+});
+
+test("media is blind by the week of its own season", async () => {
+  assert.strictEqual(await get("/api/media/2/3/4/two.jpg"), 403);
+  assert.strictEqual(await get("/api/media/1/3/4/one.jpg"), 200);
+  assert.strictEqual(await get(OLD_URL), 200);
+  assert.strictEqual(await get("/api/media/9/3/4/one.jpg"), 404);
+  assert.strictEqual(await get("/api/media/1/3/4/two.jpg"), 404);
+});
+
+test("a member's quota counts uploads in every season", () => {
+  assert.strictEqual(media.memberUsage(member), "old.jpg".length + "one.jpg".length + "two.jpg".length);
+});
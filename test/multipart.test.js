@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { parseMultipart, sniff, UploadError } = require("../multipart");
+
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(60, 1)]);
+const PNG = Buffer.concat([Buffer.from("\x89PNG\r\n\x1a\n", "latin1"), Buffer.alloc(60, 2)]);
+const WAV = Buffer.concat([Buffer.from("RIFF\0\0\0\0WAVEfmt ", "latin1"), Buffer.alloc(60, 3)]);
+const BOUNDARY = "----birdleague";
+
+let uploadDir, server, limits;
+
+// Each request is parsed with the `limits` in effect when it is sent
+test.before(async () => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "bl-multipart-"));
+  server = http.createServer((req, res) => {
+    parseMultipart(req, uploadDir, limits).then(
+      (result) => send(res, 200, result),
+      (err) => send(res, err instanceof UploadError ? err.status : 500, { error: err.message }),
+    );
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  limits = {};
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", Connection: "close" });
+  res.end(JSON.stringify(body));
+}
+
+function body(parts) {
+  const chunks = parts.map(({ name, filename, type = "application/octet-stream", data }) => {
+    const disposition = `form-data; name="${name}"${filename !== undefined ? `; filename="${filename}"` : ""}`;
+    const headers = `--${BOUNDARY}\r\nContent-Disposition: ${disposition}\r\n${filename !== undefined ? `Content-Type: ${type}\r\n` : ""}\r\n`;
+    return Buffer.concat([Buffer.from(headers), Buffer.from(data), Buffer.from("\r\n")]);
+  });
+  return Buffer.concat([...chunks, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+}
+
+function post(parts) {
+  const payload = body(parts);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: "127.0.0.1",
+      port: server.address().port,
+      method: "POST",
+      headers: { "Content-Type": `multipart/form-data; boundary=${BOUNDARY}`, "Content-Length": payload.length },
+    }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+// Failed uploads are removed once their streams close, just after the response
+async function savedFiles() {
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  return fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : [];
+}
+
+test("sniff() goes by content, not name", () => {
+  assert.deepStrictEqual(sniff(JPEG), { mime: "image/jpeg", ext: ".jpg" });
+  assert.deepStrictEqual(sniff(PNG), { mime: "image/png", ext: ".png" });
+  assert.deepStrictEqual(sniff(WAV), { mime: "audio/wav", ext: ".wav" });
+  assert.deepStrictEqual(sniff(Buffer.from("\0\0\0\x18ftypM4A \0\0\0\0", "latin1")), { mime: "audio/mp4", ext: ".m4a" });
+  assert.strictEqual(sniff(Buffer.from("<html><body>bird</body></html>")), null);
+  assert.strictEqual(sniff(Buffer.from([0xff, 0xd8])), null);
+});
+
+test("parses fields and saves files under their sniffed extension", async () => {
+  const { status, body: result } = await post([
+    { name: "species", data: "Snowy Owl" },
+    { name: "photo", filename: "owl.png", type: "image/png", data: JPEG },
+    { name: "call", filename: "call.mp3", type: "audio/mpeg", data: WAV },
+    { name: "extra", filename: "", data: "" },
+  ]);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(result.fields, { species: "Snowy Owl" });
+  assert.deepStrictEqual(result.files.map((f) => [f.fieldName, f.originalName, f.mimeType, path.extname(f.savedName), f.size]), [
+    ["photo", "owl.png", "image/jpeg", ".jpg", JPEG.length],
+    ["call", "call.mp3", "audio/wav", ".wav", WAV.length],
+  ]);
+  assert.ok(fs.readFileSync(result.files[0].savedPath).equals(JPEG));
+});
+
+test("refuses unrecognized and disallowed types with 415", async () => {
+  let res = await post([{ name: "photo", filename: "owl.jpg", type: "image/jpeg", data: "<script>alert(1)</script>" }]);
+  assert.deepStrictEqual([res.status, res.body.error], [415, "owl.jpg: unrecognized files aren't accepted"]);
+
+  limits = { allowedTypes: ["image/jpeg"] };
+  res = await post([
+    { name: "photo", filename: "owl.jpg", data: JPEG },
+    { name: "call", filename: "call.wav", data: WAV },
+  ]);
+  assert.deepStrictEqual([res.status, res.body.error], [415, "call.wav: audio/wav files aren't accepted"]);
+  assert.deepStrictEqual(await savedFiles(), []);
+});
+
+test("enforces size and count limits with 413 and keeps nothing", async () => {
+  const cases = [
+    [{ maxFileBytes: 32 }, [{ name: "photo", filename: "a.jpg", data: JPEG }], /a\.jpg is larger than/],
+    [{ maxFiles: 1 }, [{ name: "a", filename: "a.jpg", data: JPEG }, { name: "b", filename: "b.png", data: PNG }], /At most 1 files/],
+    [{ maxFieldBytes: 4 }, [{ name: "notes", data: "a long note" }], /Field notes is larger/],
+    [{ quotaBytes: 100 }, [{ name: "a", filename: "a.jpg", data: JPEG }, { name: "b", filename: "b.png", data: PNG }], /storage quota/],
+    [{ maxRequestBytes: 100 }, [{ name: "a", filename: "a.jpg", data: JPEG }], /Request is larger/],
+  ];
+  for (const [caseLimits, parts, message] of cases) {
+    limits = caseLimits;
+    const { status, body: result } = await post(parts);
+    assert.strictEqual(status, 413, JSON.stringify(caseLimits));
+    assert.match(result.error, message);
+    assert.deepStrictEqual(await savedFiles(), [], JSON.stringify(caseLimits));
+  }
+});
+
+test("rejects a body without a closing boundary", async () => {
+  const payload = body([{ name: "photo", filename: "a.jpg", data: JPEG }]).subarray(0, -12);
+  const res = await new Promise((resolve, reject) => {
+    const req = http.request({
+      host: "127.0.0.1",
+      port: server.address().port,
+      method: "POST",
+      headers: { "Content-Type": `multipart/form-data; boundary=${BOUNDARY}` },
+    }, (r) => {
+      r.resume();
+      r.on("end", () => resolve(r.statusCode));
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+  assert.strictEqual(res, 400);
+  assert.deepStrictEqual(await savedFiles(), []);
+});
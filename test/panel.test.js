@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// A panel-mode season judged offline by the mock provider
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-panel-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.JUDGE_PROVIDER = "mock";
+const sub = (memberId, species) => ({ week: 1, memberId, species, description: "Seen today", mediaFiles: [] });
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active",
+    settings: { judging: { mode: "panel", panel: ["rational", "capricious", "synthesis"], opinionRole: "synthesis" } },
+    members: [1, 2, 3, 4].map((id) => ({ id, name: `Member ${id}` })),
+    schedule: [{ week: 1, status: "completed", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }] }],
+    submissions: [sub(1, "Bald Eagle"), sub(2, "Snowy Owl"), sub(3, "Osprey"), sub(4, "Barn Owl")],
+    judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const { decidePanel, judgeWeekMatchup } = require("../judge");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const votes = (...picks) => picks.map((pick) => ({ pick, scores: null }));
+
+test("decidePanel() counts votes and abstentions; the majority wins", () => {
+  assert.deepStrictEqual(decidePanel(votes("m2", "m1", "m2"), null), {
+    tally: { m1: 1, m2: 2, abstain: 0 }, scored: null, winner: "m2", decidedBy: "vote",
+  });
+  assert.deepStrictEqual(decidePanel(votes("m1", null, "m1", "m2", null), null).tally, { m1: 2, m2: 1, abstain: 2 });
+  assert.strictEqual(decidePanel(votes("m1", null, "m2"), null).winner, null);
+  assert.strictEqual(decidePanel(votes(null, null, null), null).decidedBy, null);
+});
+
+test("every panel judge votes and the opinion is written for the majority", async () => {
+  const { judgment } = await judgeWeekMatchup(1, { m1: 1, m2: 2 });
+  const { panel, dissents } = judgment;
+  assert.strictEqual(judgment.mode, "panel");
+  assert.deepStrictEqual(panel.votes.map((v) => v.role), ["rational", "capricious", "synthesis"]);
+  assert.strictEqual(panel.tally.m1 + panel.tally.m2 + panel.tally.abstain, 3);
+  assert.strictEqual(judgment.winner, panel.tally.m1 > panel.tally.m2 ? "m1" : "m2");
+  assert.strictEqual(panel.decidedBy, "vote");
+  assert.deepStrictEqual(dissents.map((d) => d.role), panel.votes.filter((v) => v.pick !== judgment.winner).map((v) => v.role));
+  assert.ok(judgment.models.opinion);
+  assert.ok(judgment.promptVersions.opinion);
+  assert.strictEqual(judgment.needsReview, undefined);
+});
+
+test("a panel with no majority is flagged for the commissioner", async () => {
+  process.env.MOCK_JUDGE_MODE = "malformed";
+  try {
+    const { judgment } = await judgeWeekMatchup(1, { m1: 3, m2: 4 });
+    assert.deepStrictEqual(judgment.panel.tally, { m1: 0, m2: 0, abstain: 3 });
+    assert.strictEqual(judgment.winner, null);
+    assert.strictEqual(judgment.needsReview.reason, "Panel split 0–0 (3 unreadable)");
+    assert.strictEqual(judgment.summary, "The panel is split. Awaiting the commissioner.");
+    assert.deepStrictEqual(judgment.dissents, []);
+  } finally {
+    delete process.env.MOCK_JUDGE_MODE;
+  }
+});
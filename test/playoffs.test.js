@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createBracket, advancePlayoffs, gameLocked, PlayoffError } = require("../playoffs");
+
+// Members 1–n, seeded in id order
+function season(n, opts) {
+  const standings = Array.from({ length: n }, (_, i) => ({ id: i + 1 }));
+  const s = { schedule: [], judgments: [], playoffs: createBracket(standings, opts) };
+  advancePlayoffs(s);
+  return s;
+}
+
+const lastWeek = (s) => s.schedule[s.schedule.length - 1];
+
+// Judge every matchup of a week for the member listed in `winners`
+function judgeWeek(s, week, winners, extra = {}) {
+  for (const { m1, m2 } of week.matchups) {
+    const winner = winners.includes(m1) ? "m1" : winners.includes(m2) ? "m2" : null;
+    judge(s, week.week, m1, m2, winner, extra);
+  }
+}
+
+function judge(s, week, m1Id, m2Id, winner, extra = {}) {
+  s.judgments = s.judgments.filter((j) => !(j.week === week && j.m1Id === m1Id && j.m2Id === m2Id));
+  s.judgments.push({ week, m1Id, m2Id, winner, ...extra });
+  advancePlayoffs(s);
+}
+
+test("seeds a bracket so the top seeds get byes", () => {
+  const s = season(6);
+  const [round] = s.playoffs.rounds;
+  assert.strictEqual(s.playoffs.byes, 2);
+  assert.deepStrictEqual(round.series.map((x) => [x.high.seed, x.low && x.low.seed]), [[1, null], [4, 5], [2, null], [3, 6]]);
+  assert.deepStrictEqual(lastWeek(s).matchups, [{ m1: 4, m2: 5 }, { m1: 3, m2: 6 }]);
+  assert.deepStrictEqual(lastWeek(s).playoff, { round: 1, name: "Quarterfinals", game: 1 });
+});
+
+test("advances single elimination to a champion", () => {
+  const s = season(4);
+  judgeWeek(s, lastWeek(s), [1, 3]);
+  assert.strictEqual(s.playoffs.rounds.length, 2);
+  assert.deepStrictEqual(lastWeek(s).matchups, [{ m1: 1, m2: 3 }]);
+
+  judgeWeek(s, lastWeek(s), [3]);
+  assert.strictEqual(s.playoffs.champion, 3);
+  assert.ok(s.playoffs.completedAt);
+  assert.strictEqual(s.schedule.length, 2);
+});
+
+test("plays a best-of series until one side has enough wins", () => {
+  const s = season(2, { bestOf: 3 });
+  judgeWeek(s, lastWeek(s), [1]);
+  assert.deepStrictEqual(lastWeek(s).matchups, [{ m1: 2, m2: 1 }]); // the m1 slot alternates
+  judgeWeek(s, lastWeek(s), [2]);
+  assert.strictEqual(lastWeek(s).playoff.game, 3);
+  judgeWeek(s, lastWeek(s), [2]);
+  assert.strictEqual(s.playoffs.champion, 2);
+});
+
+test("a rejudge before the next round is scheduled moves the bracket", () => {
+  const s = season(4);
+  const first = lastWeek(s);
+  judge(s, first.week, 1, 4, "m1");
+  judge(s, first.week, 1, 4, "m2"); // overturned on appeal
+  assert.strictEqual(s.playoffs.rounds[0].series[0].winner, 4);
+  judge(s, first.week, 2, 3, "m1");
+  assert.deepStrictEqual(lastWeek(s).matchups, [{ m1: 2, m2: 4 }]);
+});
+
+test("rejudging the final changes the champion", () => {
+  const s = season(2);
+  const final = lastWeek(s);
+  judge(s, final.week, 1, 2, "m1");
+  assert.strictEqual(s.playoffs.champion, 1);
+  judge(s, final.week, 1, 2, "m2");
+  assert.strictEqual(s.playoffs.champion, 2);
+  s.judgments = [];
+  advancePlayoffs(s);
+  assert.strictEqual(s.playoffs.champion, null);
+  assert.strictEqual(s.playoffs.completedAt, undefined);
+});
+
+test("a game the next round was built on can't change", () => {
+  const s = season(4);
+  const first = lastWeek(s);
+  judgeWeek(s, first, [1, 2]);
+  assert.ok(gameLocked(s.playoffs, first.week, 1, 4));
+  assert.ok(!gameLocked(s.playoffs, lastWeek(s).week, 1, 2));
+
+  assert.throws(() => judge(s, first.week, 1, 4, "m2"), PlayoffError);
+  s.judgments = s.judgments.filter((j) => j.week !== first.week);
+  assert.throws(() => advancePlayoffs(s), /already moved past it/);
+});
+
+test("a ruling with no single winner sends the higher seed through", () => {
+  const s = season(4);
+  const first = lastWeek(s);
+  judge(s, first.week, 1, 4, null, { forfeit: "both" });
+  judge(s, first.week, 2, 3, null, { commissionerRuling: { m1Result: "win", m2Result: "win" } });
+  const [a, b] = s.playoffs.rounds[0].series;
+  assert.deepStrictEqual([a.winner, b.winner], [1, 2]);
+  assert.ok(a.games[0].bySeed && b.games[0].bySeed);
+  assert.deepStrictEqual(lastWeek(s).matchups, [{ m1: 1, m2: 2 }]);
+});
+
+test("a commissioner's split ruling counts like any other win", () => {
+  const s = season(2);
+  judge(s, lastWeek(s).week, 1, 2, "m2", { commissionerRuling: { m1Result: "loss", m2Result: "win" } });
+  assert.strictEqual(s.playoffs.champion, 2);
+  assert.strictEqual(s.playoffs.rounds[0].series[0].games[0].bySeed, undefined);
+});
+
+test("a judgment flagged for review holds the bracket", () => {
+  const s = season(2);
+  const week = lastWeek(s).week;
+  judge(s, week, 1, 2, null, { needsReview: { reason: "Panel split 1–1" } });
+  assert.strictEqual(s.playoffs.rounds[0].series[0].games[0].winner, null);
+  assert.strictEqual(s.playoffs.champion, null);
+  assert.strictEqual(s.schedule.length, 1);
+
+  judge(s, week, 1, 2, "m2", { commissionerRuling: { m1Result: "loss", m2Result: "win" } });
+  assert.strictEqual(s.playoffs.champion, 2);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep db.json out of the repo's data directory
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-prompts-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+const prompts = require("../prompts");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const VARS = { M1_SPECIES: "Bald Eagle", M1_DESCRIPTION: "", M2_SPECIES: "Snowy Owl", M2_DESCRIPTION: "At dusk" };
+
+test("fillTemplate() fills every placeholder", () => {
+  const text = prompts.fillTemplate("{{M1_SPECIES}} ({{M1_DESCRIPTION}}) vs {{M2_SPECIES}}: {{M2_DESCRIPTION}}", VARS);
+  assert.strictEqual(text, "Bald Eagle ((none provided)) vs Snowy Owl: At dusk");
+});
+
+test("fillTemplate() inserts member text literally", () => {
+  const vars = { ...VARS, M1_DESCRIPTION: "$& {{M1_SPECIES}} $' $` $1 hmm" };
+  const text = prompts.fillTemplate("Encounter: {{M1_DESCRIPTION}}\nVs: {{M2_SPECIES}}", vars);
+  assert.strictEqual(text, "Encounter: $& {{M1_SPECIES}} $' $` $1 hmm\nVs: Snowy Owl");
+});
+
+test("fillTemplate() refuses missing placeholders and values", () => {
+  assert.throws(() => prompts.fillTemplate("{{M1_SPECIES}}", VARS, ["M2_SPECIES"]), /missing required placeholders: M2_SPECIES/);
+  assert.throws(() => prompts.fillTemplate("{{M1_SPECIES}} {{APPEAL_TEXT}}", VARS), /No value for placeholders: APPEAL_TEXT/);
+});
+
+test("render() of a draft fills the draft, not the saved template", () => {
+  const draft = "Judge {{M1_SPECIES}}: {{M1_DESCRIPTION}} against {{M2_SPECIES}}: {{M2_DESCRIPTION}}";
+  const vars = { ...VARS, M2_DESCRIPTION: "$' {{M1_SPECIES}}" };
+  const { text } = prompts.render("chatgpt", vars, { text: draft });
+  assert.strictEqual(text, "Judge Bald Eagle: (none provided) against Snowy Owl: $' {{M1_SPECIES}}");
+});
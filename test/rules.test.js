@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkSubmission, validateRules } = require("../rules");
+
+// The slice of the season API rules.js reads, over plain data. Member 1 plays
+// member 2 in week 3; member 2 had a Snowy Owl in week 1.
+function season(rules, { exemptions = [] } = {}) {
+  const submissions = [
+    { week: 1, memberId: 1, species: "Rock Pigeon" },
+    { week: 1, memberId: 2, species: "Snowy Owl" },
+    { week: 2, memberId: 2, species: "Osprey" },
+  ];
+  return {
+    getSettings: () => ({ rules }),
+    getSchedule: () => [1, 2, 3].map((week) => ({ week })),
+    getWeek: (week) => ({ week, matchups: [{ m1: 1, m2: 2 }] }),
+    getMember: (id) => ({ id, name: `Member ${id}` }),
+    getSubmission: (week, memberId) => submissions.find((s) => s.week === week && s.memberId === memberId) || null,
+    getExemptions: (week, memberId) => exemptions.filter((e) => e.week === week && e.memberId === memberId),
+  };
+}
+
+const check = (sdb, species) => checkSubmission(sdb, { week: 3, memberId: 1, species });
+
+test("repeat_species matches the checklist name, so an alias still repeats", () => {
+  const sdb = season([{ id: "no-repeats", type: "repeat_species" }]);
+  assert.deepStrictEqual(check(sdb, "Pigeon").violations, [{
+    rule: "no-repeats", type: "repeat_species", action: "reject", message: "You already submitted Rock Pigeon in week 1",
+  }]);
+  assert.deepStrictEqual(check(sdb, "Snowy Owl").violations, []);
+  assert.deepStrictEqual(check(sdb, "None").violations, []); // nothing to compare
+});
+
+test("opponent_species looks back the configured number of weeks", () => {
+  assert.deepStrictEqual(check(season([{ id: "copycat", type: "opponent_species" }]), "Snowy Owl").violations, []);
+  const [violation] = check(season([{ id: "copycat", type: "opponent_species", weeks: 2 }]), "Snowy Owl").violations;
+  assert.strictEqual(violation.message, "Your opponent Member 2 submitted Snowy Owl in week 1");
+});
+
+test("taxon_status refuses the listed statuses but never unrecognized birds", () => {
+  const sdb = season([{ id: "identify-it", type: "taxon_status", statuses: ["unidentified", "genus"] }]);
+  assert.strictEqual(check(sdb, "None").violations[0].message, '"None" is unidentified');
+  assert.strictEqual(check(sdb, "some gull").violations[0].message, '"some gull" is not identified to species');
+  assert.deepStrictEqual(check(season([{ id: "old", type: "taxon_status", statuses: ["unrecognized"] }]), "Zorblat").violations, []);
+});
+
+test("a rule's action and message are passed through; exemptions set it aside", () => {
+  const rule = { id: "no-repeats", type: "repeat_species", action: "forfeit", message: "Find a new bird" };
+  assert.deepStrictEqual(check(season([rule]), "Rock Pigeon").violations[0], {
+    rule: "no-repeats", type: "repeat_species", action: "forfeit", message: "Find a new bird",
+  });
+  const exempt = season([rule], { exemptions: [{ week: 3, memberId: 1, rule: "no-repeats" }] });
+  assert.deepStrictEqual(check(exempt, "Rock Pigeon"), { violations: [], exempted: ["no-repeats"] });
+});
+
+test("validateRules() checks ids, types, actions and options", () => {
+  assert.strictEqual(validateRules([{ id: "a", type: "repeat_species" }, { id: "b", type: "opponent_species", weeks: 3 }]), null);
+  assert.strictEqual(validateRules("nope"), "rules must be a list");
+  assert.strictEqual(validateRules([{ type: "repeat_species" }]), "Each rule needs an id");
+  assert.strictEqual(validateRules([{ id: "a", type: "repeat_species" }, { id: "a", type: "repeat_species" }]), "Rule a is listed twice");
+  assert.match(validateRules([{ id: "a", type: "bogus" }]), /^Rule a: type must be one of: repeat_species/);
+  assert.strictEqual(validateRules([{ id: "a", type: "repeat_species", action: "warn" }]), "Rule a: action must be: reject, forfeit");
+  assert.strictEqual(validateRules([{ id: "a", type: "opponent_species", weeks: 0 }]), "Rule a: weeks must be a positive whole number");
+  assert.match(validateRules([{ id: "a", type: "taxon_status", statuses: ["unrecognized"] }]), /^Rule a: statuses must list some of/);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { generateRoundRobin, validateMatchups, findByes } = require("../schedule");
+
+const roster = (n) => Array.from({ length: n }, (_, i) => i + 1);
+
+// m1 appearances minus m2 appearances, per member
+function sideBalance(schedule) {
+  const balance = new Map();
+  for (const { matchups } of schedule) {
+    for (const { m1, m2 } of matchups) {
+      balance.set(m1, (balance.get(m1) || 0) + 1);
+      balance.set(m2, (balance.get(m2) || 0) - 1);
+    }
+  }
+  return balance;
+}
+
+test("every pairing is played exactly once in a full round-robin", () => {
+  for (let n = 2; n <= 14; n++) {
+    const schedule = generateRoundRobin(roster(n));
+    const pairs = schedule.flatMap((w) => w.matchups.map(({ m1, m2 }) => [m1, m2].sort((a, b) => a - b).join("v")));
+    assert.strictEqual(schedule.length, n % 2 === 0 ? n - 1 : n, `${n} members`);
+    assert.strictEqual(new Set(pairs).size, (n * (n - 1)) / 2, `${n} members`);
+    assert.strictEqual(pairs.length, (n * (n - 1)) / 2, `${n} members`);
+  }
+});
+
+test("home/away is balanced to within one per member for rosters of 2–14", () => {
+  for (let n = 2; n <= 14; n++) {
+    for (const [id, diff] of sideBalance(generateRoundRobin(roster(n)))) {
+      assert.ok(Math.abs(diff) <= 1, `${n} members: member ${id} is off by ${diff}`);
+    }
+  }
+});
+
+test("a double round-robin is exactly even", () => {
+  for (let n = 2; n <= 14; n++) {
+    const rounds = n % 2 === 0 ? n - 1 : n;
+    const schedule = generateRoundRobin(roster(n), { weeks: rounds * 2, allowRematches: true });
+    for (const [id, diff] of sideBalance(schedule)) {
+      assert.strictEqual(diff, 0, `${n} members: member ${id} is off by ${diff}`);
+    }
+  }
+});
+
+test("odd rosters give one bye a week and everyone sits out once", () => {
+  const schedule = generateRoundRobin(roster(5));
+  assert.ok(schedule.every((w) => w.byes.length === 1 && w.matchups.length === 2));
+  assert.deepStrictEqual(schedule.map((w) => w.byes[0]).sort(), roster(5));
+  assert.ok(generateRoundRobin(roster(6)).every((w) => w.byes.length === 0));
+});
+
+test("more weeks than a round-robin needs allowRematches", () => {
+  assert.throws(() => generateRoundRobin(roster(4), { weeks: 4 }), /only have 3 weeks without rematches/);
+  assert.strictEqual(generateRoundRobin(roster(4), { weeks: 4, allowRematches: true }).length, 4);
+  assert.throws(() => generateRoundRobin([7, 7]), /at least two members/);
+});
+
+test("validateMatchups() reports bad, unknown and repeated members", () => {
+  const ids = roster(4);
+  assert.deepStrictEqual(validateMatchups([{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }], ids), []);
+  assert.deepStrictEqual(validateMatchups("nope", ids), ["matchups must be an array"]);
+  assert.deepStrictEqual(validateMatchups([{ m1: "1", m2: 9 }, { m1: 2, m2: 2 }], ids), [
+    "Matchup 1: m1 must be a member ID",
+    "Matchup 1: member 9 does not exist",
+    "Matchup 2: member 2 appears more than once this week",
+  ]);
+});
+
+test("findByes() lists members without a matchup", () => {
+  assert.deepStrictEqual(findByes([{ m1: 1, m2: 3 }], roster(4)), [2, 4]);
+});
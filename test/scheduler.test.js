@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Week 1 runs its whole timeline (judged offline); week 2 only opens appeals.
+// Members 3 and 4 never submit.
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-scheduler-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.JUDGE_PROVIDER = "mock";
+const PAST = "2024-01-01T00:00:00.000Z";
+const at = (hours) => new Date(Date.parse(PAST) + hours * 3600 * 1000).toISOString();
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: { forfeits: { doubleNoShow: "skip" } },
+    members: [1, 2, 3, 4].map((id) => ({ id, name: `Member ${id}` })),
+    schedule: [
+      {
+        week: 1, status: "upcoming", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }],
+        timeline: { opensAt: at(0), deadlineAt: at(1), appealsOpenAt: at(2), appealsCloseAt: at(3) },
+      },
+      { week: 2, status: "completed", matchups: [{ m1: 1, m2: 3 }, { m1: 2, m2: 4 }], timeline: { appealsOpenAt: at(2) } },
+    ],
+    submissions: [
+      { week: 1, memberId: 1, species: "Bald Eagle", description: "Over the river", mediaFiles: [] },
+      { week: 1, memberId: 2, species: "Snowy Owl", description: "On a fence post", mediaFiles: [] },
+      { week: 2, memberId: 1, species: "Osprey", description: "Diving", mediaFiles: [] },
+    ],
+    judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const scheduler = require("../scheduler");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+async function judged(weekNum) {
+  for (let i = 0; i < 200; i++) {
+    const { lifecycle = {} } = db.getWeek(weekNum);
+    if (lifecycle.judgedAt || lifecycle.judgeError) return lifecycle;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  throw new Error(`Week ${weekNum} was never judged`);
+}
+
+test("a week runs open → deadline → judging → appeals, each step once", async () => {
+  scheduler.tick(Date.parse(at(1.5)));
+  let week = db.getWeek(1);
+  assert.strictEqual(week.status, "completed");
+  assert.ok(week.lifecycle.openedAt && week.lifecycle.lockedAt);
+  assert.strictEqual(week.appealsStatus, undefined); // judging is still in flight
+
+  const lifecycle = await judged(1);
+  assert.strictEqual(lifecycle.judgeError, null);
+  assert.strictEqual(lifecycle.judgeAttempts, 1);
+  assert.strictEqual(db.getJudgmentsForWeek(1).length, 1); // 3 vs 4 was skipped
+
+  scheduler.tick(Date.parse(at(2.5)));
+  week = db.getWeek(1);
+  assert.strictEqual(week.appealsStatus, "open");
+  const openedAt = week.lifecycle.appealsOpenedAt;
+
+  scheduler.tick(Date.parse(at(4)));
+  week = db.getWeek(1);
+  assert.strictEqual(week.appealsStatus, "closed");
+  assert.strictEqual(week.lifecycle.appealsOpenedAt, openedAt);
+});
+
+test("a matchup that is neither judged nor a skipped no-show holds appeals", () => {
+  // Week 2: 1 vs 3 has a submission but no judgment; 2 vs 4 is a double no-show
+  scheduler.tick(Date.parse(at(2.5)));
+  assert.strictEqual(db.getWeek(2).appealsStatus, undefined);
+
+  db.saveJudgment({ id: "judgment-w2-1v3", week: 2, m1Id: 1, m2Id: 3, winner: "m1", forfeit: "m2", summary: "Forfeit" });
+  db.updateSettings({ forfeits: { doubleNoShow: "double_loss" } });
+  scheduler.tick(Date.parse(at(2.5)));
+  assert.strictEqual(db.getWeek(2).appealsStatus, undefined);
+
+  db.updateSettings({ forfeits: { doubleNoShow: "skip" } });
+  scheduler.tick(Date.parse(at(2.5)));
+  assert.strictEqual(db.getWeek(2).appealsStatus, "open");
+});
+
+test("validateTimeline() keeps the steps in order", () => {
+  assert.strictEqual(scheduler.validateTimeline({ opensAt: at(0), deadlineAt: at(1) }), null);
+  assert.match(scheduler.validateTimeline({ opensAt: at(1), deadlineAt: at(0) }), /opensAt must be before deadlineAt/);
+  assert.match(scheduler.validateTimeline({ deadlineAt: at(1), appealsOpenAt: at(0) }), /after judging/);
+  assert.match(scheduler.validateTimeline({ closesAt: at(0) }), /Unknown timeline field/);
+  assert.match(scheduler.validateTimeline({}), /no timestamps/);
+});
+
+test("moving a timestamp into the future lets its transition fire again", () => {
+  const future = new Date(Date.now() + 86400 * 1000).toISOString();
+  const { week } = scheduler.setTimeline(1, { appealsCloseAt: future });
+  assert.strictEqual(week.lifecycle.appealsClosedAt, undefined);
+  assert.ok(week.lifecycle.appealsOpenedAt);
+  assert.deepStrictEqual(scheduler.setTimeline(9, { opensAt: at(0) }), { error: "Week not found" });
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { scoreMatchup, validateScoring } = require("../scoring");
+
+// judge.js opens the database; keep it out of the repo's data directory
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-scoring-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+const { decidePanel } = require("../judge");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const SCORING = { enabled: true, max: 10, criteria: [{ name: "rarity", weight: 2 }, { name: "photo", weight: 1 }] };
+const card = (m1, m2) => ({ m1: { rarity: m1[0], photo: m1[1] }, m2: { rarity: m2[0], photo: m2[1] } });
+
+test("scoreMatchup() weights and averages complete scorecards", () => {
+  const result = scoreMatchup([card([8, 4], [5, 9]), card([6, 6], [5, 7]), { m1: { rarity: 10 } }], SCORING);
+  assert.deepStrictEqual(result.breakdown, { m1: { rarity: 7, photo: 5 }, m2: { rarity: 5, photo: 8 } });
+  assert.deepStrictEqual(result.totals, { m1: 19, m2: 18 });
+  assert.strictEqual(result.margin, 1);
+  assert.strictEqual(result.judges, 2);
+  assert.strictEqual(result.winner, "m1");
+});
+
+test("scoreMatchup() has no winner on equal totals and no result without a scorecard", () => {
+  assert.strictEqual(scoreMatchup([card([5, 2], [4, 4])], SCORING).winner, null);
+  assert.strictEqual(scoreMatchup([null, { m1: {} }], SCORING), null);
+});
+
+test("validateScoring() checks criteria and bounds", () => {
+  assert.strictEqual(validateScoring(SCORING), null);
+  assert.match(validateScoring({ max: 0 }), /positive number/);
+  assert.match(validateScoring({ criteria: [] }), /non-empty/);
+  assert.match(validateScoring({ criteria: [{ name: "Photo", weight: 1 }] }), /lowercase name/);
+  assert.match(validateScoring({ criteria: [{ name: "a", weight: 1 }, { name: "a", weight: 2 }] }), /listed twice/);
+  assert.match(validateScoring({ criteria: [{ name: "a", weight: 0 }] }), /positive weight/);
+});
+
+test("with scoring on, the panel's score totals decide over the vote", () => {
+  // Two of three vote m1, but the averaged scorecards favour m2
+  const votes = [
+    { pick: "m1", scores: card([5, 5], [5, 6]) },
+    { pick: "m1", scores: card([6, 5], [6, 5]) },
+    { pick: "m2", scores: card([2, 2], [9, 9]) },
+  ];
+  const { tally, scored, winner, decidedBy } = decidePanel(votes, SCORING);
+  assert.deepStrictEqual(tally, { m1: 2, m2: 1, abstain: 0 });
+  assert.strictEqual(scored.winner, "m2");
+  assert.strictEqual(winner, "m2");
+  assert.strictEqual(decidedBy, "scores");
+});
+
+test("equal score totals fall back to the majority vote", () => {
+  const votes = [
+    { pick: "m1", scores: card([5, 5], [5, 5]) },
+    { pick: "m1", scores: card([4, 4], [4, 4]) },
+    { pick: "m2", scores: card([6, 6], [6, 6]) },
+  ];
+  const { scored, winner, decidedBy } = decidePanel(votes, SCORING);
+  assert.strictEqual(scored.winner, null);
+  assert.deepStrictEqual([winner, decidedBy], ["m1", "vote"]);
+});
+
+test("a tie on both scores and votes has no winner", () => {
+  const votes = [
+    { pick: "m1", scores: card([5, 5], [5, 5]) },
+    { pick: "m2", scores: card([5, 5], [5, 5]) },
+    { pick: null, scores: null },
+  ];
+  assert.deepStrictEqual(decidePanel(votes, SCORING).winner, null);
+  assert.deepStrictEqual(decidePanel(votes, SCORING).decidedBy, null);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Season 1 with one judged week, in a throwaway data directory
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-seasons-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+const MEMBERS = [1, 2, 3, 4].map((id) => ({ id, name: `Member ${id}` }));
+const SCHEDULE = [
+  { week: 1, status: "completed", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }], byes: [] },
+  { week: 2, status: "upcoming", matchups: [{ m1: 1, m2: 3 }, { m1: 2, m2: 4 }], byes: [] },
+];
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active", settings: { forfeits: { doubleNoShow: "skip" } },
+    members: MEMBERS, schedule: SCHEDULE,
+    submissions: [{ week: 1, memberId: 1, species: "Bald Eagle", description: "Over the river", mediaFiles: [] }],
+    judgments: [{ id: "judgment-w1-1v2", week: 1, m1Id: 1, m2Id: 2, winner: "m1" }],
+    appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+
+test.after(() => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+test("a new season becomes current and starts from the old roster and settings", () => {
+  const info = db.createSeason({ name: "Spring", schedule: JSON.parse(JSON.stringify(SCHEDULE)) });
+  assert.deepStrictEqual([info.id, info.name, info.current, info.members, info.weeks], [2, "Spring", true, 4, 2]);
+  assert.strictEqual(db.getSeasonId(), 2);
+  assert.strictEqual(db.getSettings().forfeits.doubleNoShow, "skip");
+  assert.deepStrictEqual(db.getJudgmentsForWeek(1), []);
+  assert.strictEqual(db.getSubmission(1, 1), null);
+});
+
+test("db.season(id) reads and writes the season it names", () => {
+  const first = db.season(1);
+  assert.strictEqual(first.getJudgment(1, 1, 2).winner, "m1");
+  assert.strictEqual(first.getSubmission(1, 1).species, "Bald Eagle");
+
+  db.upsertSubmission({ week: 1, memberId: 2, species: "Snowy Owl", description: "On a fence post" });
+  assert.strictEqual(first.getSubmission(1, 2), null);
+  assert.strictEqual(db.season(2).getSubmission(1, 2).species, "Snowy Owl");
+  assert.deepStrictEqual(db.listSeasons().map((s) => [s.id, s.current]), [[1, false], [2, true]]);
+});
+
+test("archived seasons are read-only and the current one can't be archived", () => {
+  assert.throws(() => db.archiveSeason(2), /Cannot archive the current season/);
+  assert.strictEqual(db.archiveSeason(1).status, "archived");
+  assert.throws(() => db.season(1).setWeekStatus(2, "active"), /archived and read-only/);
+  assert.strictEqual(db.season(1).getWeek(2).status, "upcoming");
+  assert.strictEqual(db.archiveSeason(9), null);
+});
+
+test("a reset puts the schedule back to unplayed regular-season weeks", () => {
+  db.setWeekTimeline(1, { opensAt: "2024-01-01T00:00:00.000Z" }, []);
+  db.markWeekLifecycle(1, "openedAt");
+  db.setAppealsStatus(1, "closed");
+  db.saveJudgment({ id: "judgment-w1-1v2", week: 1, m1Id: 1, m2Id: 2, winner: "m2" });
+  db.createPlayoffs();
+  assert.ok(db.getSchedule().length > 2);
+
+  db.reset();
+  assert.strictEqual(db.getPlayoffs(), null);
+  assert.deepStrictEqual(db.getSchedule(), SCHEDULE.map((w) => ({ ...w, status: "upcoming" })));
+  assert.deepStrictEqual(db.getJudgmentsForWeek(1), []);
+  assert.strictEqual(db.getSubmission(1, 2), null);
+  assert.strictEqual(db.getSettings().forfeits.doubleNoShow, "skip");
+
+  // The cleared judgment and submission are still in their histories
+  assert.strictEqual(db.getJudgmentHistory(1, 1, 2).revisions.at(-1).kind, "deleted");
+  assert.strictEqual(db.getSubmissionHistory(1, 2).revisions.at(-1).submission, null);
+  assert.strictEqual(db.season(1).getJudgment(1, 1, 2).winner, "m1");
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Keep db.json and uploads out of the repo's data directory
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-server-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+const { sendFile } = require("../server");
+
+const FILE = path.join(DATA_DIR, "call.wav");
+const CONTENT = Buffer.from(Array.from({ length: 100 }, (_, i) => i));
+let server, etag, lastModified;
+
+test.before(async () => {
+  fs.writeFileSync(FILE, CONTENT);
+  server = http.createServer((req, res) => sendFile(req, res, FILE, { "Content-Type": "audio/wav" }));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  ({ headers: { etag, "last-modified": lastModified } } = await get());
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function get(headers = {}, method = "GET") {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port: server.address().port, method, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("sends the whole file with validators", async () => {
+  const res = await get();
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.equals(CONTENT));
+  assert.strictEqual(res.headers["content-length"], "100");
+  assert.strictEqual(res.headers["content-type"], "audio/wav");
+  assert.strictEqual(res.headers["accept-ranges"], "bytes");
+  assert.match(etag, /^"[0-9a-f]+-[0-9a-f]+"$/);
+});
+
+test("answers 304 while the client's copy is current", async () => {
+  for (const headers of [
+    { "If-None-Match": etag },
+    { "If-None-Match": `W/${etag}` },
+    { "If-None-Match": `"stale", ${etag}` },
+    { "If-None-Match": "*" },
+    { "If-Modified-Since": lastModified },
+  ]) {
+    const res = await get(headers);
+    assert.strictEqual(res.status, 304, JSON.stringify(headers));
+    assert.strictEqual(res.body.length, 0);
+    assert.strictEqual(res.headers.etag, etag);
+  }
+
+  // If-None-Match wins over If-Modified-Since
+  const res = await get({ "If-None-Match": '"stale"', "If-Modified-Since": lastModified });
+  assert.strictEqual(res.status, 200);
+});
+
+test("serves byte ranges", async () => {
+  const cases = [
+    ["bytes=10-19", 10, 19],
+    ["bytes=90-", 90, 99],
+    ["bytes=-5", 95, 99],
+    ["bytes=95-500", 95, 99],
+    ["bytes=-500", 0, 99],
+  ];
+  for (const [range, start, end] of cases) {
+    const res = await get({ Range: range });
+    assert.strictEqual(res.status, 206, range);
+    assert.strictEqual(res.headers["content-range"], `bytes ${start}-${end}/100`, range);
+    assert.strictEqual(res.headers["content-length"], String(end - start + 1), range);
+    assert.ok(res.body.equals(CONTENT.subarray(start, end + 1)), range);
+  }
+});
+
+test("refuses ranges that start past the end with 416", async () => {
+  for (const range of ["bytes=100-", "bytes=50-40"]) {
+    const res = await get({ Range: range });
+    assert.strictEqual(res.status, 416, range);
+    assert.strictEqual(res.headers["content-range"], "bytes */100");
+  }
+});
+
+test("falls back to the whole file for ranges it doesn't handle", async () => {
+  for (const headers of [
+    { Range: "bytes=0-9,20-29" },
+    { Range: "items=0-9" },
+    { Range: "bytes=-" },
+    { Range: "bytes=0-9", "If-Range": '"stale"' },
+  ]) {
+    const res = await get(headers);
+    assert.strictEqual(res.status, 200, JSON.stringify(headers));
+    assert.strictEqual(res.body.length, 100);
+  }
+
+  const res = await get({ Range: "bytes=0-9", "If-Range": etag });
+  assert.strictEqual(res.status, 206);
+});
+
+test("HEAD sends headers only", async () => {
+  const res = await get({ Range: "bytes=0-9" }, "HEAD");
+  assert.strictEqual(res.status, 206);
+  assert.strictEqual(res.headers["content-length"], "10");
+  assert.strictEqual(res.body.length, 0);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { computeStandings, outcomes } = require("../standings");
+
+const MEMBERS = ["Avery", "Blake", "Casey", "Drew"].map((name, i) => ({ id: i + 1, name }));
+const [A, B, C, D] = MEMBERS.map((m) => m.id);
+
+function season(judgments, schedule = [1, 2, 3].map((week) => ({ week }))) {
+  return { members: MEMBERS, schedule, judgments };
+}
+
+function win(week, m1Id, m2Id, winner, extra = {}) {
+  return { week, m1Id, m2Id, winner, ...extra };
+}
+
+const byName = (rows) => Object.fromEntries(rows.map((r) => [r.name, r]));
+
+test("orders by win points, then losses", () => {
+  const rows = computeStandings(season([
+    win(1, A, B, "m1"), win(1, C, D, "m1"),
+    win(2, A, C, "m1"), win(2, B, D, null), // tie: half a win each
+  ]));
+  assert.deepStrictEqual(rows.map((r) => r.name), ["Avery", "Casey", "Blake", "Drew"]);
+  assert.strictEqual(byName(rows).Blake.t, 1);
+  assert.strictEqual(byName(rows).Avery.streak, "W2");
+});
+
+test("head-to-head separates members level on record", () => {
+  // Avery and Blake finish 2–1, Casey and Drew 1–2; each pair met once
+  const rows = computeStandings(season([
+    win(1, A, B, "m1"), win(1, C, D, "m1"),
+    win(2, A, C, "m1"), win(2, B, D, "m1"),
+    win(3, A, D, "m2"), win(3, B, C, "m1"),
+  ]));
+  assert.deepStrictEqual(rows.map((r) => r.name), ["Avery", "Blake", "Casey", "Drew"]);
+  assert.ok(rows.every((r) => r.tiebreaker === "head-to-head"));
+});
+
+test("AI votes break a tie head-to-head can't", () => {
+  // Avery and Casey never meet; Casey drew more judge votes
+  const rows = computeStandings(season([
+    win(1, A, B, "m1", { chatgpt: { pick: "m1" }, gemini: { pick: "m2" } }),
+    win(1, C, D, "m1", { chatgpt: { pick: "m1" }, gemini: { pick: "m1" } }),
+  ]));
+  assert.deepStrictEqual(rows.slice(0, 2).map((r) => [r.name, r.tiebreaker]), [["Casey", "ai-votes"], ["Avery", "ai-votes"]]);
+});
+
+test("strength of schedule comes after AI votes", () => {
+  // Blake beat Drew, who went on to win; Casey's victim Avery never did
+  const rows = computeStandings(season([
+    win(1, B, D, "m1"), win(1, C, A, "m1"),
+    win(2, D, A, "m1"),
+  ]));
+  const blake = byName(rows).Blake;
+  const casey = byName(rows).Casey;
+  assert.ok(blake.sos > casey.sos);
+  assert.ok(blake.rank < casey.rank);
+  assert.strictEqual(blake.tiebreaker, "strength-of-schedule");
+});
+
+test("a tie nothing breaks is alphabetical and marked unbroken", () => {
+  const rows = computeStandings(season([]));
+  assert.deepStrictEqual(rows.map((r) => r.name), ["Avery", "Blake", "Casey", "Drew"]);
+  assert.ok(rows.every((r) => r.tiebreaker === "unbroken"));
+});
+
+test("commissioner split rulings count for both sides", () => {
+  assert.deepStrictEqual(outcomes({ winner: null, commissionerRuling: { m1Result: "win", m2Result: "win" } }), { m1: "W", m2: "W" });
+  assert.deepStrictEqual(outcomes({ winner: "m1", commissionerRuling: { m1Result: "loss", m2Result: "loss" } }), { m1: "L", m2: "L" });
+  assert.deepStrictEqual(outcomes({ winner: null, forfeit: "both" }), { m1: "L", m2: "L" });
+});
+
+test("judgments awaiting review and playoff games don't count", () => {
+  const rows = byName(computeStandings(season(
+    [win(1, A, B, "m1", { needsReview: true }), win(2, C, D, "m1")],
+    [{ week: 1 }, { week: 2, playoff: true }],
+  )));
+  assert.strictEqual(rows.Avery.w + rows.Avery.l + rows.Casey.w, 0);
+});
+
+test("forfeits and score totals are tallied", () => {
+  const rows = byName(computeStandings(season([
+    win(1, A, B, "m1", { forfeit: "m2" }),
+    win(2, A, C, "m2", { scoring: { totals: { m1: 21.5, m2: 30 } } }),
+  ])));
+  assert.strictEqual(rows.Avery.forfeitWins, 1);
+  assert.strictEqual(rows.Blake.forfeitLosses, 1);
+  assert.deepStrictEqual([rows.Avery.pf, rows.Avery.pa, rows.Avery.diff], [21.5, 30, -8.5]);
+});
+
+test("a three-way tie split partway restarts at head-to-head", () => {
+  // Avery, Blake and Casey beat each other in a circle; Avery drew the most
+  // votes, and Casey beat Blake in their own game
+  const rows = computeStandings(season([
+    win(1, A, C, "m1", { chatgpt: { pick: "m1" }, gemini: { pick: "m1" } }),
+    win(2, C, B, "m1", { chatgpt: { pick: "m1" }, gemini: { pick: "m2" } }),
+    win(3, B, A, "m1"),
+  ]));
+  assert.deepStrictEqual(rows.slice(0, 3).map((r) => [r.name, r.tiebreaker]), [
+    ["Avery", "ai-votes"], ["Casey", "head-to-head"], ["Blake", "head-to-head"],
+  ]);
+});
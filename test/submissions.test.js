@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Week 2 takes submissions. Member 1 had a Rock Pigeon in week 1 and the
+// league refuses repeats; member 3's week 2 bird predates revision history.
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bl-submissions-"));
+process.env.RAILWAY_VOLUME_MOUNT_PATH = DATA_DIR;
+process.env.ADMIN_SECRET = "test-secret";
+fs.writeFileSync(path.join(DATA_DIR, "db.json"), JSON.stringify({
+  currentSeason: 1,
+  credentials: [],
+  seasons: [{
+    id: 1, name: "Season 1", status: "active",
+    settings: { rules: [{ id: "no-repeats", type: "repeat_species" }] },
+    members: [1, 2, 3, 4].map((id) => ({ id, name: `Member ${id}` })),
+    schedule: [
+      { week: 1, status: "completed", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }] },
+      { week: 2, status: "active", matchups: [{ m1: 1, m2: 2 }, { m1: 3, m2: 4 }] },
+    ],
+    submissions: [
+      { id: "sub-w1-m1", week: 1, memberId: 1, species: "Rock Pigeon", description: "", mediaFiles: [] },
+      { id: "sub-w2-m3", week: 2, memberId: 3, species: "Osprey", description: "Diving", mediaFiles: [], submittedAt: "2024-01-01T00:00:00.000Z" },
+    ],
+    judgments: [], appeals: [], usage: [], revisions: [], exemptions: [], submissionRevisions: [], drafts: [],
+  }],
+}));
+const db = require("../db");
+const { handleRequest } = require("../server");
+
+const ADMIN = "test-secret";
+let server, member1, member2;
+
+test.before(async () => {
+  member1 = db.issueToken(1).token;
+  member2 = db.issueToken(2).token;
+  server = http.createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function request(method, url, { token, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const req = http.request({ host: "127.0.0.1", port: server.address().port, method, path: url, headers }, (res) => {
+      let data = "";
+      res.on("data", (c) => (data += c));
+      res.on("end", () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on("error", reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+test("a draft is private and warns about rules it would break", async () => {
+  const saved = await request("POST", "/api/drafts/2/1", { token: member1, body: { species: "Pigeon", description: "On a wire" } });
+  assert.strictEqual(saved.status, 200);
+  assert.strictEqual(saved.body.draft.taxon.common, "Rock Pigeon");
+  assert.deepStrictEqual(saved.body.violations.map((v) => v.rule), ["no-repeats"]);
+
+  assert.strictEqual((await request("GET", "/api/drafts/2/1", { token: member2 })).status, 403);
+  assert.strictEqual((await request("GET", "/api/drafts/2/1")).status, 401);
+  assert.strictEqual((await request("GET", "/api/drafts/2/1", { token: ADMIN })).body.species, "Pigeon");
+
+  // Submitting it is refused, and the draft is kept
+  const refused = await request("POST", "/api/drafts/2/1/submit", { token: member1 });
+  assert.strictEqual(refused.status, 400);
+  assert.match(refused.body.error, /You already submitted Rock Pigeon in week 1 \(rule no-repeats\)/);
+  assert.ok(db.getDraft(2, 1));
+});
+
+test("submitting a draft makes revision 1 and discards the draft", async () => {
+  await request("POST", "/api/drafts/2/1", { token: member1, body: { species: "Bald Eagle", description: "Over the river" } });
+  const res = await request("POST", "/api/drafts/2/1/submit", { token: member1 });
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.rev, 1);
+  assert.strictEqual(db.getDraft(2, 1), null);
+  assert.strictEqual((await request("POST", "/api/drafts/2/1/submit", { token: member1 })).status, 404);
+  assert.strictEqual((await request("DELETE", "/api/drafts/2/1", { token: member1 })).status, 404);
+});
+
+test("every resubmission is a revision, and the history diffs any two", async () => {
+  const res = await request("POST", "/api/submit/2/1", { token: member1, body: { species: "Golden Eagle", description: "Over the river" } });
+  assert.strictEqual(res.body.rev, 2);
+  assert.ok(res.body.resubmittedAt);
+
+  assert.strictEqual((await request("GET", "/api/admin/submissions/2/1/history", { token: member1 })).status, 401);
+  const { body } = await request("GET", "/api/admin/submissions/2/1/history?from=1&to=2", { token: ADMIN });
+  assert.strictEqual(body.current.species, "Golden Eagle");
+  assert.deepStrictEqual(body.revisions.map((r) => [r.rev, r.by, r.fromDraft, r.afterDeadline]), [[1, "member", true, null], [2, "member", false, null]]);
+  assert.deepStrictEqual(body.diff, { from: 1, to: 2, changes: { species: { from: "Bald Eagle", to: "Golden Eagle" } } });
+  assert.strictEqual((await request("GET", "/api/admin/submissions/2/1/history?from=1&to=5", { token: ADMIN })).status, 404);
+});
+
+test("a submission from before revision history starts at revision 1", async () => {
+  let { body } = await request("GET", "/api/admin/submissions/2/3/history", { token: ADMIN });
+  assert.deepStrictEqual(body.revisions.map((r) => [r.rev, r.note]), [[1, "Recorded before revision history"]]);
+
+  await request("POST", "/api/submit/2/3", { token: ADMIN, body: { species: "Barn Owl", description: "" } });
+  ({ body } = await request("GET", "/api/admin/submissions/2/3/history", { token: ADMIN }));
+  assert.deepStrictEqual(body.revisions.map((r) => [r.rev, r.by, r.submission.species]), [[1, null, "Osprey"], [2, "commissioner", "Barn Owl"]]);
+});
+
+test("a discarded draft is gone for good", async () => {
+  await request("POST", "/api/drafts/2/2", { token: member2, body: { species: "Snowy Owl" } });
+  assert.strictEqual((await request("DELETE", "/api/drafts/2/2", { token: member1 })).status, 403);
+  assert.strictEqual((await request("DELETE", "/api/drafts/2/2", { token: member2 })).status, 200);
+  assert.strictEqual((await request("GET", "/api/drafts/2/2", { token: member2 })).status, 404);
+  assert.strictEqual((await request("GET", "/api/admin/submissions/2/2/history", { token: ADMIN })).status, 404);
+});
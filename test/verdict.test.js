@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseVerdict, VerdictError } = require("../verdict");
+
+const SCORING = { enabled: true, max: 10, criteria: [{ name: "photo", weight: 1 }, { name: "rarity", weight: 2 }] };
+
+test("reads a bare verdict object", () => {
+  assert.deepStrictEqual(parseVerdict('{"argument": " A crisp shot. ", "winner": 1}'), {
+    winner: "m1", argument: "A crisp shot.", scores: null,
+  });
+});
+
+test("tolerates code fences and chatter around the object", () => {
+  const text = 'Here is my verdict:\n```json\n{"ruling": "The rarer bird.", "winner": "Submission 2"}\n```\nThanks!';
+  assert.deepStrictEqual(parseVerdict(text), { winner: "m2", argument: "The rarer bird.", scores: null });
+});
+
+test("normalizes scores keyed by number or submission name", () => {
+  const { scores } = parseVerdict(JSON.stringify({
+    argument: "Close.", winner: 2,
+    scores: { 1: { photo: "7", rarity: 4 }, submission2: { photo: 6, rarity: 8.5 } },
+  }));
+  assert.deepStrictEqual(scores, { m1: { photo: 7, rarity: 4 }, m2: { photo: 6, rarity: 8.5 } });
+});
+
+test("rejects replies that aren't a usable verdict", () => {
+  const cases = [
+    ["", /empty response/],
+    ["Submission 1 wins.", /no JSON object found/],
+    ['{"argument": "x", "winner": 1,}', /invalid JSON/],
+    ['{"argument": "x", "winner": 3}', /"winner" must be 1 or 2, got 3/],
+    ['{"argument": "x"}', /"winner" must be 1 or 2/],
+    ['{"argument": "  ", "winner": 1}', /missing "argument"/],
+    ['{"argument": "x", "winner": 1, "scores": "high"}', /"scores" must be an object/],
+    ['{"argument": "x", "winner": 1, "scores": {"1": {"photo": "sharp"}}}', /score "photo" for submission 1 is not a number/],
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parseVerdict(text), (err) => err instanceof VerdictError && message.test(err.message), text);
+  }
+});
+
+test("requires a complete, in-range scorecard when scoring is on", () => {
+  const verdict = (scores) => JSON.stringify({ argument: "x", winner: 1, scores });
+  const full = { 1: { photo: 8, rarity: 3 }, 2: { photo: 5, rarity: 6 } };
+  assert.strictEqual(parseVerdict(verdict(full), SCORING).winner, "m1");
+
+  assert.throws(() => parseVerdict(verdict(null), SCORING), /missing score "photo" for submission 1/);
+  assert.throws(() => parseVerdict(verdict({ 1: full[1], 2: { photo: 5 } }), SCORING), /missing score "rarity" for submission 2/);
+  assert.throws(() => parseVerdict(verdict({ 1: full[1], 2: { photo: 11, rarity: 6 } }), SCORING), /must be between 0 and 10/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Bird League — Structured judge verdicts
+ *
+ * Judges answer with a JSON object instead of free text plus a WINNER line:
+ *   { "argument": "...", "winner": 1 | 2, "scores": { "1": {...}, "2": {...} } }
+ * The synthesis and appeal prompts call the text field "ruling"; either
+ * name is accepted. `scores` is optional: criterion name → number, per
+ * submission.
+ *
+ * When score-based judging is on, `opts.scoring` makes a complete scorecard
+ * part of a valid verdict (see scoring.js).
+ *
+ * askVerdict() re-asks a judge whose reply doesn't validate. When every
+ * attempt fails it returns `{ valid: false }` with the raw text so the caller
+ * can flag the judgment for commissioner review.
+ */
+
+const { callRole } = require("./providers");
+const { checkScorecard } = require("./scoring");
+
+const MAX_ATTEMPTS = 3;
+
+class VerdictError extends Error {}
+
+/**
+ * Parse and validate a verdict.
+ *
+ * @param {string} text - Raw model response
+ * @param {object} [scoring] - Season `scoring` settings; requires every criterion to be scored
+ * @returns {{ winner: "m1"|"m2", argument: string, scores: object|null }}
+ * @throws {VerdictError} When the response isn't a usable verdict
+ */
+function parseVerdict(text, scoring) {
+  if (typeof text !== "string" || !text.trim()) throw new VerdictError("empty response");
+
+  // Tolerate code fences or chatter around the object
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end < start) throw new VerdictError("no JSON object found");
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    throw new VerdictError(`invalid JSON (${err.message})`);
+  }
+
+  const pick = String(data.winner ?? "").replace(/^\s*submission\s*/i, "").trim();
+  if (pick !== "1" && pick !== "2") throw new VerdictError(`"winner" must be 1 or 2, got ${JSON.stringify(data.winner)}`);
+
+  const argument = data.argument ?? data.ruling;
+  if (typeof argument !== "string" || !argument.trim()) throw new VerdictError(`missing "argument" text`);
+
+  const scores = parseScores(data.scores);
+  const problem = scoring && checkScorecard(scores, scoring);
+  if (problem) throw new VerdictError(problem);
+
+  return { winner: pick === "1" ? "m1" : "m2", argument: argument.trim(), scores };
+}
+
+// Best-effort text of a rejected reply, for the record
+function salvageText(text) {
+  try {
+    const data = JSON.parse(text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1));
+    const argument = data.argument ?? data.ruling;
+    if (typeof argument === "string" && argument.trim()) return argument.trim();
+  } catch { /* not JSON */ }
+  return text.trim();
+}
+
+function parseScores(scores) {
+  if (scores == null) return null;
+  if (typeof scores !== "object") throw new VerdictError(`"scores" must be an object`);
+  const out = {};
+  for (const side of ["1", "2"]) {
+    const entry = scores[side] ?? scores[`submission${side}`];
+    if (entry == null) continue;
+    if (typeof entry !== "object") throw new VerdictError(`"scores.${side}" must be an object`);
+    out[`m${side}`] = {};
+    for (const [criterion, value] of Object.entries(entry)) {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new VerdictError(`score "${criterion}" for submission ${side} is not a number`);
+      out[`m${side}`][criterion] = n;
+    }
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Call a judge role and validate its verdict, re-asking on bad replies.
+ *
+ * @param {object} [opts] - { meter, provider } passed through to callRole, and
+ *   `scoring` to require a scorecard
+ * @returns {Promise<{ valid: boolean, winner, argument, scores, error, attempts, provider, model }>}
+ */
+async function askVerdict(roleName, prompt, images, opts = {}) {
+  const { scoring, ...callOpts } = opts;
+  let reply, reason;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const ask = attempt === 1 ? prompt : `${prompt}\n\nYour previous reply could not be used: ${reason}. Reply again with only the JSON object described above.`;
+    reply = await callRole(roleName, ask, images, { ...callOpts, json: true });
+    try {
+      const verdict = parseVerdict(reply.text, scoring);
+      return { valid: true, ...verdict, error: null, attempts: attempt, provider: reply.provider, model: reply.model };
+    } catch (err) {
+      if (!(err instanceof VerdictError)) throw err;
+      reason = err.message;
+      console.log(`  [${roleName}] Unusable verdict (${reason}), attempt ${attempt}/${MAX_ATTEMPTS}`);
+    }
+  }
+  return {
+    valid: false, winner: null, argument: salvageText(reply.text || ""), scores: null,
+    error: reason, attempts: MAX_ATTEMPTS, provider: reply.provider, model: reply.model,
+  };
+}
+
+module.exports = { askVerdict, parseVerdict, VerdictError };